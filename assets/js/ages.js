@@ -0,0 +1,115 @@
+/**
+ * Age groups of L'Île aux Oiseaux
+ * Computes a child's exact age at a start date from their date of birth and
+ * routes them to the group and programmes that take children of that age
+ */
+
+// Ages in completed months, from `min` included to `max` excluded
+const PROGRAMMES = [
+  { id: 'nourrissons', group: 'creche', min: 2, max: 18 },
+  { id: 'tout-petits', group: 'creche', min: 18, max: 36 },
+  { id: 'prescolaire', group: 'maternelle', min: 36, max: 72 },
+  { id: 'periscolaire', group: 'periscolaire', min: 36, max: 120 },
+];
+
+const MIN_MONTHS = Math.min(...PROGRAMMES.map(programme => programme.min));
+const MAX_MONTHS = Math.max(...PROGRAMMES.map(programme => programme.max));
+
+/**
+ * First day a child is some months old, as Ages.at() counts them: the day of
+ * birth in the target month, or the 1st of the next one when the target
+ * month is too short (born 31 December: 2 months old on 1 March)
+ * @param {Date} birth - Date of birth
+ * @param {number} months - Age in months
+ * @returns {Date} - Date
+ */
+const monthsAfter = (birth, months) => {
+  const year = birth.getFullYear();
+  const month = birth.getMonth() + months;
+  const length = new Date(year, month + 1, 0).getDate();
+
+  return birth.getDate() > length
+    ? new Date(year, month + 1, 1)
+    : new Date(year, month, birth.getDate());
+};
+
+/**
+ * Ages API
+ */
+export const Ages = {
+  /**
+   * Programmes and the ages they take
+   */
+  programmes: PROGRAMMES,
+
+  /**
+   * Parse a YYYY-MM-DD date (input[type=date]) as a local date
+   * @param {string} value - ISO calendar date
+   * @returns {Date|null} - Date, or null when the value is not a real date
+   */
+  parse: value => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day
+      ? date
+      : null;
+  },
+
+  /**
+   * Exact age at a date, in completed years and months
+   * @param {Date} birth - Date of birth
+   * @param {Date} date - Date the age is computed at
+   * @returns {Object} - { years, months, totalMonths }; negative before birth
+   */
+  at: (birth, date) => {
+    let totalMonths =
+      (date.getFullYear() - birth.getFullYear()) * 12 +
+      date.getMonth() -
+      birth.getMonth();
+    if (date.getDate() < birth.getDate()) totalMonths--;
+
+    return {
+      years: Math.floor(totalMonths / 12),
+      months: ((totalMonths % 12) + 12) % 12,
+      totalMonths,
+    };
+  },
+
+  /**
+   * Group and programmes for a child starting at a date
+   * @param {string} birthdate - Date of birth, YYYY-MM-DD
+   * @param {string} start - Start date, YYYY-MM-DD
+   * @returns {Object|null} - { age, group, programmes, error, eligibleFrom }
+   *   error is a validation message key (age.young, age.old) and
+   *   eligibleFrom the first day a child too young can start; null when a
+   *   date is missing or invalid
+   */
+  route: (birthdate, start) => {
+    const birth = Ages.parse(birthdate);
+    const date = Ages.parse(start);
+    if (!birth || !date) return null;
+
+    const age = Ages.at(birth, date);
+    const programmes = PROGRAMMES.filter(
+      ({ min, max }) => age.totalMonths >= min && age.totalMonths < max,
+    );
+
+    let error = null;
+    if (age.totalMonths < MIN_MONTHS) error = 'age.young';
+    if (age.totalMonths >= MAX_MONTHS) error = 'age.old';
+
+    return {
+      age,
+      group: programmes.length ? programmes[0].group : null,
+      programmes: programmes.map(programme => programme.id),
+      error,
+      eligibleFrom:
+        error === 'age.young' ? monthsAfter(birth, MIN_MONTHS) : null,
+    };
+  },
+};
+
+export default Ages;
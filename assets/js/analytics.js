@@ -0,0 +1,163 @@
+/**
+ * Audience measurement for L'Île aux Oiseaux website
+ * Counts page views, clicks on the contact channels and the steps of the
+ * forms once the visitor has agreed. Nothing identifies the visitor: no
+ * cookie, no identifier, only the page, the day and what was used. Events are
+ * sent in batches with navigator.sendBeacon to the collector the page names;
+ * without one nothing is recorded.
+ */
+
+import { Consent } from './consent.js';
+import { Data, Events } from './utils.js';
+
+/**
+ * Batched, consent-gated event recorder
+ */
+export class Analytics {
+  /**
+   * @param {Object} options - Analytics options
+   * @param {string|null} options.endpoint - Collector URL
+   * @param {number} options.batchSize - Events sent together at most
+   * @param {number} options.delay - Time events wait for others, in ms
+   */
+  constructor({
+    endpoint = null,
+    batchSize = 20,
+    delay = 5000,
+  } = {}) {
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.delay = delay;
+    this.queue = [];
+    this.timer = null;
+    this.started = new WeakSet();
+    this.counted = false;
+    this.cleanup = [];
+  }
+
+  /**
+   * Whether the browser asks sites not to track its user
+   * @returns {boolean} - True with Do Not Track or Global Privacy Control
+   */
+  static isOptedOut() {
+    return (
+      navigator.doNotTrack === '1' || navigator.globalPrivacyControl === true
+    );
+  }
+
+  /**
+   * Whether events are recorded
+   * @returns {boolean} - True with a collector, once the visitor has agreed
+   *   to the analytics category, unless the browser opts out
+   */
+  isEnabled() {
+    return (
+      Boolean(this.endpoint) &&
+      !Analytics.isOptedOut() &&
+      Consent.has('analytics')
+    );
+  }
+
+  /**
+   * Count the page view and listen for contact clicks and form steps
+   */
+  start() {
+    this.cleanup.push(
+      Events.on(document, 'click', e => this.handleClick(e)),
+      // First change in a form starts its funnel
+      Events.on(document, 'input', e => this.handleInput(e)),
+      Events.on(document, 'formstep', e =>
+        this.track('form', { form: e.detail.form, step: e.detail.step }),
+      ),
+      // Last chance to send pending events
+      Events.on(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+      }),
+      Events.on(window, 'pagehide', () => this.flush()),
+      Events.on(document, 'consentchange', () => this.handleConsent()),
+    );
+
+    this.counted = this.track('pageview');
+  }
+
+  handleConsent() {
+    if (!this.isEnabled()) {
+      this.queue = [];
+      return;
+    }
+    // The page view was skipped while the visitor had not answered
+    if (!this.counted) {
+      this.counted = this.track('pageview');
+    }
+  }
+
+  handleClick(e) {
+    const link = e.target.closest && e.target.closest('a[href]');
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    let channel = null;
+    if (href.startsWith('https://wa.me')) channel = 'whatsapp';
+    if (href.startsWith('tel:')) channel = 'phone';
+    if (href.startsWith('mailto:')) channel = 'email';
+
+    if (channel) {
+      this.track('contact', { channel });
+    }
+  }
+
+  handleInput(e) {
+    const form = e.target.form;
+    if (!form || !form.id || this.started.has(form)) return;
+
+    this.started.add(form);
+    this.track('form', { form: form.id, step: 'start' });
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - pageview, contact or form
+   * @param {Object} data - Event details, never personal data
+   * @returns {boolean} - True if recorded
+   */
+  track(type, data = {}) {
+    if (!this.isEnabled()) return false;
+
+    this.queue.push({
+      type,
+      ...data,
+      page: window.location.pathname,
+      // The day is enough for counts and cannot single a visitor out
+      date: new Date().toISOString().slice(0, 10),
+    });
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+    return true;
+  }
+
+  /**
+   * Send pending events
+   * @returns {boolean} - True if the browser accepted them
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.queue.length || !this.endpoint) return false;
+
+    const events = this.queue;
+    this.queue = [];
+    return Data.beacon(this.endpoint, { events });
+  }
+
+  destroy() {
+    this.flush();
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default Analytics;
@@ -0,0 +1,225 @@
+/**
+ * iCalendar (.ics) export for L'Île aux Oiseaux website
+ * Builds RFC 5545 files that phone and desktop calendars can import, and
+ * converts between instants and wall-clock times in the centre's time zone
+ */
+
+const PRODUCT_ID = '-//L\'Ile aux Oiseaux//Site web//FR';
+
+// Content lines longer than this many octets are folded
+const LINE_LENGTH = 75;
+
+// Day ids in Date#getDay order
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+/**
+ * Format a date as UTC date-time, e.g. 20250915T144500Z
+ * @param {Date} date - Date
+ * @returns {string} - iCalendar UTC date-time
+ */
+const formatDate = date =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeText = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+const fold = line => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  Array.from(line).forEach(char => {
+    const length = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length ? LINE_LENGTH - 1 : LINE_LENGTH;
+
+    if (size + length > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  });
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Calendar date and time of day of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month, day, weekday, minutes }
+ */
+const zoned = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'long',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * @param {Date} date - Calendar date (UTC fields are used)
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+const toInstant = (date, minutes, timeZone) => {
+  const guess = Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate(),
+    0,
+    minutes,
+  );
+  const local = zoned(new Date(guess), timeZone);
+  const offset =
+    Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - guess;
+
+  return new Date(guess - offset);
+};
+
+/**
+ * Calendar API
+ */
+export const Calendar = {
+  /**
+   * Build an .ics file
+   * @param {Object[]} events - Events
+   * @param {string} events[].uid - Globally unique id
+   * @param {Date} events[].start - Start
+   * @param {Date} events[].end - End
+   * @param {string} events[].summary - Title
+   * @param {string} events[].description - Description (optional)
+   * @param {string} events[].location - Location (optional)
+   * @param {string} events[].status - TENTATIVE or CONFIRMED (optional)
+   * @param {string} events[].rrule - Recurrence rule, e.g. FREQ=WEEKLY;BYDAY=MO (optional)
+   * @returns {string} - iCalendar content with CRLF line endings
+   */
+  build: events => {
+    const stamp = formatDate(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ];
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDate(event.start)}`,
+        `DTEND:${formatDate(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+      );
+
+      if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+      if (event.status) lines.push(`STATUS:${event.status}`);
+      if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      }
+      if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+      }
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+  },
+
+  /**
+   * Format a date as iCalendar UTC date-time (for UNTIL in rules)
+   * @param {Date} date - Date
+   * @returns {string} - e.g. 20260626T225900Z
+   */
+  formatDate,
+
+  /**
+   * Day ids in Date#getDay order
+   */
+  weekdays: WEEKDAYS,
+
+  /**
+   * Calendar date and time of day of an instant in a time zone
+   */
+  zoned,
+
+  /**
+   * Instant of a wall-clock time in a time zone
+   */
+  toInstant,
+
+  /**
+   * Offer an .ics file for download
+   * @param {string} filename - File name
+   * @param {string} content - iCalendar content
+   */
+  download: (filename, content) => {
+    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const href = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = href;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download
+    setTimeout(() => window.URL.revokeObjectURL(href), 1000);
+  },
+};
+
+export default Calendar;
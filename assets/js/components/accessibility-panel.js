@@ -0,0 +1,263 @@
+/**
+ * Accessibility Panel Component
+ * A header button opening the reading preferences: text size, spacing,
+ * dyslexia-friendly font, underlined links and reduced motion. Each change
+ * applies at once and persists through Preferences.
+ */
+
+import { t } from '../i18n.js';
+import { Preferences } from '../preferences.js';
+import { A11y, DOM, Events } from '../utils.js';
+
+// On/off preferences, in the order the panel lists them
+const OPTIONS = ['spacing', 'dyslexicFont', 'underlineLinks', 'reduceMotion'];
+
+export class AccessibilityPanel {
+  constructor(selector = '[data-accessibility-panel]') {
+    this.container = DOM.query(selector);
+    this.toggle = null;
+    this.dialog = null;
+    this.trap = null;
+    this.lastFocus = null;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.container.classList.add('accessibility-panel');
+    this.toggle = DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'accessibility-panel__toggle',
+        'aria-haspopup': 'dialog',
+        'aria-expanded': 'false',
+      },
+      'Aa',
+    );
+    this.container.appendChild(this.toggle);
+    this.render();
+
+    this.cleanup.push(
+      Events.on(this.toggle, 'click', () => this.open()),
+      Events.on(document, 'keydown', e => {
+        if (e.key === 'Escape' && this.isOpen()) this.close();
+      }),
+      // Changed in another tab
+      Events.on(document, 'preferenceschange', () => this.syncFields()),
+      Events.on(document, 'localechange', () => {
+        const wasOpen = this.isOpen();
+        this.close({ restoreFocus: false });
+        this.render();
+        if (wasOpen) this.open();
+      }),
+    );
+  }
+
+  render() {
+    if (this.dialog) this.dialog.remove();
+
+    this.toggle.setAttribute('aria-label', t('a11y.open'));
+    this.toggle.setAttribute('title', t('a11y.open'));
+
+    this.dialog = this.renderDialog();
+    this.dialog.hidden = true;
+    document.body.appendChild(this.dialog);
+    this.trap = A11y.focusTrap(this.dialog);
+
+    this.dialog.addEventListener('change', e => this.handleChange(e));
+    this.dialog.addEventListener('click', e => this.handleClick(e));
+    this.syncFields();
+  }
+
+  renderTextSizes() {
+    return DOM.create(
+      'fieldset',
+      { className: 'accessibility-dialog__sizes' },
+      [
+        DOM.create(
+          'legend',
+          { className: 'accessibility-dialog__legend' },
+          t('a11y.textSize'),
+        ),
+        ...Preferences.textSizes.map(size =>
+          DOM.create('label', { className: 'accessibility-dialog__size' }, [
+            DOM.create('input', {
+              type: 'radio',
+              name: 'textSize',
+              value: String(size),
+            }),
+            // Each choice shows the size it gives
+            DOM.create(
+              'span',
+              { style: `font-size: ${size}%` },
+              t(`a11y.textSize.${size}`),
+            ),
+          ]),
+        ),
+      ],
+    );
+  }
+
+  renderOption(name) {
+    return DOM.create('label', { className: 'accessibility-dialog__option' }, [
+      DOM.create('input', { type: 'checkbox', name }),
+      DOM.create('span', {}, [
+        DOM.create(
+          'strong',
+          { className: 'accessibility-dialog__option-title' },
+          t(`a11y.${name}.title`),
+        ),
+        DOM.create(
+          'span',
+          { className: 'accessibility-dialog__option-text' },
+          t(`a11y.${name}.text`),
+        ),
+      ]),
+    ]);
+  }
+
+  renderDialog() {
+    const panel = DOM.create(
+      'div',
+      { className: 'accessibility-dialog__panel' },
+      [
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'accessibility-dialog__close',
+            'aria-label': t('a11y.close'),
+            'data-accessibility-close': '',
+          },
+          '×',
+        ),
+        DOM.create(
+          'h2',
+          {
+            id: 'accessibility-title',
+            className: 'accessibility-dialog__title',
+          },
+          t('a11y.title'),
+        ),
+        DOM.create(
+          'p',
+          { className: 'accessibility-dialog__text' },
+          t('a11y.text'),
+        ),
+        this.renderTextSizes(),
+        DOM.create(
+          'div',
+          { className: 'accessibility-dialog__options' },
+          OPTIONS.map(name => this.renderOption(name)),
+        ),
+        DOM.create('div', { className: 'accessibility-dialog__actions' }, [
+          DOM.create(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--outline btn--sm',
+              'data-accessibility-reset': '',
+            },
+            t('a11y.reset'),
+          ),
+          DOM.create(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--primary btn--sm',
+              'data-accessibility-close': '',
+            },
+            t('a11y.close'),
+          ),
+        ]),
+      ],
+    );
+
+    return DOM.create(
+      'div',
+      {
+        className: 'accessibility-dialog',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'accessibility-title',
+      },
+      [panel],
+    );
+  }
+
+  isOpen() {
+    return Boolean(this.dialog) && !this.dialog.hidden;
+  }
+
+  open() {
+    if (this.isOpen()) return;
+
+    this.lastFocus = document.activeElement;
+    this.dialog.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+    document.body.classList.add('accessibility-open');
+    this.trap.activate();
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen()) return;
+
+    this.dialog.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+    document.body.classList.remove('accessibility-open');
+    this.trap.deactivate();
+
+    if (restoreFocus && this.lastFocus && this.lastFocus.isConnected) {
+      this.lastFocus.focus();
+    }
+    this.lastFocus = null;
+  }
+
+  handleChange(e) {
+    const { name, value, checked } = e.target;
+
+    if (name === 'textSize') {
+      Preferences.update({ textSize: Number(value) });
+    } else if (OPTIONS.includes(name)) {
+      Preferences.update({ [name]: checked });
+    }
+  }
+
+  handleClick(e) {
+    if (
+      e.target.closest('[data-accessibility-close]') ||
+      e.target === this.dialog
+    ) {
+      this.close();
+    } else if (e.target.closest('[data-accessibility-reset]')) {
+      Preferences.reset();
+      this.syncFields();
+      A11y.announce(t('a11y.resetDone'), 'polite');
+    }
+  }
+
+  // Show the preferences in force
+  syncFields() {
+    const preferences = Preferences.get();
+
+    DOM.queryAll('input[name="textSize"]', this.dialog).forEach(input => {
+      input.checked = Number(input.value) === preferences.textSize;
+    });
+    OPTIONS.forEach(name => {
+      DOM.query(`input[name="${name}"]`, this.dialog).checked =
+        preferences[name];
+    });
+  }
+
+  destroy() {
+    this.close({ restoreFocus: false });
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    this.dialog.remove();
+    this.toggle.remove();
+  }
+}
+
+export default AccessibilityPanel;
@@ -0,0 +1,159 @@
+/**
+ * Age Router Component
+ * Works out a child's age at the requested start date from their date of
+ * birth, names the matching group and ticks the recommended programmes
+ */
+
+import { Ages } from '../ages.js';
+import { I18n, t } from '../i18n.js';
+import { toISODate } from '../validation.js';
+import { DOM, Events } from '../utils.js';
+
+export class AgeRouter {
+  constructor(selector = '[data-age-router]') {
+    this.form = DOM.query(selector);
+    this.birthdate = null;
+    this.start = null;
+    this.summary = null;
+    this.subject = null;
+    this.programmes = [];
+    this.outputs = [];
+    // Choices the visitor made themselves are never overwritten
+    this.touched = false;
+    this.subjectSet = false;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.birthdate = DOM.query('[data-age-birthdate]', this.form);
+    this.start = DOM.query('[data-age-start]', this.form);
+    this.summary = DOM.query('[data-age-summary]', this.form);
+    this.subject = DOM.query('[data-age-subject]', this.form);
+    this.programmes = Array.from(
+      DOM.queryAll('[data-age-programme]', this.form),
+    );
+    this.outputs = Array.from(DOM.queryAll('[data-age-output]', this.form));
+
+    if (!this.birthdate) return;
+
+    this.cleanup.push(
+      Events.on(this.form, 'change', e => this.handleChange(e)),
+      Events.on(this.form, 'reset', () => {
+        this.touched = false;
+        this.subjectSet = false;
+        // Fields only hold their default values once the reset is done
+        setTimeout(() => this.update());
+      }),
+      Events.on(document, 'localechange', () => this.update()),
+    );
+
+    this.update();
+  }
+
+  handleChange(e) {
+    if (e.target === this.birthdate || e.target === this.start) {
+      this.update();
+    } else if (this.programmes.includes(e.target)) {
+      this.touched = true;
+    } else if (e.target === this.subject) {
+      this.subjectSet = false;
+    }
+  }
+
+  /**
+   * Age as words: "3 ans et 4 mois"
+   * @param {Object} age - From Ages.at()
+   * @returns {string} - Age
+   */
+  formatAge({ years, months }) {
+    const parts = [];
+    if (years) parts.push(t('age.years', { count: years }));
+    if (months || !years) parts.push(t('age.months', { count: months }));
+
+    return parts.length > 1
+      ? t('age.yearsMonths', { years: parts[0], months: parts[1] })
+      : parts[0];
+  }
+
+  update() {
+    const start = (this.start && this.start.value) || toISODate(new Date());
+    const route = Ages.route(this.birthdate.value, start);
+
+    this.setOutputs(route);
+    if (!this.summary) return;
+
+    this.summary.hidden = !route;
+    if (!route) {
+      this.summary.textContent = '';
+      return;
+    }
+
+    this.prefill(route);
+    if (route.error) {
+      this.summary.textContent =
+        route.error === 'age.young'
+          ? t('age.summary.young', {
+            date: I18n.formatDate(route.eligibleFrom),
+          })
+          : t('age.summary.old');
+      this.summary.classList.add('age-route--error');
+      return;
+    }
+
+    const age = this.formatAge(route.age);
+    const sentence =
+      this.start && this.start.value
+        ? t('age.summary.start', {
+          age,
+          date: I18n.formatDate(Ages.parse(start)),
+        })
+        : t('age.summary.today', { age });
+    const group = t('age.summary.group', {
+      group: t(`age.group.${route.group}`),
+      programmes: route.programmes
+        .map(id => t(`age.programme.${id}`))
+        .join(', '),
+    });
+
+    this.summary.textContent = `${sentence} ${group}`;
+    this.summary.classList.remove('age-route--error');
+  }
+
+  // Hidden fields sent along with the form
+  setOutputs(route) {
+    const ok = route && !route.error;
+    this.outputs.forEach(output => {
+      if (output.dataset.ageOutput === 'age') {
+        output.value = ok ? this.formatAge(route.age) : '';
+      } else if (output.dataset.ageOutput === 'group') {
+        output.value = ok ? route.group : '';
+      }
+    });
+  }
+
+  prefill(route) {
+    if (!this.touched) {
+      this.programmes.forEach(input => {
+        input.checked = route.programmes.includes(input.value);
+      });
+    }
+
+    if (
+      !route.error &&
+      this.subject &&
+      (!this.subject.value || this.subjectSet)
+    ) {
+      this.subject.value = 'inscription';
+      this.subjectSet = true;
+    }
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default AgeRouter;
@@ -0,0 +1,88 @@
+/**
+ * Consent Embed Component
+ * Third-party frames (e.g. the Google Maps access map) loaded only once their
+ * consent category is allowed; until then a placeholder offers to allow it.
+ *
+ * <div data-consent-embed="maps" data-src="..." data-title="..."
+ *   data-service="Google Maps">fallback without JavaScript</div>
+ */
+
+import { Consent } from '../consent.js';
+import { t } from '../i18n.js';
+import { DOM, Events } from '../utils.js';
+
+export class ConsentEmbed {
+  constructor(selector = '[data-consent-embed]') {
+    this.embeds = Array.from(DOM.queryAll(selector)).map(element => ({
+      element,
+      // The fallback link stays next to the placeholder
+      fallback: Array.from(element.childNodes),
+    }));
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.embeds.length) return;
+
+    this.cleanup.push(
+      Events.on(document, 'consentchange', () => this.render()),
+      Events.on(document, 'localechange', () => this.render()),
+      ...this.embeds.map(({ element }) =>
+        Events.on(element, 'click', e => {
+          if (!e.target.closest('[data-consent-allow]')) return;
+          Consent.update({ [element.dataset.consentEmbed]: true });
+        }),
+      ),
+    );
+
+    this.render();
+  }
+
+  render() {
+    this.embeds.forEach(embed => {
+      const { element } = embed;
+      const allowed = Consent.has(element.dataset.consentEmbed);
+
+      // Already loaded: keep the frame as it is
+      if (allowed && DOM.query('iframe', element)) return;
+      element.innerHTML = '';
+      element.classList.toggle('consent-embed--loaded', allowed);
+
+      if (allowed) {
+        element.appendChild(
+          DOM.create('iframe', {
+            src: element.dataset.src,
+            title: element.dataset.title || '',
+            loading: 'lazy',
+          }),
+        );
+        return;
+      }
+
+      element.append(
+        DOM.create(
+          'p',
+          { className: 'consent-embed__text' },
+          t('consent.embed.text', { service: element.dataset.service || '' }),
+        ),
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--primary btn--sm',
+            'data-consent-allow': '',
+          },
+          t('consent.embed.allow'),
+        ),
+        ...embed.fallback,
+      );
+    });
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default ConsentEmbed;
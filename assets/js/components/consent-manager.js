@@ -0,0 +1,314 @@
+/**
+ * Consent Manager Component
+ * Banner asking for the visitor's privacy choices, and a preferences dialog
+ * opened from any [data-consent-open] button to change them later.
+ * Checkboxes with data-consent-category (e.g. the newsletter opt-in of the
+ * contact form) follow and update their category.
+ */
+
+import { Consent } from '../consent.js';
+import { t } from '../i18n.js';
+import { A11y, DOM, Events } from '../utils.js';
+
+// Relative to this module, so it works from pages in sub-folders too
+const POLICY_URL = new URL(
+  '../../../politique-confidentialite.html',
+  import.meta.url,
+).href;
+
+export class ConsentManager {
+  constructor(selector = '[data-consent-open]') {
+    this.selector = selector;
+    this.banner = null;
+    this.dialog = null;
+    this.trap = null;
+    this.lastFocus = null;
+    this.cleanup = [];
+
+  }
+
+  init() {
+    this.render();
+    this.syncFields();
+
+    this.cleanup.push(
+      Events.on(document, 'click', e => this.handleClick(e)),
+      Events.on(document, 'submit', e => this.handleSubmit(e)),
+      Events.on(document, 'change', e => this.handleFieldChange(e)),
+      Events.on(document, 'keydown', e => {
+        if (e.key === 'Escape' && this.isOpen()) this.close();
+      }),
+      Events.on(document, 'consentchange', () => {
+        this.syncFields();
+        // Answered, here or from a consent checkbox of the page
+        if (this.banner) {
+          this.banner.remove();
+          this.banner = null;
+        }
+      }),
+      Events.on(document, 'localechange', () => {
+        const wasOpen = this.isOpen();
+        this.close({ restoreFocus: false });
+        this.render();
+        if (wasOpen) this.open();
+      }),
+    );
+  }
+
+  render() {
+    if (this.banner) this.banner.remove();
+    if (this.dialog) this.dialog.remove();
+
+    this.banner = Consent.isRequired() ? this.renderBanner() : null;
+    this.dialog = this.renderDialog();
+    this.dialog.hidden = true;
+
+    if (this.banner) document.body.appendChild(this.banner);
+    document.body.appendChild(this.dialog);
+    this.trap = A11y.focusTrap(this.dialog);
+  }
+
+  // Text with a link to the privacy policy in place of {link}
+  renderText(tag, className, key) {
+    const [before, after] = t(key).split('{link}');
+    const element = DOM.create(tag, { className }, before);
+    if (after !== undefined) {
+      element.append(
+        DOM.create('a', { href: POLICY_URL }, t('consent.policy')),
+        after,
+      );
+    }
+    return element;
+  }
+
+  renderBanner() {
+    return DOM.create(
+      'div',
+      {
+        className: 'consent-banner',
+        role: 'region',
+        'aria-label': t('consent.label'),
+      },
+      [
+        this.renderText('p', 'consent-banner__text', 'consent.banner.text'),
+        DOM.create('div', { className: 'consent-banner__actions' }, [
+          DOM.create(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--primary btn--sm',
+              'data-consent-accept': '',
+            },
+            t('consent.accept'),
+          ),
+          DOM.create(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--outline btn--sm',
+              'data-consent-refuse': '',
+            },
+            t('consent.refuse'),
+          ),
+          DOM.create(
+            'button',
+            {
+              type: 'button',
+              className: 'btn btn--outline btn--sm',
+              'data-consent-open': '',
+            },
+            t('consent.customize'),
+          ),
+        ]),
+      ],
+    );
+  }
+
+  renderOption(category, { checked, disabled = false }) {
+    const input = DOM.create('input', {
+      type: 'checkbox',
+      name: 'category',
+      value: category,
+    });
+    input.checked = checked;
+    input.disabled = disabled;
+
+    return DOM.create('label', { className: 'consent-dialog__option' }, [
+      input,
+      DOM.create('span', {}, [
+        DOM.create(
+          'strong',
+          { className: 'consent-dialog__option-title' },
+          t(`consent.category.${category}.title`),
+        ),
+        DOM.create(
+          'span',
+          { className: 'consent-dialog__option-text' },
+          t(`consent.category.${category}.text`),
+        ),
+      ]),
+    ]);
+  }
+
+  renderDialog() {
+    const record = Consent.get();
+    const form = DOM.create('form', { className: 'consent-dialog__panel' }, [
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'consent-dialog__close',
+          'aria-label': t('consent.close'),
+          'data-consent-close': '',
+        },
+        '×',
+      ),
+      DOM.create(
+        'h2',
+        { id: 'consent-title', className: 'consent-dialog__title' },
+        t('consent.dialog.title'),
+      ),
+      this.renderText('p', 'consent-dialog__text', 'consent.dialog.text'),
+      DOM.create('div', { className: 'consent-dialog__options' }, [
+        // Needed for the site to work, so always on
+        this.renderOption('essential', { checked: true, disabled: true }),
+        ...Consent.categories.map(category =>
+          this.renderOption(category, {
+            checked: Boolean(record && record.categories[category]),
+          }),
+        ),
+      ]),
+      DOM.create('div', { className: 'consent-dialog__actions' }, [
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--outline btn--sm',
+            'data-consent-refuse': '',
+          },
+          t('consent.refuse'),
+        ),
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--outline btn--sm',
+            'data-consent-accept': '',
+          },
+          t('consent.accept'),
+        ),
+        DOM.create(
+          'button',
+          { type: 'submit', className: 'btn btn--primary btn--sm' },
+          t('consent.save'),
+        ),
+      ]),
+    ]);
+
+    return DOM.create(
+      'div',
+      {
+        className: 'consent-dialog',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'consent-title',
+      },
+      [form],
+    );
+  }
+
+  getOptions() {
+    return Array.from(
+      DOM.queryAll('input[name="category"]:not(:disabled)', this.dialog),
+    );
+  }
+
+  isOpen() {
+    return Boolean(this.dialog) && !this.dialog.hidden;
+  }
+
+  open() {
+    if (this.isOpen()) return;
+
+    // Show the saved choices, not the ones left unsaved last time
+    const record = Consent.get();
+    this.getOptions().forEach(input => {
+      input.checked = Boolean(record && record.categories[input.value]);
+    });
+
+    this.lastFocus = document.activeElement;
+    this.dialog.hidden = false;
+    document.body.classList.add('consent-open');
+    this.trap.activate();
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen()) return;
+
+    this.dialog.hidden = true;
+    document.body.classList.remove('consent-open');
+    this.trap.deactivate();
+
+    if (restoreFocus && this.lastFocus && this.lastFocus.isConnected) {
+      this.lastFocus.focus();
+    }
+    this.lastFocus = null;
+  }
+
+  save(choices) {
+    Consent.save(choices);
+    this.close();
+    A11y.announce(t('consent.saved'), 'polite');
+  }
+
+  handleClick(e) {
+    if (e.target.closest(this.selector)) {
+      this.open();
+    } else if (
+      e.target.closest('[data-consent-close]') ||
+      e.target === this.dialog
+    ) {
+      this.close();
+    } else if (e.target.closest('[data-consent-accept]')) {
+      this.save(
+        Object.fromEntries(Consent.categories.map(category => [category, true])),
+      );
+    } else if (e.target.closest('[data-consent-refuse]')) {
+      this.save({});
+    }
+  }
+
+  handleSubmit(e) {
+    if (!this.dialog.contains(e.target)) return;
+
+    e.preventDefault();
+    this.save(
+      Object.fromEntries(
+        this.getOptions().map(input => [input.value, input.checked]),
+      ),
+    );
+  }
+
+  handleFieldChange(e) {
+    const category = e.target.dataset && e.target.dataset.consentCategory;
+    if (!category) return;
+
+    Consent.update({ [category]: e.target.checked });
+  }
+
+  syncFields() {
+    DOM.queryAll('input[data-consent-category]').forEach(input => {
+      input.checked = Consent.has(input.dataset.consentCategory);
+    });
+  }
+
+  destroy() {
+    this.close({ restoreFocus: false });
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    if (this.banner) this.banner.remove();
+    this.dialog.remove();
+  }
+}
+
+export default ConsentManager;
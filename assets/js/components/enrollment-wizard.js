@@ -0,0 +1,887 @@
+/**
+ * Enrollment Wizard Component
+ * Online pre-registration in steps: parent, children, wished care and review.
+ * Each step is checked by its own FormValidator, the answers are kept as a
+ * draft in Storage until they are sent or for a week at most (without the
+ * children's health notes), and the review doubles as a printable recap
+ */
+
+import { FormValidator } from './form-validator.js';
+import { I18n, t } from '../i18n.js';
+import { Outbox } from '../outbox.js';
+import { Submission } from '../submission.js';
+import { Tarifs } from '../tarifs.js';
+import { Validation } from '../validation.js';
+import { A11y, DOM, Events, Form, Storage } from '../utils.js';
+
+const DRAFT_KEY = 'inscription-draft';
+// A draft older than this is dropped rather than restored
+const DRAFT_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+// Health details stay off the device
+const UNSAVED_FIELD = /^child-\d+-notes$/;
+const MAX_CHILDREN = 4;
+const SAVE_DELAY = 400;
+
+export class EnrollmentWizard {
+  constructor(selector = '[data-enrollment-wizard]', options = {}) {
+    this.form = DOM.query(selector);
+    this.outbox = options.outbox || null;
+    this.steps = [];
+    this.validators = [];
+    this.step = 0;
+    this.children = 0;
+    this.grid = null;
+    this.progress = null;
+    this.actions = null;
+    this.estimate = null;
+    this.sending = false;
+    this.sent = false;
+    this.cleanup = [];
+  }
+
+  async init() {
+    if (!this.form) return;
+
+    DOM.queryAll('[data-wizard-fallback]').forEach(element => element.remove());
+    this.form.hidden = false;
+
+    this.steps = Array.from(DOM.queryAll('[data-wizard-step]', this.form));
+    this.childList = DOM.query('[data-wizard-children]', this.form);
+    this.childTemplate = DOM.query('template[data-wizard-child]', this.form);
+    this.tarifs = DOM.query('[data-wizard-tarifs]', this.form);
+    this.recap = DOM.query('[data-wizard-recap]', this.form);
+    this.validators = this.steps.map(step => {
+      const validator = new FormValidator(`#${step.id}`);
+      validator.init();
+      return validator;
+    });
+
+    try {
+      this.grid = await Tarifs.load(this.form.dataset.tarifs);
+    } catch (error) {
+      // Parents can still describe what they need in the comments
+      this.reportError(error);
+    }
+
+    const draft = this.loadDraft();
+    this.children = draft ? draft.children : 1;
+    this.refresh(draft ? draft.values : {});
+    this.goTo(draft ? Math.min(draft.step, this.steps.length - 1) : 0, {
+      focus: false,
+    });
+
+    if (draft) {
+      this.showDraftNotice(draft.savedAt);
+    }
+
+    this.cleanup.push(
+      Events.on(this.form, 'click', e => this.handleClick(e)),
+      Events.on(this.form, 'change', e => this.handleChange(e)),
+      Events.on(
+        this.form,
+        'input',
+        Events.debounce(() => this.saveDraft(), SAVE_DELAY),
+      ),
+      Events.on(this.form, 'submit', e => this.handleSubmit(e)),
+      Events.on(document, 'localechange', () => {
+        if (this.sent) {
+          this.renderRecap();
+          return;
+        }
+        this.refresh(this.readValues());
+        this.goTo(this.step, { focus: false });
+      }),
+      Events.on(window, 'afterprint', () =>
+        document.body.classList.remove('is-printing-inscription'),
+      ),
+    );
+  }
+
+  // Build the generated parts of the wizard, then fill in the values
+  refresh(values) {
+    DOM.queryAll(
+      '.enrollment__progress, .enrollment__actions, .enrollment__add',
+      this.form,
+    ).forEach(element => element.remove());
+
+    this.progress = this.renderProgress();
+    this.actions = this.renderActions();
+    this.form.insertBefore(this.progress, this.steps[0]);
+    this.form.appendChild(this.actions);
+    this.childList.after(
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--secondary enrollment__add',
+          'data-wizard-add-child': '',
+        },
+        t('inscription.child.add'),
+      ),
+    );
+
+    this.renderTarifs();
+    this.setChildren(this.children, values);
+    this.writeValues(values);
+    this.updateProgram();
+  }
+
+  renderProgress() {
+    return DOM.create(
+      'ol',
+      {
+        className: 'enrollment__progress',
+        'aria-label': t('inscription.progress.label'),
+      },
+      this.steps.map((step, index) => {
+        const button = DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'enrollment__progress-button',
+            'data-wizard-goto': index,
+          },
+          [
+            DOM.create(
+              'span',
+              {
+                className: 'enrollment__progress-number',
+                'aria-hidden': 'true',
+              },
+              String(index + 1),
+            ),
+          ],
+        );
+        button.append(` ${this.getTitle(step)}`);
+
+        return DOM.create('li', { className: 'enrollment__progress-item' }, [
+          button,
+        ]);
+      }),
+    );
+  }
+
+  renderActions() {
+    return DOM.create('div', { className: 'enrollment__actions' }, [
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--secondary',
+          'data-wizard-prev': '',
+        },
+        t('inscription.previous'),
+      ),
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--primary',
+          'data-wizard-next': '',
+        },
+        t('inscription.next'),
+      ),
+      DOM.create(
+        'button',
+        {
+          type: 'submit',
+          className: 'btn btn--primary btn--lg',
+          'data-wizard-submit': '',
+        },
+        t('inscription.submit'),
+      ),
+      DOM.create('span', {
+        className: 'enrollment__saved',
+        'data-wizard-saved': '',
+      }),
+    ]);
+  }
+
+  renderTarifs() {
+    this.tarifs.innerHTML = '';
+    this.estimate = null;
+
+    if (!this.grid) {
+      this.tarifs.appendChild(
+        DOM.create(
+          'p',
+          { className: 'enrollment__notice' },
+          t('inscription.tarifs.error'),
+        ),
+      );
+      return;
+    }
+
+    const select = (id, name, label, options) =>
+      DOM.create('div', { className: 'form-group' }, [
+        DOM.create('label', { for: id, className: 'form-label' }, label),
+        DOM.create(
+          'select',
+          { id, name, className: 'form-select' },
+          options.map(([value, text]) => DOM.create('option', { value }, text)),
+        ),
+      ]);
+
+    const days = this.grid.days.map(day =>
+      select(`inscription-day-${day.id}`, `day-${day.id}`, Tarifs.label(day), [
+        ['', t('tarifs.day.none')],
+        ...day.options.map(option => [
+          option.id,
+          `${Tarifs.label(option)} (${Tarifs.formatPrice(option.price)})`,
+        ]),
+      ]),
+    );
+
+    const extras = this.grid.extras.map(extra => {
+      const label = DOM.create('label', { className: 'enrollment__option' }, [
+        DOM.create('input', {
+          type: 'checkbox',
+          name: 'extras',
+          value: extra.id,
+        }),
+      ]);
+      label.append(
+        ` ${Tarifs.label(extra)} (${Tarifs.formatPrice(extra.price)} ${t(
+          'tarifs.perDay',
+        )})`,
+      );
+      return label;
+    });
+
+    const transport = [
+      select(
+        'inscription-transport-zone',
+        'transport-zone',
+        t('tarifs.transport.zone'),
+        [
+          ['', t('tarifs.transport.none')],
+          ...this.grid.transport.map(item => [
+            item.id,
+            `${Tarifs.label(item)} (${Tarifs.formatPrice(item.price)} ${t(
+              'tarifs.perTrip',
+            )})`,
+          ]),
+        ],
+      ),
+      select(
+        'inscription-transport-trips',
+        'transport-trips',
+        t('tarifs.transport.trips'),
+        [
+          ['2', t('tarifs.transport.roundTrip')],
+          ['1', t('tarifs.transport.oneWay')],
+        ],
+      ),
+    ];
+
+    const group = (legend, fields) =>
+      DOM.create('fieldset', { className: 'enrollment__group' }, [
+        DOM.create('legend', {}, legend),
+        ...fields,
+      ]);
+
+    this.estimate = DOM.create('p', {
+      className: 'enrollment__estimate',
+      'aria-live': 'polite',
+    });
+
+    this.tarifs.appendChild(group(t('tarifs.days.legend'), days));
+    this.tarifs.appendChild(group(t('tarifs.extras.legend'), extras));
+    this.tarifs.appendChild(group(t('tarifs.transport.legend'), transport));
+    this.tarifs.appendChild(this.estimate);
+  }
+
+  renderChild(number) {
+    const wrapper = DOM.create('div');
+    wrapper.innerHTML = this.childTemplate.innerHTML
+      .replace(/\{n\}/g, number)
+      .trim();
+
+    const child = wrapper.firstElementChild;
+    DOM.query('legend', child).textContent = t('inscription.child.title', {
+      number,
+    });
+
+    if (this.children > 1) {
+      child.appendChild(
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--secondary enrollment__remove',
+            'data-wizard-remove-child': number,
+          },
+          t('inscription.child.remove', { number }),
+        ),
+      );
+    }
+
+    return child;
+  }
+
+  setChildren(count, values = this.readValues()) {
+    this.children = Math.min(
+      Math.max(parseInt(count, 10) || 1, 1),
+      MAX_CHILDREN,
+    );
+
+    this.childList.innerHTML = '';
+    for (let number = 1; number <= this.children; number++) {
+      this.childList.appendChild(this.renderChild(number));
+    }
+    this.writeValues(values);
+
+    const add = DOM.query('[data-wizard-add-child]', this.form);
+    if (add) {
+      add.hidden = this.children >= MAX_CHILDREN;
+    }
+
+    // The step's validator has to learn the new children's fields
+    const index = this.steps.indexOf(
+      this.childList.closest('[data-wizard-step]'),
+    );
+    this.validators[index].refreshFields();
+  }
+
+  removeChild(number) {
+    const values = {};
+
+    // Later children move up one place
+    Object.entries(this.readValues()).forEach(([name, value]) => {
+      const match = name.match(/^child-(\d+)-(.+)$/);
+      const position = match ? Number(match[1]) : 0;
+
+      if (position === number) return;
+      values[position > number ? `child-${position - 1}-${match[2]}` : name] =
+        value;
+    });
+
+    this.setChildren(this.children - 1, values);
+  }
+
+  readValues() {
+    const values = {};
+
+    Array.from(this.form.elements).forEach(field => {
+      if (!field.name || field.type === 'hidden' || field.type === 'submit') {
+        return;
+      }
+
+      if (field.type === 'checkbox') {
+        values[field.name] = values[field.name] || [];
+        if (field.checked) values[field.name].push(field.value);
+      } else {
+        values[field.name] = field.value;
+      }
+    });
+
+    return values;
+  }
+
+  writeValues(values) {
+    Array.from(this.form.elements).forEach(field => {
+      if (!field.name || !(field.name in values) || field.type === 'hidden') {
+        return;
+      }
+
+      if (field.type === 'checkbox') {
+        field.checked = [].concat(values[field.name]).includes(field.value);
+      } else {
+        field.value = values[field.name];
+      }
+    });
+  }
+
+  // The saved draft, unless it has expired
+  loadDraft() {
+    const draft = Storage.getItem(DRAFT_KEY);
+    if (draft && Date.now() - draft.savedAt < DRAFT_LIFETIME) return draft;
+
+    Storage.removeItem(DRAFT_KEY);
+    return null;
+  }
+
+  saveDraft() {
+    if (this.sending || this.sent) return;
+
+    // Consent is asked again each time
+    const values = this.readValues();
+    Array.from(this.steps[this.steps.length - 1].elements).forEach(field => {
+      delete values[field.name];
+    });
+    Object.keys(values)
+      .filter(name => UNSAVED_FIELD.test(name))
+      .forEach(name => delete values[name]);
+
+    const savedAt = Date.now();
+    if (
+      Storage.setItem(DRAFT_KEY, {
+        step: this.step,
+        children: this.children,
+        values,
+        savedAt,
+      })
+    ) {
+      DOM.query('[data-wizard-saved]', this.form).textContent = t(
+        'inscription.draft.saved',
+        {
+          time: I18n.formatDate(new Date(savedAt), {
+            hour: '2-digit',
+            minute: '2-digit',
+          }),
+        },
+      );
+    }
+  }
+
+  showDraftNotice(savedAt) {
+    const notice = this.showAlert(
+      'info',
+      t('inscription.draft.title'),
+      t('inscription.draft.restored', {
+        date: I18n.formatDate(new Date(savedAt)),
+      }),
+    );
+
+    DOM.query('.alert__content', notice).appendChild(
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--secondary',
+          'data-wizard-reset': '',
+        },
+        t('inscription.draft.reset'),
+      ),
+    );
+  }
+
+  reset() {
+    Storage.removeItem(DRAFT_KEY);
+    this.form.reset();
+    this.removeAlerts();
+    this.setChildren(1, {});
+    this.updateProgram();
+    DOM.query('[data-wizard-saved]', this.form).textContent = '';
+    this.goTo(0);
+  }
+
+  getTitle(step) {
+    return DOM.query('legend', step).textContent.trim();
+  }
+
+  goTo(index, { focus = true } = {}) {
+    const last = this.steps.length - 1;
+    this.step = index;
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== index;
+    });
+
+    DOM.queryAll('.enrollment__progress-item', this.progress).forEach(
+      (item, i) => {
+        const button = DOM.query('button', item);
+        // Only the steps already done can be reopened
+        button.disabled = i >= index;
+        item.classList.toggle('is-done', i < index);
+        if (i === index) {
+          item.setAttribute('aria-current', 'step');
+        } else {
+          item.removeAttribute('aria-current');
+        }
+      },
+    );
+
+    DOM.query('[data-wizard-prev]', this.actions).hidden = index === 0;
+    DOM.query('[data-wizard-next]', this.actions).hidden = index === last;
+    DOM.query('[data-wizard-submit]', this.actions).hidden = index !== last;
+
+    if (index === last) {
+      this.renderRecap();
+    }
+    this.emitStep(this.steps[index].id);
+
+    if (focus) {
+      const step = this.steps[index];
+      step.setAttribute('tabindex', '-1');
+      step.focus();
+      step.scrollIntoView({
+        behavior: A11y.prefersReducedMotion() ? 'auto' : 'smooth',
+        block: 'start',
+      });
+      A11y.announce(
+        t('inscription.progress.status', {
+          step: index + 1,
+          total: this.steps.length,
+          title: this.getTitle(step),
+        }),
+      );
+    }
+  }
+
+  async next() {
+    if (!(await this.validators[this.step].validate())) return;
+
+    this.goTo(this.step + 1);
+    this.saveDraft();
+  }
+
+  updateProgram() {
+    const program = DOM.query('[data-wizard-program]', this.form);
+    const active =
+      Boolean(program) && program.value === this.tarifs.dataset.program;
+
+    this.tarifs.hidden = !active;
+    DOM.queryAll('input, select', this.tarifs).forEach(field => {
+      field.disabled = !active;
+    });
+
+    this.updateEstimate();
+  }
+
+  getSelection() {
+    const field = name => DOM.query(`[name="${name}"]`, this.tarifs);
+    const days = {};
+
+    this.grid.days.forEach(day => {
+      days[day.id] = field(`day-${day.id}`).value;
+    });
+
+    return {
+      days,
+      extras: Array.from(
+        DOM.queryAll('[name="extras"]:checked', this.tarifs),
+      ).map(checkbox => checkbox.value),
+      transport: {
+        zone: field('transport-zone').value,
+        trips: Number(field('transport-trips').value),
+      },
+    };
+  }
+
+  getEstimate() {
+    if (!this.grid || this.tarifs.hidden) return null;
+    return Tarifs.estimate(this.grid, this.getSelection());
+  }
+
+  updateEstimate() {
+    if (!this.estimate) return;
+
+    const trips = DOM.query('[name="transport-trips"]', this.tarifs);
+    trips.disabled =
+      this.tarifs.hidden ||
+      !DOM.query('[name="transport-zone"]', this.tarifs).value;
+
+    const estimate = this.getEstimate();
+    this.estimate.textContent =
+      estimate && estimate.days
+        ? t('inscription.estimate', {
+          week: Tarifs.formatPrice(estimate.totals.week),
+          month: Tarifs.formatPrice(estimate.totals.month),
+        })
+        : t('inscription.estimate.empty');
+  }
+
+  // "Label : value" entries of the filled fields of a fieldset
+  describe(fieldset) {
+    const entries = new Map();
+
+    Array.from(fieldset.elements).forEach(field => {
+      if (
+        !field.name ||
+        field.disabled ||
+        field.type === 'hidden' ||
+        field.closest('fieldset') !== fieldset
+      ) {
+        return;
+      }
+
+      let value = field.value.trim();
+      if (field.type === 'checkbox') {
+        if (!field.checked) return;
+        value = field.closest('label').textContent.trim();
+      } else if (field.tagName === 'SELECT') {
+        value = field.value ? field.selectedOptions[0].textContent.trim() : '';
+      } else if (field.type === 'date' && value) {
+        value = I18n.formatDate(new Date(`${value}T00:00:00`));
+      }
+      if (!value) return;
+
+      // Checkboxes are listed under the fieldset's legend
+      const label =
+        field.type === 'checkbox'
+          ? this.getTitle(fieldset)
+          : Validation.getLabel(field);
+      const entry = entries.get(field.name) || { label, values: [] };
+      entry.values.push(value);
+      entries.set(field.name, entry);
+    });
+
+    return Array.from(entries.values());
+  }
+
+  renderRecap() {
+    const list = entries =>
+      DOM.create(
+        'dl',
+        { className: 'enrollment__recap-list' },
+        entries.flatMap(entry => [
+          DOM.create('dt', {}, entry.label),
+          DOM.create('dd', {}, entry.values.join(', ')),
+        ]),
+      );
+
+    const sections = this.steps.slice(0, -1).map((step, index) => {
+      const content = [
+        DOM.create('div', { className: 'enrollment__recap-header' }, [
+          DOM.create('h4', {}, this.getTitle(step)),
+          DOM.create(
+            'button',
+            {
+              type: 'button',
+              className: 'enrollment__edit',
+              'data-wizard-goto': index,
+              ...(this.sent ? { hidden: '' } : {}),
+            },
+            t('inscription.edit'),
+          ),
+        ]),
+      ];
+
+      const own = this.describe(step);
+      if (own.length) content.push(list(own));
+
+      DOM.queryAll('fieldset', step).forEach(group => {
+        const entries = this.describe(group);
+        if (!entries.length) return;
+
+        // Checkboxes are already labelled with their group's legend
+        const title = this.getTitle(group);
+        if (entries.some(entry => entry.label !== title)) {
+          content.push(DOM.create('h5', {}, title));
+        }
+        content.push(list(entries));
+      });
+
+      const estimate = step.contains(this.tarifs) && this.getEstimate();
+      if (estimate && estimate.days) {
+        content.push(DOM.create('p', {}, this.estimate.textContent));
+      }
+
+      return DOM.create(
+        'section',
+        { className: 'enrollment__recap-section' },
+        content,
+      );
+    });
+
+    this.recap.innerHTML = '';
+    this.recap.appendChild(
+      DOM.create(
+        'h3',
+        { className: 'enrollment__recap-title' },
+        t('inscription.recap.title'),
+      ),
+    );
+    sections.forEach(section => this.recap.appendChild(section));
+    this.recap.appendChild(
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--secondary enrollment__print',
+          'data-wizard-print': '',
+        },
+        t('inscription.print'),
+      ),
+    );
+  }
+
+  showAlert(kind, title, text) {
+    this.removeAlerts();
+
+    const alert = DOM.create(
+      'div',
+      {
+        className: `alert alert--${kind}`,
+        'aria-live': kind === 'error' ? 'assertive' : 'polite',
+        tabindex: '-1',
+      },
+      [
+        DOM.create('div', { className: 'alert__content' }, [
+          DOM.create('div', { className: 'alert__title' }, title),
+          DOM.create('div', { className: 'alert__message' }, text),
+        ]),
+      ],
+    );
+
+    this.form.insertBefore(alert, this.progress);
+    return alert;
+  }
+
+  removeAlerts() {
+    DOM.queryAll(':scope > .alert', this.form).forEach(alert => alert.remove());
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (this.sending) return;
+
+    // Enter in a field of an earlier step moves on
+    if (this.step < this.steps.length - 1) {
+      this.next();
+      return;
+    }
+
+    // A restored draft may skip steps that are no longer valid
+    for (const [index, validator] of this.validators.entries()) {
+      const results = await Promise.all(
+        validator.fields.map(field => Validation.validateField(field)),
+      );
+      if (!results.every(result => result.isValid)) {
+        if (index !== this.step) this.goTo(index);
+        validator.validate();
+        return;
+      }
+    }
+
+    this.send();
+  }
+
+  async send() {
+    const config = Submission.configFromForm(this.form);
+    const data = this.validators[0].normalizeData(Form.serialize(this.form));
+    const submit = DOM.query('[data-wizard-submit]', this.actions);
+    // Only a request to an endpoint waits in the outbox: a draft opens in the
+    // visitor's mail or WhatsApp app, which keeps it while offline
+    const canQueue = Boolean(this.outbox) && config.transport === 'http';
+
+    this.sending = true;
+    submit.disabled = true;
+    submit.textContent = t('form.sending');
+    this.emitStep('submit');
+
+    try {
+      if (canQueue && !navigator.onLine) {
+        this.outbox.enqueue(data, config);
+        this.emitStep('queued');
+        this.complete(t('form.queued.title'), t('form.queued.message'));
+        return;
+      }
+
+      const result = await Submission.send(data, config);
+      this.emitStep(result.channel === 'http' ? 'sent' : 'draft');
+
+      if (result.channel === 'http') {
+        this.complete(
+          t('inscription.success.title'),
+          t('inscription.success.message'),
+        );
+      } else {
+        // mailto: and WhatsApp only open a draft, keep ours until it is sent
+        this.showAlert(
+          'success',
+          t('form.draft.title'),
+          t('form.draft.message'),
+        );
+      }
+    } catch (error) {
+      if (canQueue && Outbox.isOfflineError(error)) {
+        this.outbox.enqueue(data, config);
+        this.emitStep('queued');
+        this.complete(t('form.queued.title'), t('form.queued.message'));
+        return;
+      }
+
+      this.emitStep('failed');
+      this.reportError(error);
+      this.showAlert(
+        'error',
+        t('form.error.title'),
+        this.validators[this.step].getSubmissionErrorMessage(error),
+      ).focus();
+    } finally {
+      this.sending = false;
+      submit.disabled = false;
+      submit.textContent = t('inscription.submit');
+    }
+  }
+
+  // Reported like a component that fails to mount
+  reportError(error) {
+    Events.emit(document, 'componenterror', {
+      name: 'enrollment-wizard',
+      element: this.form,
+      error,
+    });
+  }
+
+  // Funnel step, for the audience measurement (see analytics.js)
+  emitStep(step) {
+    Events.emit(document, 'formstep', { form: this.form.id, step });
+  }
+
+  // Sent or queued: only the recap stays, to print or save as PDF
+  complete(title, message) {
+    Storage.removeItem(DRAFT_KEY);
+
+    this.sent = true;
+    this.form.classList.add('enrollment--sent');
+    this.progress.hidden = true;
+    this.actions.hidden = true;
+    DOM.queryAll('.enrollment__consent, .enrollment__edit', this.form).forEach(
+      element => {
+        element.hidden = true;
+      },
+    );
+
+    this.showAlert('success', title, message).focus();
+  }
+
+  handleChange(e) {
+    if (e.target.matches('[data-wizard-program]')) {
+      this.updateProgram();
+    } else if (this.tarifs.contains(e.target)) {
+      this.updateEstimate();
+    }
+
+    this.saveDraft();
+  }
+
+  handleClick(e) {
+    const goto = e.target.closest('[data-wizard-goto]');
+    const remove = e.target.closest('[data-wizard-remove-child]');
+
+    if (e.target.closest('[data-wizard-next]')) {
+      this.next();
+    } else if (e.target.closest('[data-wizard-prev]')) {
+      this.goTo(this.step - 1);
+      this.saveDraft();
+    } else if (goto) {
+      this.goTo(Number(goto.dataset.wizardGoto));
+      this.saveDraft();
+    } else if (e.target.closest('[data-wizard-add-child]')) {
+      this.setChildren(this.children + 1);
+      DOM.query(`#child-${this.children}-firstname`, this.form).focus();
+      this.saveDraft();
+    } else if (remove) {
+      this.removeChild(Number(remove.dataset.wizardRemoveChild));
+      DOM.query('[data-wizard-add-child]', this.form).focus();
+      this.saveDraft();
+    } else if (e.target.closest('[data-wizard-reset]')) {
+      this.reset();
+    } else if (e.target.closest('[data-wizard-print]')) {
+      // Print only the recap, see styles.css
+      document.body.classList.add('is-printing-inscription');
+      window.print();
+    }
+  }
+
+  destroy() {
+    this.validators.forEach(validator => validator.destroy());
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default EnrollmentWizard;
@@ -0,0 +1,403 @@
+/**
+ * FAQ Accordion Component
+ * Enhances the .faq markup, or renders the questions of a JSON file
+ * (data-source) with a search field that highlights matching words.
+ * data-faq-mode="single" keeps one answer open at a time. A question with an
+ * id opens from the URL hash, and the questions are published to search
+ * engines as schema.org FAQPage data.
+ */
+
+import { FAQ } from '../faq.js';
+import { I18n, t } from '../i18n.js';
+import { A11y, Animation, DOM, Events } from '../utils.js';
+
+export class FAQAccordion {
+  constructor(selector = '.faq') {
+    this.container = DOM.query(selector);
+    this.items = [];
+    this.data = null;
+    this.single = false;
+    this.query = '';
+    this.search = null;
+    this.status = null;
+    this.schema = null;
+    this.cleanup = [];
+  }
+
+  async init() {
+    if (!this.container) return;
+
+    this.single = this.container.dataset.faqMode === 'single';
+
+    if (this.container.dataset.source) {
+      try {
+        this.data = await FAQ.load(this.container.dataset.source);
+      } catch (error) {
+        // Reported like a component that fails to mount
+        Events.emit(document, 'componenterror', {
+          name: 'faq-accordion',
+          element: this.container,
+          error,
+        });
+        this.container.textContent = t('faq.error');
+        return;
+      }
+      this.render();
+    } else {
+      this.setupItems();
+      this.updateSchema();
+    }
+
+    // Delay before a typed search is applied
+    const applySearch = Events.debounce(() => {
+      this.query = this.search.value;
+      this.filter();
+    }, 250);
+
+    this.cleanup.push(
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      // Delegated: the search field is rebuilt when the language changes
+      Events.on(this.container, 'input', e => {
+        if (e.target === this.search) applySearch();
+      }),
+      Events.on(this.container, 'submit', e => e.preventDefault()),
+      Events.on(window, 'hashchange', () => this.openFromHash()),
+      Events.on(document, 'localechange', () => {
+        if (this.data) this.render();
+      }),
+    );
+
+    // Deep link: open the question named in the URL
+    this.openFromHash();
+  }
+
+  render() {
+    const open = this.items
+      .filter(item => this.isOpen(item))
+      .map(item => item.element.id);
+
+    this.container.innerHTML = '';
+
+    this.search = DOM.create('input', {
+      type: 'search',
+      id: 'faq-search',
+      className: 'faq__search',
+      placeholder: t('faq.search.placeholder'),
+      autocomplete: 'off',
+    });
+    this.search.value = this.query;
+    this.status = DOM.create('p', {
+      className: 'faq__status',
+      'aria-live': 'polite',
+    });
+
+    this.container.appendChild(
+      DOM.create('form', { className: 'faq__form', role: 'search' }, [
+        DOM.create(
+          'label',
+          { for: 'faq-search', className: 'sr-only' },
+          t('faq.search.label'),
+        ),
+        this.search,
+      ]),
+    );
+    this.container.appendChild(this.status);
+
+    this.data.categories.forEach(category => {
+      const questions = this.data.questions.filter(
+        question => question.category === category.id,
+      );
+      if (!questions.length) return;
+
+      this.container.appendChild(
+        DOM.create('section', { className: 'faq__category' }, [
+          DOM.create(
+            'h2',
+            { className: 'faq__category-title' },
+            I18n.localize(category.label),
+          ),
+          ...questions.map(question => this.renderItem(question)),
+        ]),
+      );
+    });
+
+    this.setupItems();
+    this.items
+      .filter(item => open.includes(item.element.id))
+      .forEach(item => this.openItem(item, { animate: false }));
+    this.filter({ open: false });
+    this.updateSchema();
+  }
+
+  renderItem(question) {
+    const answer = I18n.localize(question.answer).map(text =>
+      DOM.create('p', {}, text),
+    );
+
+    if (question.link) {
+      answer.push(
+        DOM.create('p', { className: 'faq__more' }, [
+          DOM.create(
+            'a',
+            { href: question.link.href },
+            I18n.localize(question.link.label),
+          ),
+        ]),
+      );
+    }
+
+    answer.push(
+      DOM.create(
+        'a',
+        { href: `#${question.id}`, className: 'faq__permalink' },
+        t('faq.permalink'),
+      ),
+    );
+
+    return DOM.create('div', { className: 'faq__item', id: question.id }, [
+      DOM.create('h3', { className: 'faq__heading' }, [
+        DOM.create('button', { type: 'button', className: 'faq__question' }, [
+          DOM.create(
+            'span',
+            { className: 'faq__label' },
+            I18n.localize(question.question),
+          ),
+          DOM.create(
+            'span',
+            { className: 'faq__icon', 'aria-hidden': 'true' },
+            '▼',
+          ),
+        ]),
+      ]),
+      DOM.create('div', { className: 'faq__answer' }, answer),
+    ]);
+  }
+
+  setupItems() {
+    this.items = Array.from(DOM.queryAll('.faq__question', this.container))
+      .map((question, index) => {
+        const element = question.closest('.faq__item');
+        const answer = element && DOM.query('.faq__answer', element);
+        if (!answer) return null;
+
+        // Set up ARIA attributes
+        const questionId = `faq-question-${index}`;
+        const answerId = `faq-answer-${index}`;
+
+        question.id = questionId;
+        question.setAttribute('aria-expanded', 'false');
+        question.setAttribute('aria-controls', answerId);
+
+        answer.id = answerId;
+        answer.setAttribute('role', 'region');
+        answer.setAttribute('aria-labelledby', questionId);
+        answer.style.display = 'none';
+        element.removeAttribute('open');
+
+        return {
+          element,
+          question,
+          answer,
+          questionText: this.getText(question, '[aria-hidden]'),
+          answerText: this.getText(answer, '.faq__more, .faq__permalink'),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Plain text of an element, without the parts matching exclude
+  getText(element, exclude) {
+    const copy = element.cloneNode(true);
+    DOM.queryAll(exclude, copy).forEach(node => node.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  isOpen(item) {
+    return item.question.getAttribute('aria-expanded') === 'true';
+  }
+
+  toggleItem(item) {
+    if (this.isOpen(item)) {
+      this.closeItem(item);
+    } else {
+      this.openItem(item);
+    }
+  }
+
+  openItem(item, { animate = true, history = true } = {}) {
+    if (this.single) {
+      this.items
+        .filter(other => other !== item && this.isOpen(other))
+        .forEach(other => this.closeItem(other, { history: false }));
+    }
+
+    item.question.setAttribute('aria-expanded', 'true');
+    item.element.setAttribute('open', '');
+    item.answer.style.display = 'block';
+
+    // Animate if not reduced motion
+    if (animate && !A11y.prefersReducedMotion()) {
+      Animation.fadeIn(item.answer);
+    }
+
+    // Keep the open question in the address, ready to be shared
+    if (history && item.element.id) {
+      window.history.replaceState(null, '', `#${item.element.id}`);
+    }
+  }
+
+  closeItem(item, { history = true } = {}) {
+    item.question.setAttribute('aria-expanded', 'false');
+    item.element.removeAttribute('open');
+
+    if (!A11y.prefersReducedMotion()) {
+      Animation.fadeOut(item.answer);
+    } else {
+      item.answer.style.display = 'none';
+    }
+
+    if (history && item.element.id && this.getHash() === item.element.id) {
+      window.history.replaceState(
+        null,
+        '',
+        window.location.pathname + window.location.search,
+      );
+    }
+  }
+
+  closeAllItems() {
+    this.items.forEach(item => this.closeItem(item, { history: false }));
+  }
+
+  getHash() {
+    return decodeURIComponent(window.location.hash.slice(1));
+  }
+
+  openFromHash() {
+    const id = this.getHash();
+    const item = id && this.items.find(({ element }) => element.id === id);
+    if (!item) return;
+
+    // A search must not hide the linked question
+    if (item.element.hidden && this.search) {
+      this.query = '';
+      this.search.value = '';
+      this.filter({ open: false });
+    }
+
+    if (!this.isOpen(item)) {
+      this.openItem(item, { history: false });
+    }
+    item.element.scrollIntoView({ block: 'start' });
+    item.question.focus({ preventScroll: true });
+  }
+
+  filter({ open = true } = {}) {
+    const words = FAQ.words(this.query);
+    const matches = this.items.filter(item =>
+      FAQ.matches(`${item.questionText} ${item.answerText}`, words),
+    );
+
+    this.items.forEach(item => {
+      item.element.hidden = !matches.includes(item);
+      this.highlight(DOM.query('.faq__label', item.question), words);
+      this.highlight(item.answer, words);
+    });
+
+    // Open the answers where the words were found, so they can be seen
+    if (open && words.length) {
+      const found = matches.filter(item => FAQ.matches(item.answerText, words));
+      (this.single ? found.slice(0, 1) : found)
+        .filter(item => !this.isOpen(item))
+        .forEach(item => this.openItem(item, { history: false }));
+    }
+
+    DOM.queryAll('.faq__category', this.container).forEach(category => {
+      category.hidden = !DOM.query('.faq__item:not([hidden])', category);
+    });
+
+    if (!words.length) {
+      this.status.textContent = '';
+    } else if (matches.length) {
+      this.status.textContent = t('faq.search.count', {
+        count: matches.length,
+      });
+    } else {
+      this.status.textContent = t('faq.search.empty');
+    }
+  }
+
+  highlight(element, words) {
+    if (!element) return;
+
+    // Undo the previous search
+    DOM.queryAll('mark.faq__highlight', element).forEach(mark => {
+      mark.replaceWith(document.createTextNode(mark.textContent));
+    });
+    element.normalize();
+    if (!words.length) return;
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+      const text = node.nodeValue;
+      const ranges = FAQ.findMatches(text, words);
+      if (!ranges.length) return;
+
+      const fragment = document.createDocumentFragment();
+      let position = 0;
+      ranges.forEach(([start, end]) => {
+        fragment.append(
+          text.slice(position, start),
+          DOM.create(
+            'mark',
+            { className: 'faq__highlight' },
+            text.slice(start, end),
+          ),
+        );
+        position = end;
+      });
+      fragment.append(text.slice(position));
+      node.replaceWith(fragment);
+    });
+  }
+
+  updateSchema() {
+    if (!this.items.length) return;
+
+    if (!this.schema) {
+      this.schema = DOM.create('script', { type: 'application/ld+json' });
+      document.head.appendChild(this.schema);
+    }
+    this.schema.textContent = JSON.stringify(
+      FAQ.toJsonLd(
+        this.items.map(item => ({
+          question: item.questionText,
+          answer: item.answerText,
+        })),
+      ),
+    );
+  }
+
+  handleClick(e) {
+    const question = e.target.closest('.faq__question');
+    const item = this.items.find(entry => entry.question === question);
+    if (!item) return;
+
+    // <details> would toggle itself as well
+    e.preventDefault();
+    this.toggleItem(item);
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    if (this.schema) {
+      this.schema.remove();
+    }
+  }
+}
+
+export default FAQAccordion;
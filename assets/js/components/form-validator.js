@@ -0,0 +1,421 @@
+/**
+ * Form Validation Component
+ * Rules come from the shared registry in validation.js
+ */
+
+import { t } from '../i18n.js';
+import { Outbox } from '../outbox.js';
+import { Phone } from '../phone.js';
+import { Submission } from '../submission.js';
+import { A11y, Animation, DOM, Events, Form, URL } from '../utils.js';
+import { Validation } from '../validation.js';
+
+export class FormValidator {
+  // Register a rule usable in data-validate on any form
+  static registerRule(name, validate, options) {
+    Validation.registerRule(name, validate, options);
+  }
+
+  constructor(formSelector, options = {}) {
+    this.form = DOM.query(formSelector);
+    this.fields = [];
+    this.outbox = options.outbox || null;
+    this.validationRuns = new WeakMap();
+    this.submitting = false;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.form) return;
+
+    this.refreshFields();
+
+    // Fields filled from the query string, e.g. an estimate from tarifs.html
+    if (this.form.dataset.prefill) {
+      this.prefill(this.form.dataset.prefill.split(','));
+    }
+
+    // Validation listeners on the form, so they also cover the fields added
+    // later (see refreshFields)
+    const clearLater = new WeakMap();
+    this.cleanup.push(
+      Events.on(this.form, 'focusout', e => {
+        if (this.fields.includes(e.target)) this.validateField(e.target);
+      }),
+      Events.on(this.form, 'input', e => {
+        const field = e.target;
+
+        // Format phone numbers as they are typed
+        if (field.type === 'tel') this.formatPhoneField(field, e);
+        if (!this.fields.includes(field)) return;
+
+        if (!clearLater.has(field)) {
+          clearLater.set(
+            field,
+            Events.debounce(() => this.clearFieldError(field), 300),
+          );
+        }
+        clearLater.get(field)();
+      }),
+    );
+
+    // Form submission
+    this.cleanup.push(
+      Events.on(this.form, 'submit', e => this.handleSubmit(e)),
+    );
+  }
+
+  // Find the fields with validation rules again, after some were added or
+  // removed
+  refreshFields() {
+    const inputs = DOM.queryAll(
+      'input[required], input[type="email"], input[type="tel"]',
+      this.form,
+    );
+    const textareas = DOM.queryAll('textarea[required]', this.form);
+    const selects = DOM.queryAll('select[required]', this.form);
+    const ruled = DOM.queryAll('[data-validate]', this.form);
+
+    this.fields = [...new Set([...inputs, ...textareas, ...selects, ...ruled])];
+  }
+
+  prefill(names) {
+    names.forEach(name => {
+      const field = this.form.elements[name.trim()];
+      const value = URL.getParam(name.trim());
+
+      if (!field || value === null || field.value || !('value' in field)) {
+        return;
+      }
+      field.value = value;
+    });
+  }
+
+  formatPhoneField(field, e) {
+    // Let deletions through untouched so separators can be erased
+    if (e.inputType && e.inputType.startsWith('delete')) return;
+
+    const { value, selectionStart } = field;
+    const formatted = Phone.formatAsYouType(value);
+    if (formatted === value) return;
+
+    // Keep the caret after the same number of significant characters
+    const significant = value
+      .slice(0, selectionStart)
+      .replace(/[^\d+]/g, '').length;
+    let caret = 0;
+    for (let count = 0; caret < formatted.length && count < significant; ) {
+      if (/[\d+]/.test(formatted[caret])) count++;
+      caret++;
+    }
+
+    field.value = formatted;
+    field.setSelectionRange(caret, caret);
+  }
+
+  // Submit phone numbers in E.164 (+2290197123456)
+  normalizeData(data) {
+    DOM.queryAll('input[type="tel"]', this.form).forEach(field => {
+      const e164 = Phone.toE164(field.value);
+      if (e164 && field.name in data) {
+        data[field.name] = e164;
+      }
+    });
+
+    return data;
+  }
+
+  async validateField(field) {
+    // Ignore results of an older, slower run (async rules)
+    const run = (this.validationRuns.get(field) || 0) + 1;
+    this.validationRuns.set(field, run);
+
+    const { isValid, message } = await Validation.validateField(field, {
+      form: this.form,
+    });
+
+    if (this.validationRuns.get(field) !== run) {
+      return isValid;
+    }
+
+    if (isValid) {
+      this.clearFieldError(field);
+    } else {
+      this.showFieldError(field, message);
+    }
+
+    return isValid;
+  }
+
+  getFieldLabel(field) {
+    return Validation.getLabel(field);
+  }
+
+  showFieldError(field, message) {
+    this.clearFieldError(field);
+
+    field.classList.add('form-input--error');
+    field.setAttribute('aria-invalid', 'true');
+
+    const errorId = `${field.id}-error`;
+    const error = DOM.create(
+      'span',
+      {
+        id: errorId,
+        className: 'form-error',
+        'aria-live': 'polite',
+      },
+      message,
+    );
+
+    field.setAttribute('aria-describedby', errorId);
+
+    // Insert error after field or field container
+    const container = field.closest('.form-group') || field.parentNode;
+    container.appendChild(error);
+  }
+
+  clearFieldError(field) {
+    field.classList.remove('form-input--error');
+    field.removeAttribute('aria-invalid');
+    field.removeAttribute('aria-describedby');
+
+    const error = DOM.query(`#${field.id}-error`);
+    if (error) {
+      error.remove();
+    }
+  }
+
+  // Validate all fields and focus the first invalid one
+  async validate() {
+    const results = await Promise.all(
+      this.fields.map(field => this.validateField(field)),
+    );
+    const isValid = results.every(Boolean);
+
+    if (!isValid) {
+      const firstError = DOM.query('.form-input--error', this.form);
+      if (firstError) {
+        firstError.focus();
+        A11y.announce(t('form.fixErrors'), 'assertive');
+      }
+    }
+
+    return isValid;
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    // Validation may wait for the network: a second click meanwhile must not
+    // send the form twice
+    if (this.submitting) return;
+
+    this.submitting = true;
+    const submitBtn = DOM.query('button[type="submit"]', this.form);
+    if (submitBtn) {
+      submitBtn.disabled = true;
+    }
+
+    try {
+      if (await this.validate()) {
+        this.emitStep('submit');
+        await this.submitForm();
+      } else {
+        this.emitStep('invalid');
+      }
+    } finally {
+      this.submitting = false;
+      if (submitBtn) {
+        submitBtn.disabled = false;
+      }
+    }
+  }
+
+  // Funnel step, for the audience measurement (see analytics.js)
+  emitStep(step) {
+    Events.emit(document, 'formstep', { form: this.form.id, step });
+  }
+
+  async submitForm() {
+    const submitBtn = DOM.query('button[type="submit"]', this.form);
+    const originalText = submitBtn ? submitBtn.textContent : '';
+    const data = this.normalizeData(Form.serialize(this.form));
+    // Transport settings from data- attributes, labels in the current language
+    const config = Submission.configFromForm(this.form);
+
+    try {
+      if (submitBtn) {
+        submitBtn.textContent = t('form.sending');
+      }
+
+      // Offline: keep the request for later instead of failing
+      if (this.canQueue(config) && !navigator.onLine) {
+        this.queueSubmission(data, config);
+        return;
+      }
+
+      const result = await Submission.send(data, config);
+
+      this.emitStep(result.channel === 'http' ? 'sent' : 'draft');
+      this.showSuccess(result);
+
+      // mailto: and WhatsApp only open a draft, keep the form filled
+      if (result.channel === 'http') {
+        this.form.reset();
+      }
+    } catch (error) {
+      if (this.canQueue(config) && Outbox.isOfflineError(error)) {
+        this.queueSubmission(data, config);
+        return;
+      }
+
+      this.emitStep('failed');
+      this.showError(this.getSubmissionErrorMessage(error), data, config);
+    } finally {
+      if (submitBtn) {
+        submitBtn.textContent = originalText;
+      }
+    }
+  }
+
+  /**
+   * Whether a submission is kept in the outbox while offline
+   * Only requests to an endpoint are: a mailto: or WhatsApp draft opens in
+   * the visitor's own app, which keeps it until the connection is back.
+   * @param {Object} config - Submission config
+   * @returns {boolean} - True for the http transport
+   */
+  canQueue(config) {
+    return Boolean(this.outbox) && config.transport === 'http';
+  }
+
+  queueSubmission(data, config) {
+    this.outbox.enqueue(data, config);
+    this.emitStep('queued');
+    this.form.reset();
+
+    const message = DOM.create('div', {
+      className: 'alert alert--info',
+      'aria-live': 'polite',
+    });
+
+    message.innerHTML = `
+      <div class="alert__content">
+        <div class="alert__title">${t('form.queued.title')}</div>
+        <div class="alert__message">${t('form.queued.message')}</div>
+      </div>
+    `;
+
+    this.form.parentNode.insertBefore(message, this.form);
+    Animation.scrollTo(message);
+
+    setTimeout(() => {
+      if (message.parentNode) {
+        message.parentNode.removeChild(message);
+      }
+    }, 8000);
+  }
+
+  getSubmissionErrorMessage(error) {
+    switch (error.code) {
+    case 'timeout':
+      return t('form.error.timeout');
+    case 'network':
+      return t('form.error.network');
+    case 'http':
+      return error.status >= 500
+        ? t('form.error.server')
+        : t('form.error.rejected');
+    default:
+      return t('form.error.generic');
+    }
+  }
+
+  showSuccess(result = {}) {
+    const isDraft =
+      result.channel === 'mailto' || result.channel === 'whatsapp';
+    const message = DOM.create('div', {
+      className: 'alert alert--success',
+      'aria-live': 'polite',
+    });
+
+    message.innerHTML = isDraft
+      ? `
+      <div class="alert__content">
+        <div class="alert__title">${t('form.draft.title')}</div>
+        <div class="alert__message">${t('form.draft.message')}</div>
+      </div>
+    `
+      : `
+      <div class="alert__content">
+        <div class="alert__title">${t('form.success.title')}</div>
+        <div class="alert__message">${t('form.success.message')}</div>
+      </div>
+    `;
+
+    this.form.parentNode.insertBefore(message, this.form);
+
+    // Scroll to message
+    Animation.scrollTo(message);
+
+    // Remove message after 5 seconds
+    setTimeout(() => {
+      if (message.parentNode) {
+        message.parentNode.removeChild(message);
+      }
+    }, 5000);
+  }
+
+  showError(errorMessage, data = null, config = null) {
+    const message = DOM.create('div', {
+      className: 'alert alert--error',
+      'aria-live': 'assertive',
+    });
+
+    message.innerHTML = `
+      <div class="alert__content">
+        <div class="alert__title">${t('form.error.title')}</div>
+        <div class="alert__message">${errorMessage}</div>
+      </div>
+    `;
+
+    // Offer WhatsApp as a fallback channel with the message prefilled
+    if (
+      data &&
+      config &&
+      config.whatsapp &&
+      config.transport !== 'whatsapp'
+    ) {
+      const fallback = DOM.create(
+        'a',
+        {
+          className: 'alert__action',
+          href: Submission.get('whatsapp').buildUrl(data, config),
+          target: '_blank',
+          rel: 'noopener noreferrer',
+        },
+        t('form.error.whatsapp'),
+      );
+      DOM.query('.alert__content', message).appendChild(fallback);
+    }
+
+    this.form.parentNode.insertBefore(message, this.form);
+
+    // Leave time to use the fallback link before removing the message
+    setTimeout(
+      () => {
+        if (message.parentNode) {
+          message.parentNode.removeChild(message);
+        }
+      },
+      data ? 15000 : 5000,
+    );
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default FormValidator;
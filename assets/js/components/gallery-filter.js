@@ -0,0 +1,283 @@
+/**
+ * Gallery Filter Component
+ * Category chips and free-text search over the gallery photos; the active
+ * filter is kept in the ?category= and ?q= query parameters
+ */
+
+import { t } from '../i18n.js';
+import { A11y, DOM, Events, URL } from '../utils.js';
+
+const CATEGORY_PARAM = 'category';
+const QUERY_PARAM = 'q';
+
+// Delay before a typed search is applied and announced
+const SEARCH_DELAY = 250;
+
+/**
+ * Lowercase text without accents, so "repas equilibre" finds "Repas Équilibré"
+ * @param {string} text - Text
+ * @returns {string} - Normalized text
+ */
+const normalize = text =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+export class GalleryFilter {
+  constructor(selector = '[data-gallery-filter]') {
+    this.container = DOM.query(selector);
+    this.items = [];
+    this.categories = [];
+    this.category = '';
+    this.query = '';
+    this.search = null;
+    this.chips = null;
+    this.status = null;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.items = Array.from(
+      DOM.queryAll(this.container.dataset.items || '.gallery__item'),
+    ).map(element => this.describe(element));
+    if (!this.items.length) return;
+
+    this.items.forEach(item => {
+      if (!this.categories.includes(item.category)) {
+        this.categories.push(item.category);
+      }
+    });
+
+    this.readUrl();
+    this.render();
+
+    const applySearch = Events.debounce(() => {
+      this.query = this.search.value;
+      this.apply();
+    }, SEARCH_DELAY);
+
+    this.cleanup.push(
+      // Delegated: the search field is rebuilt when the language changes
+      Events.on(this.container, 'input', e => {
+        if (e.target === this.search) applySearch();
+      }),
+      Events.on(this.container, 'submit', e => e.preventDefault()),
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(window, 'popstate', () => {
+        this.readUrl();
+        this.search.value = this.query;
+        this.apply({ history: false, announce: false });
+      }),
+      Events.on(document, 'localechange', () => this.render()),
+    );
+
+    this.apply({ history: false, announce: false, animate: false });
+  }
+
+  describe(element) {
+    const image = DOM.query('img', element);
+    const src = image ? image.dataset.src || image.getAttribute('src') : '';
+    // Category: data-category, or the folder under assets/img
+    const match = src.match(/assets\/img\/([^/]+)\//);
+    const text = [
+      DOM.query('.gallery__title', element),
+      DOM.query('.gallery__description', element),
+    ]
+      .filter(Boolean)
+      .map(node => node.textContent)
+      .concat(image ? image.alt : '')
+      .join(' ');
+
+    return {
+      element,
+      category: element.dataset.category || (match ? match[1] : ''),
+      text: normalize(text),
+    };
+  }
+
+  readUrl() {
+    const category = URL.getParam(CATEGORY_PARAM) || '';
+    this.category = this.categories.includes(category) ? category : '';
+    this.query = URL.getParam(QUERY_PARAM) || '';
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.container.classList.add('gallery-filter');
+
+    this.search = DOM.create('input', {
+      type: 'search',
+      id: 'gallery-search',
+      name: QUERY_PARAM,
+      className: 'gallery-filter__search',
+      placeholder: t('gallery.filter.placeholder'),
+      autocomplete: 'off',
+    });
+    this.search.value = this.query;
+
+    this.chips = DOM.create(
+      'div',
+      {
+        className: 'gallery-filter__chips',
+        role: 'group',
+        'aria-label': t('gallery.filter.categories'),
+      },
+      ['', ...this.categories].map(category =>
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'gallery-filter__chip',
+            'data-gallery-category': category,
+            'aria-pressed': String(category === this.category),
+          },
+          t(category ? `gallery.category.${category}` : 'gallery.filter.all'),
+        ),
+      ),
+    );
+
+    this.status = DOM.create('p', { className: 'gallery-filter__status' });
+
+    this.container.appendChild(
+      DOM.create(
+        'form',
+        { className: 'gallery-filter__form', role: 'search' },
+        [
+          DOM.create(
+            'label',
+            { for: 'gallery-search', className: 'sr-only' },
+            t('gallery.filter.search'),
+          ),
+          this.search,
+        ],
+      ),
+    );
+    this.container.appendChild(this.chips);
+    this.container.appendChild(this.status);
+
+    this.updateStatus(this.getMatches().length);
+  }
+
+  matches(item) {
+    const words = normalize(this.query).split(/\s+/).filter(Boolean);
+
+    return (
+      (!this.category || item.category === this.category) &&
+      words.every(word => item.text.includes(word))
+    );
+  }
+
+  getMatches() {
+    return this.items.filter(item => this.matches(item));
+  }
+
+  apply({ history = true, announce = true, animate = true } = {}) {
+    const matches = this.getMatches();
+    const animated = animate && !A11y.prefersReducedMotion();
+
+    // FLIP: remember where the visible photos were before the reflow
+    const before = new Map();
+    if (animated) {
+      this.items.forEach(({ element }) => {
+        if (!element.hidden) {
+          before.set(element, element.getBoundingClientRect());
+        }
+      });
+    }
+
+    this.items.forEach(item => {
+      item.element.hidden = !matches.includes(item);
+    });
+
+    // Hide gallery sections left without photos
+    DOM.queryAll('.gallery').forEach(gallery => {
+      const section = gallery.closest('section') || gallery;
+      section.hidden = !DOM.query('.gallery__item:not([hidden])', gallery);
+    });
+
+    if (animated) {
+      matches.forEach(({ element }) => this.animate(element, before));
+    }
+
+    DOM.queryAll('[data-gallery-category]', this.container).forEach(chip => {
+      chip.setAttribute(
+        'aria-pressed',
+        String(chip.dataset.galleryCategory === this.category),
+      );
+    });
+
+    this.updateStatus(matches.length);
+
+    if (history) {
+      this.updateUrl();
+    }
+    if (announce) {
+      A11y.announce(this.status.textContent);
+    }
+  }
+
+  animate(element, before) {
+    const previous = before.get(element);
+
+    if (!previous) {
+      element.classList.remove('gallery__item--entering');
+      // Restart the animation on photos shown again
+      void element.offsetWidth;
+      element.classList.add('gallery__item--entering');
+      return;
+    }
+
+    const current = element.getBoundingClientRect();
+    const dx = previous.left - current.left;
+    const dy = previous.top - current.top;
+    if (!dx && !dy) return;
+
+    // Start from the old position, then let the transition slide it home
+    element.style.transition = 'none';
+    element.style.transform = `translate(${dx}px, ${dy}px)`;
+
+    requestAnimationFrame(() => {
+      element.style.transition = '';
+      element.style.transform = '';
+    });
+  }
+
+  updateStatus(count) {
+    this.status.textContent = count
+      ? t('gallery.filter.count', { count })
+      : t('gallery.filter.empty');
+  }
+
+  updateUrl() {
+    if (this.category) {
+      URL.setParam(CATEGORY_PARAM, this.category, true);
+    } else {
+      URL.removeParam(CATEGORY_PARAM, true);
+    }
+
+    if (this.query.trim()) {
+      URL.setParam(QUERY_PARAM, this.query.trim(), true);
+    } else {
+      URL.removeParam(QUERY_PARAM, true);
+    }
+  }
+
+  handleClick(e) {
+    const chip = e.target.closest('[data-gallery-category]');
+    if (!chip) return;
+
+    this.category = chip.dataset.galleryCategory;
+    this.apply();
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default GalleryFilter;
@@ -0,0 +1,69 @@
+/**
+ * Language Switcher Component
+ * One button per supported language; the choice persists through I18n
+ */
+
+import { I18n, t } from '../i18n.js';
+import { A11y, DOM, Events } from '../utils.js';
+
+export class LanguageSwitcher {
+  constructor(selector = '[data-language-switcher]') {
+    this.container = DOM.query(selector);
+    this.buttons = [];
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.container.classList.add('language-switcher');
+    this.container.setAttribute('role', 'group');
+
+    this.buttons = I18n.getLocales().map(lang => {
+      const button = DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'language-switcher__button',
+          lang,
+          'data-locale': lang,
+        },
+        lang.toUpperCase(),
+      );
+
+      this.cleanup.push(Events.on(button, 'click', () => this.select(lang)));
+      this.container.appendChild(button);
+      return button;
+    });
+
+    this.cleanup.push(Events.on(document, 'localechange', () => this.update()));
+
+    this.update();
+  }
+
+  select(lang) {
+    if (lang === I18n.getLocale()) return;
+
+    I18n.setLocale(lang);
+    A11y.announce(t('i18n.changed'), 'polite');
+  }
+
+  update() {
+    const current = I18n.getLocale();
+
+    this.container.setAttribute('aria-label', t('i18n.switcher'));
+    this.buttons.forEach(button => {
+      const lang = button.dataset.locale;
+      button.setAttribute('aria-pressed', String(lang === current));
+      // Each language is named in itself
+      button.setAttribute('title', I18n.t('i18n.name', {}, lang));
+    });
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default LanguageSwitcher;
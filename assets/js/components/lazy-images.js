@@ -0,0 +1,105 @@
+/**
+ * Image Lazy Loading Component
+ * Understands data-src, data-srcset and data-sizes on images and on the
+ * <source>s of a <picture>; the placeholder shown until then is blurred
+ * (see .lazy-image) and cleared once the photo has loaded
+ */
+
+import { DOM, Events } from '../utils.js';
+
+export class LazyImages {
+  constructor(selector = 'img[data-src], img[data-srcset]') {
+    this.images = DOM.queryAll(selector);
+    this.observer = null;
+    this.cleanup = [];
+  }
+
+  init() {
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver(
+        entries => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              this.loadImage(entry.target);
+              this.observer.unobserve(entry.target);
+            }
+          });
+        },
+        // Start loading a little before the image scrolls into view
+        { rootMargin: '200px 0px' },
+      );
+
+      this.images.forEach(img => {
+        this.observer.observe(img);
+      });
+    } else {
+      // Fallback for older browsers
+      this.images.forEach(img => this.loadImage(img));
+    }
+  }
+
+  loadImage(img) {
+    const { src, srcset, sizes } = img.dataset;
+    const picture = img.parentElement.matches('picture')
+      ? img.parentElement
+      : null;
+    const sources = picture
+      ? Array.from(DOM.queryAll('source[data-srcset]', picture))
+      : [];
+
+    if (!src && !srcset && !sources.length) return;
+
+    const listeners = [];
+    const finish = className => {
+      img.classList.add(className);
+      listeners.forEach(fn => fn());
+    };
+
+    const handleError = () => {
+      // A missing or undecodable variant: retry with the original image
+      if (src && (img.srcset || sources.some(source => source.isConnected))) {
+        sources.forEach(source => source.remove());
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        img.src = src;
+        return;
+      }
+
+      finish('lazy-image--error');
+    };
+
+    listeners.push(
+      Events.on(img, 'load', () => finish('loaded')),
+      Events.on(img, 'error', handleError),
+    );
+    this.cleanup.push(...listeners);
+
+    sources.forEach(source => {
+      // Sources default to the image's sizes rather than 100vw
+      if (source.dataset.sizes || sizes) {
+        source.sizes = source.dataset.sizes || sizes;
+      }
+      source.srcset = source.dataset.srcset;
+      source.removeAttribute('data-srcset');
+      source.removeAttribute('data-sizes');
+    });
+
+    if (sizes) img.sizes = sizes;
+    if (srcset) img.srcset = srcset;
+    if (src) img.src = src;
+
+    img.removeAttribute('data-src');
+    img.removeAttribute('data-srcset');
+    img.removeAttribute('data-sizes');
+  }
+
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default LazyImages;
@@ -0,0 +1,334 @@
+/**
+ * Lightbox Component
+ * Full-size gallery viewer with keyboard and swipe navigation; the open photo
+ * is kept in the ?photo= query parameter so it can be shared
+ */
+
+import { t } from '../i18n.js';
+import { A11y, DOM, Events, URL } from '../utils.js';
+
+const PARAM = 'photo';
+
+// Minimum horizontal travel, in pixels, for a swipe
+const SWIPE_THRESHOLD = 50;
+
+export class Lightbox {
+  constructor(selector = '.gallery__item') {
+    this.items = Array.from(DOM.queryAll(selector))
+      .map(element => this.describe(element))
+      .filter(Boolean);
+    this.dialog = null;
+    this.trap = null;
+    this.index = -1;
+    this.lastFocus = null;
+    this.touchStart = null;
+    // Whether open() added a history entry, for close() to go back from
+    this.pushedHistory = false;
+    this.cleanup = [];
+  }
+
+  describe(element) {
+    const image = DOM.query('img', element);
+    if (!image) return null;
+
+    const src = image.dataset.full || image.dataset.src || image.src;
+    const title = DOM.query('.gallery__title', element);
+    const description = DOM.query('.gallery__description', element);
+
+    return {
+      element,
+      image,
+      src,
+      // Shareable id: data-photo, or the file name without extension
+      id:
+        element.dataset.photo ||
+        src
+          .split('/')
+          .pop()
+          .replace(/\.[^.]+$/, ''),
+      alt: image.alt,
+      title: title ? title.textContent.trim() : '',
+      description: description ? description.textContent.trim() : '',
+    };
+  }
+
+  init() {
+    if (!this.items.length) return;
+
+    this.render();
+
+    this.items.forEach((item, index) => {
+      item.image.setAttribute('tabindex', '0');
+      item.image.setAttribute('role', 'button');
+
+      this.cleanup.push(
+        Events.on(item.image, 'click', () => this.open(index)),
+        Events.on(item.image, 'keydown', e => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.open(index);
+          }
+        }),
+      );
+    });
+
+    this.cleanup.push(
+      Events.on(document, 'keydown', e => this.handleKeydown(e)),
+      Events.on(window, 'popstate', () => this.syncWithUrl()),
+      Events.on(document, 'localechange', () => this.updateLabels()),
+      Events.on(this.dialog, 'click', e => this.handleClick(e)),
+      Events.on(this.dialog, 'touchstart', e => this.handleTouchStart(e), {
+        passive: true,
+      }),
+      Events.on(this.dialog, 'touchend', e => this.handleTouchEnd(e)),
+    );
+
+    this.updateLabels();
+
+    // Deep link: open the photo named in the URL
+    this.syncWithUrl();
+  }
+
+  render() {
+    this.image = DOM.create('img', { className: 'lightbox__image', alt: '' });
+    this.title = DOM.create('h2', {
+      id: 'lightbox-title',
+      className: 'lightbox__title',
+    });
+    this.description = DOM.create('p', { className: 'lightbox__description' });
+    this.counter = DOM.create('p', { className: 'lightbox__counter' });
+
+    this.closeButton = DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'lightbox__button lightbox__close',
+        'data-lightbox-close': '',
+      },
+      '×',
+    );
+    this.prevButton = DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'lightbox__button lightbox__prev',
+        'data-lightbox-prev': '',
+      },
+      '‹',
+    );
+    this.nextButton = DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'lightbox__button lightbox__next',
+        'data-lightbox-next': '',
+      },
+      '›',
+    );
+
+    this.dialog = DOM.create(
+      'div',
+      {
+        className: 'lightbox',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'lightbox-title',
+      },
+      [
+        this.closeButton,
+        DOM.create('figure', { className: 'lightbox__figure' }, [
+          this.image,
+          DOM.create('figcaption', { className: 'lightbox__caption' }, [
+            this.title,
+            this.description,
+            this.counter,
+          ]),
+        ]),
+        this.prevButton,
+        this.nextButton,
+      ],
+    );
+    this.dialog.hidden = true;
+
+    document.body.appendChild(this.dialog);
+    this.trap = A11y.focusTrap(this.dialog);
+  }
+
+  updateLabels() {
+    this.dialog.setAttribute('aria-roledescription', t('lightbox.label'));
+    this.closeButton.setAttribute('aria-label', t('lightbox.close'));
+    this.prevButton.setAttribute('aria-label', t('lightbox.previous'));
+    this.nextButton.setAttribute('aria-label', t('lightbox.next'));
+
+    this.items.forEach(item => {
+      item.image.setAttribute(
+        'aria-label',
+        t('lightbox.open', { title: item.title || item.alt }),
+      );
+    });
+
+    if (this.isOpen()) {
+      this.show(this.index);
+    }
+  }
+
+  isOpen() {
+    return this.index !== -1;
+  }
+
+  open(index, { history = true } = {}) {
+    const wasOpen = this.isOpen();
+    this.show(index);
+
+    if (history) {
+      // A new history entry when opening, so Back closes the lightbox
+      URL.setParam(PARAM, this.items[this.index].id, wasOpen);
+      this.pushedHistory = this.pushedHistory || !wasOpen;
+    }
+
+    if (!wasOpen) {
+      this.lastFocus = document.activeElement;
+      this.dialog.hidden = false;
+      document.body.classList.add('lightbox-open');
+      this.trap.activate();
+    }
+  }
+
+  show(index) {
+    const total = this.items.length;
+    this.index = (index + total) % total;
+
+    const item = this.items[this.index];
+    // Count among the photos left by the gallery filter, if this is one
+    const visible = this.getVisible();
+    const list = visible.includes(item) ? visible : this.items;
+
+    this.image.src = item.src;
+    this.image.alt = item.alt;
+    this.title.textContent = item.title || item.alt;
+    this.description.textContent = item.description;
+    this.description.hidden = !item.description;
+    this.counter.textContent = t('lightbox.counter', {
+      index: list.indexOf(item) + 1,
+      total: list.length,
+    });
+
+    // Warm the cache for the neighbours
+    [this.step(-1), this.step(1)].forEach(neighbour => {
+      new Image().src = this.items[(neighbour + total) % total].src;
+    });
+  }
+
+  close({ history = true } = {}) {
+    if (!this.isOpen()) return;
+
+    this.index = -1;
+    this.dialog.hidden = true;
+    this.image.removeAttribute('src');
+    document.body.classList.remove('lightbox-open');
+    this.trap.deactivate();
+
+    if (history && this.pushedHistory) {
+      // Leave the entry open() added, so Forward does not reopen the photo
+      window.history.back();
+    } else if (history) {
+      // Opened from a link to the photo
+      URL.removeParam(PARAM, true);
+    }
+    this.pushedHistory = false;
+
+    if (this.lastFocus) {
+      this.lastFocus.focus();
+      this.lastFocus = null;
+    }
+  }
+
+  getVisible() {
+    return this.items.filter(item => !item.element.closest('[hidden]'));
+  }
+
+  // Index of the next (1) or previous (-1) photo, skipping filtered-out ones
+  step(direction) {
+    const visible = this.getVisible();
+    const position = visible.indexOf(this.items[this.index]);
+    if (position === -1) return this.index + direction;
+
+    const total = visible.length;
+    return this.items.indexOf(visible[(position + direction + total) % total]);
+  }
+
+  next() {
+    this.open(this.step(1));
+  }
+
+  previous() {
+    this.open(this.step(-1));
+  }
+
+  syncWithUrl() {
+    const id = URL.getParam(PARAM);
+    const index = this.items.findIndex(item => item.id === id);
+
+    if (index !== -1) {
+      this.open(index, { history: false });
+    } else {
+      this.close({ history: false });
+    }
+  }
+
+  handleKeydown(e) {
+    if (!this.isOpen()) return;
+
+    if (e.key === 'Escape') {
+      this.close();
+    } else if (e.key === 'ArrowRight') {
+      this.next();
+    } else if (e.key === 'ArrowLeft') {
+      this.previous();
+    }
+  }
+
+  handleClick(e) {
+    if (e.target.closest('[data-lightbox-close]') || e.target === this.dialog) {
+      this.close();
+    } else if (e.target.closest('[data-lightbox-prev]')) {
+      this.previous();
+    } else if (e.target.closest('[data-lightbox-next]')) {
+      this.next();
+    }
+  }
+
+  handleTouchStart(e) {
+    const touch = e.changedTouches[0];
+    this.touchStart = { x: touch.clientX, y: touch.clientY };
+  }
+
+  handleTouchEnd(e) {
+    if (!this.touchStart) return;
+
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - this.touchStart.x;
+    const dy = touch.clientY - this.touchStart.y;
+    this.touchStart = null;
+
+    // Mostly horizontal moves only, so vertical scrolling still works
+    if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+
+    if (dx < 0) {
+      this.next();
+    } else {
+      this.previous();
+    }
+  }
+
+  destroy() {
+    this.close({ history: false });
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    if (this.dialog) {
+      this.dialog.remove();
+    }
+  }
+}
+
+export default Lightbox;
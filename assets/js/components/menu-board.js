@@ -0,0 +1,352 @@
+/**
+ * Menu Board Component
+ * The cantine's weekly menus with allergen and diet tags; dishes that do not
+ * suit the child profile saved by the parents are highlighted
+ */
+
+import { I18n, t } from '../i18n.js';
+import { Menus } from '../menus.js';
+import { DOM, Events, Storage } from '../utils.js';
+
+const PROFILE_KEY = 'menu-profile';
+
+export class MenuBoard {
+  constructor(selector = '[data-menu-board]') {
+    this.container = DOM.query(selector);
+    this.menus = null;
+    this.weeks = [];
+    this.week = null;
+    this.profile = Storage.getItem(PROFILE_KEY, []);
+    this.status = null;
+    this.board = null;
+    this.cleanup = [];
+  }
+
+  async init() {
+    if (!this.container) return;
+
+    try {
+      this.menus = await Menus.load(this.container.dataset.source);
+    } catch (error) {
+      // Reported like a component that fails to mount
+      Events.emit(document, 'componenterror', {
+        name: 'menu-board',
+        element: this.container,
+        error,
+      });
+      this.container.textContent = t('menu.error');
+      return;
+    }
+
+    this.weeks = Menus.weeks(this.menus);
+    this.week = Menus.currentWeek(this.menus);
+    // Ignore saved tags the menus no longer use
+    this.profile = this.profile.filter(id => this.getTag(id));
+
+    this.cleanup.push(
+      Events.on(this.container, 'change', e => this.handleChange(e)),
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(document, 'localechange', () => this.render()),
+      Events.on(window, 'afterprint', () =>
+        document.body.classList.remove('is-printing-menu'),
+      ),
+    );
+
+    this.render();
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.container.classList.add('menu-board');
+
+    if (!this.week) {
+      this.container.textContent = t('menu.empty');
+      return;
+    }
+
+    this.status = DOM.create('p', {
+      className: 'menu-board__status',
+      'aria-live': 'polite',
+    });
+    this.board = DOM.create('div', { className: 'menu-board__week' });
+
+    this.container.appendChild(this.renderControls());
+    this.container.appendChild(this.status);
+    this.container.appendChild(this.renderLegend());
+    this.container.appendChild(this.board);
+
+    this.renderWeek();
+  }
+
+  renderControls() {
+    const controls = [];
+
+    if (this.weeks.length > 1) {
+      const select = DOM.create(
+        'select',
+        { id: 'menu-week', name: 'week', className: 'form-select' },
+        this.weeks.map(week =>
+          DOM.create(
+            'option',
+            { value: week.days[0].date },
+            this.getWeekLabel(week),
+          ),
+        ),
+      );
+      select.value = this.week.days[0].date;
+
+      controls.push(
+        DOM.create('div', { className: 'form-group menu-board__week-picker' }, [
+          DOM.create(
+            'label',
+            { for: 'menu-week', className: 'form-label' },
+            t('menu.week.label'),
+          ),
+          select,
+        ]),
+      );
+    }
+
+    const kinds = ['allergen', 'diet'].map(kind => {
+      const options = this.menus.tags
+        .filter(tag => tag.kind === kind)
+        .map(tag => {
+          const checkbox = DOM.create('input', {
+            type: 'checkbox',
+            name: 'profile',
+            value: tag.id,
+          });
+          checkbox.checked = this.profile.includes(tag.id);
+
+          const label = DOM.create(
+            'label',
+            { className: 'menu-board__option' },
+            [checkbox],
+          );
+          label.append(` ${tag.icon} ${I18n.localize(tag.label)}`);
+          return label;
+        });
+
+      return DOM.create('div', { className: 'menu-board__options' }, [
+        DOM.create(
+          'p',
+          { className: 'menu-board__options-title' },
+          t(`menu.profile.${kind}`),
+        ),
+        ...options,
+      ]);
+    });
+
+    controls.push(
+      DOM.create('fieldset', { className: 'menu-board__profile' }, [
+        DOM.create('legend', {}, t('menu.profile.legend')),
+        ...kinds,
+        DOM.create(
+          'p',
+          { className: 'menu-board__hint' },
+          t('menu.profile.hint'),
+        ),
+      ]),
+    );
+
+    controls.push(
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--secondary',
+          'data-menu-print': '',
+        },
+        t('menu.print'),
+      ),
+    );
+
+    return DOM.create('div', { className: 'menu-board__controls' }, controls);
+  }
+
+  renderLegend() {
+    return DOM.create(
+      'ul',
+      {
+        className: 'menu-board__legend',
+        'aria-label': t('menu.legend'),
+      },
+      this.menus.tags.map(tag =>
+        DOM.create('li', {}, `${tag.icon} ${I18n.localize(tag.label)}`),
+      ),
+    );
+  }
+
+  renderWeek() {
+    const today = Menus.today(this.menus);
+    let conflicts = 0;
+
+    const days = this.week.days.map(day => {
+      const isToday = day.date === today;
+      const title = DOM.create(
+        'h3',
+        { className: 'menu-day__title' },
+        I18n.formatDate(Menus.parseDate(day.date), {
+          weekday: 'long',
+          day: 'numeric',
+          month: 'long',
+          timeZone: 'UTC',
+        }),
+      );
+
+      if (isToday) {
+        title.appendChild(
+          DOM.create('span', { className: 'menu-day__badge' }, t('menu.today')),
+        );
+      }
+
+      const courses = [];
+      this.menus.courses.forEach(course => {
+        const dish = day[course.id];
+        if (!dish) return;
+
+        const dishConflicts = Menus.conflicts(this.menus, dish, this.profile);
+        if (dishConflicts.length) conflicts++;
+
+        courses.push(
+          DOM.create(
+            'dt',
+            { className: 'menu-day__course' },
+            I18n.localize(course.label),
+          ),
+          this.renderDish(dish, dishConflicts),
+        );
+      });
+
+      return DOM.create(
+        'article',
+        { className: `menu-day${isToday ? ' menu-day--today' : ''}` },
+        [title, DOM.create('dl', { className: 'menu-day__courses' }, courses)],
+      );
+    });
+
+    this.board.innerHTML = '';
+    this.board.appendChild(
+      DOM.create(
+        'h2',
+        { className: 'menu-board__title' },
+        this.getWeekLabel(this.week),
+      ),
+    );
+    days.forEach(day => this.board.appendChild(day));
+
+    if (!this.profile.length) {
+      this.status.textContent = t('menu.status.noProfile');
+    } else if (conflicts) {
+      this.status.textContent = t('menu.status.conflicts', {
+        count: conflicts,
+      });
+    } else {
+      this.status.textContent = t('menu.status.none');
+    }
+  }
+
+  renderDish(dish, conflicts) {
+    const content = [
+      DOM.create(
+        'span',
+        { className: 'menu-dish__name' },
+        I18n.localize(dish.label),
+      ),
+    ];
+
+    if (dish.tags.length) {
+      content.push(
+        DOM.create(
+          'span',
+          { className: 'menu-dish__tags' },
+          dish.tags
+            .map(id => this.getTag(id))
+            .filter(Boolean)
+            .map(tag =>
+              DOM.create(
+                'span',
+                {
+                  className: `menu-tag menu-tag--${tag.kind}`,
+                  title: I18n.localize(tag.label),
+                },
+                [
+                  DOM.create('span', { 'aria-hidden': 'true' }, tag.icon),
+                  DOM.create(
+                    'span',
+                    { className: 'sr-only' },
+                    I18n.localize(tag.label),
+                  ),
+                ],
+              ),
+            ),
+        ),
+      );
+    }
+
+    if (conflicts.length) {
+      content.push(
+        DOM.create(
+          'span',
+          { className: 'menu-dish__warning' },
+          t('menu.conflict', {
+            tags: conflicts.map(tag => I18n.localize(tag.label)).join(', '),
+          }),
+        ),
+      );
+    }
+
+    return DOM.create(
+      'dd',
+      {
+        className: `menu-dish${conflicts.length ? ' menu-dish--conflict' : ''}`,
+      },
+      content,
+    );
+  }
+
+  getTag(id) {
+    return this.menus.tags.find(tag => tag.id === id);
+  }
+
+  getWeekLabel(week) {
+    return t('menu.week.title', {
+      date: I18n.formatDate(Menus.parseDate(week.days[0].date), {
+        day: 'numeric',
+        month: 'long',
+        timeZone: 'UTC',
+      }),
+    });
+  }
+
+  handleChange(e) {
+    const { name, value } = e.target;
+
+    if (name === 'week') {
+      this.week =
+        this.weeks.find(week => week.days[0].date === value) || this.week;
+      this.renderWeek();
+    } else if (name === 'profile') {
+      this.profile = Array.from(
+        DOM.queryAll('[name="profile"]:checked', this.container),
+      ).map(field => field.value);
+      Storage.setItem(PROFILE_KEY, this.profile);
+      this.renderWeek();
+    }
+  }
+
+  handleClick(e) {
+    if (!e.target.closest('[data-menu-print]')) return;
+
+    // Print only the week's menus, see styles.css
+    document.body.classList.add('is-printing-menu');
+    window.print();
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default MenuBoard;
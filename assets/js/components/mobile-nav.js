@@ -0,0 +1,101 @@
+/**
+ * Mobile Navigation Component
+ */
+
+import { t } from '../i18n.js';
+import { A11y, DOM, Events } from '../utils.js';
+
+export class MobileNav {
+  constructor(selector) {
+    this.nav = DOM.query(selector);
+    this.toggle = DOM.query('.header__mobile-toggle');
+    this.isOpen = false;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.nav || !this.toggle) return;
+
+    // Toggle button click
+    this.cleanup.push(Events.on(this.toggle, 'click', () => this.toggleNav()));
+
+    // Close on escape key
+    this.cleanup.push(
+      Events.on(document, 'keydown', e => {
+        if (e.key === 'Escape' && this.isOpen) {
+          this.closeNav();
+        }
+      }),
+    );
+
+    // Close when clicking outside
+    this.cleanup.push(
+      Events.on(document, 'click', e => {
+        if (
+          this.isOpen &&
+          !this.nav.contains(e.target) &&
+          !this.toggle.contains(e.target)
+        ) {
+          this.closeNav();
+        }
+      }),
+    );
+
+    // Handle resize
+    this.cleanup.push(
+      Events.on(
+        window,
+        'resize',
+        Events.throttle(() => {
+          if (window.innerWidth > 768 && this.isOpen) {
+            this.closeNav();
+          }
+        }, 250),
+      ),
+    );
+
+    // Set initial ARIA attributes
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.setAttribute('aria-controls', 'main-navigation');
+    this.nav.id = 'main-navigation';
+  }
+
+  toggleNav() {
+    if (this.isOpen) {
+      this.closeNav();
+    } else {
+      this.openNav();
+    }
+  }
+
+  openNav() {
+    this.isOpen = true;
+    this.nav.classList.add('header__nav--open');
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.toggle.innerHTML = '✕'; // Close icon
+
+    // Focus first nav link
+    const firstLink = DOM.query('.nav__link', this.nav);
+    if (firstLink) {
+      firstLink.focus();
+    }
+
+    A11y.announce(t('nav.opened'), 'polite');
+  }
+
+  closeNav() {
+    this.isOpen = false;
+    this.nav.classList.remove('header__nav--open');
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.innerHTML = '☰'; // Hamburger icon
+
+    A11y.announce(t('nav.closed'), 'polite');
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default MobileNav;
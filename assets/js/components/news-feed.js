@@ -0,0 +1,238 @@
+/**
+ * News Feed Component
+ * Tag chips and pagination over the post cards generated by
+ * scripts/build-news.mjs; the tag and page are kept in the ?tag= and ?page=
+ * query parameters so filtered listings can be shared
+ */
+
+import { t } from '../i18n.js';
+import { A11y, DOM, Events, URL } from '../utils.js';
+
+const TAG_PARAM = 'tag';
+const PAGE_PARAM = 'page';
+const DEFAULT_PAGE_SIZE = 6;
+
+export class NewsFeed {
+  constructor(selector = '[data-news-feed]') {
+    this.container = DOM.query(selector);
+    this.cards = [];
+    this.tags = [];
+    this.tag = '';
+    this.page = 1;
+    this.pageSize = DEFAULT_PAGE_SIZE;
+    this.filters = null;
+    this.status = null;
+    this.pagination = null;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.cards = Array.from(DOM.queryAll('[data-news-card]', this.container));
+    if (!this.cards.length) return;
+
+    this.pageSize =
+      parseInt(this.container.dataset.pageSize, 10) || DEFAULT_PAGE_SIZE;
+
+    // Tags and their labels, taken from the tag links of the cards
+    const labels = new Map();
+    DOM.queryAll('[data-news-tag]', this.container).forEach(link => {
+      labels.set(link.dataset.newsTag, link.textContent.trim());
+    });
+    this.tags = Array.from(labels, ([id, label]) => ({ id, label })).sort(
+      (a, b) => a.label.localeCompare(b.label),
+    );
+
+    this.readUrl();
+    this.render();
+
+    this.cleanup.push(
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(window, 'popstate', () => {
+        this.readUrl();
+        this.apply({ history: false });
+      }),
+      Events.on(document, 'localechange', () => this.render()),
+    );
+  }
+
+  readUrl() {
+    const tag = URL.getParam(TAG_PARAM) || '';
+    this.tag = this.tags.some(({ id }) => id === tag) ? tag : '';
+    this.page = parseInt(URL.getParam(PAGE_PARAM), 10) || 1;
+  }
+
+  render() {
+    DOM.queryAll(
+      '.news-feed__filters, .news-feed__status, .news-feed__pagination',
+      this.container,
+    ).forEach(element => element.remove());
+
+    this.filters = DOM.create(
+      'div',
+      {
+        className: 'news-feed__filters',
+        role: 'group',
+        'aria-label': t('news.filter.label'),
+      },
+      [{ id: '', label: t('news.filter.all') }, ...this.tags].map(tag =>
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'news-feed__chip',
+            'data-news-filter': tag.id,
+            'aria-pressed': String(tag.id === this.tag),
+          },
+          tag.label,
+        ),
+      ),
+    );
+    this.status = DOM.create('p', {
+      className: 'news-feed__status',
+      'aria-live': 'polite',
+    });
+    this.pagination = DOM.create('nav', {
+      className: 'news-feed__pagination',
+      'aria-label': t('news.pagination.label'),
+    });
+
+    this.container.prepend(this.filters, this.status);
+    this.container.appendChild(this.pagination);
+
+    this.apply({ history: false });
+  }
+
+  getMatches() {
+    return this.cards.filter(
+      card => !this.tag || card.dataset.tags.split(' ').includes(this.tag),
+    );
+  }
+
+  apply({ history = true, scroll = false } = {}) {
+    const matches = this.getMatches();
+    const pages = Math.max(1, Math.ceil(matches.length / this.pageSize));
+    this.page = Math.min(Math.max(this.page, 1), pages);
+
+    const start = (this.page - 1) * this.pageSize;
+    const shown = matches.slice(start, start + this.pageSize);
+    this.cards.forEach(card => {
+      card.hidden = !shown.includes(card);
+    });
+
+    DOM.queryAll('[data-news-filter]', this.container).forEach(chip => {
+      chip.setAttribute(
+        'aria-pressed',
+        String(chip.dataset.newsFilter === this.tag),
+      );
+    });
+
+    this.renderPagination(pages);
+    this.updateStatus(matches.length, pages);
+
+    if (history) {
+      this.updateUrl();
+    }
+    if (scroll) {
+      // Back to the top of the list, where the status reads the new page
+      this.container.scrollIntoView({
+        behavior: A11y.prefersReducedMotion() ? 'auto' : 'smooth',
+        block: 'start',
+      });
+    }
+  }
+
+  renderPagination(pages) {
+    this.pagination.innerHTML = '';
+    this.pagination.hidden = pages < 2;
+    if (pages < 2) return;
+
+    const button = (page, label, attrs = {}) =>
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'news-feed__page',
+          'data-news-page': page,
+          ...attrs,
+        },
+        label,
+      );
+
+    const items = [];
+    if (this.page > 1) {
+      items.push(button(this.page - 1, t('news.pagination.previous')));
+    }
+    for (let page = 1; page <= pages; page++) {
+      items.push(
+        button(page, String(page), {
+          'aria-label': t('news.pagination.page', { page }),
+          ...(page === this.page ? { 'aria-current': 'page' } : {}),
+        }),
+      );
+    }
+    if (this.page < pages) {
+      items.push(button(this.page + 1, t('news.pagination.next')));
+    }
+
+    items.forEach(item => this.pagination.appendChild(item));
+  }
+
+  updateStatus(count, pages) {
+    const tag = this.tags.find(({ id }) => id === this.tag);
+
+    if (!count) {
+      this.status.textContent = t('news.status.empty');
+      return;
+    }
+
+    const parts = [
+      tag
+        ? t('news.status.tagged', { count, tag: tag.label })
+        : t('news.status.count', { count }),
+    ];
+    if (pages > 1) {
+      parts.push(t('news.status.page', { page: this.page, pages }));
+    }
+    this.status.textContent = parts.join(' – ');
+  }
+
+  updateUrl() {
+    if (this.tag) {
+      URL.setParam(TAG_PARAM, this.tag, true);
+    } else {
+      URL.removeParam(TAG_PARAM, true);
+    }
+
+    if (this.page > 1) {
+      URL.setParam(PAGE_PARAM, this.page, true);
+    } else {
+      URL.removeParam(PAGE_PARAM, true);
+    }
+  }
+
+  handleClick(e) {
+    const filter = e.target.closest('[data-news-filter]');
+    const tagLink = e.target.closest('[data-news-tag]');
+    const page = e.target.closest('[data-news-page]');
+
+    if (filter || tagLink) {
+      // Tag links on the cards filter in place instead of reloading the page
+      if (tagLink) e.preventDefault();
+      this.tag = filter ? filter.dataset.newsFilter : tagLink.dataset.newsTag;
+      this.page = 1;
+      this.apply();
+    } else if (page) {
+      this.page = parseInt(page.dataset.newsPage, 10);
+      this.apply({ scroll: true });
+    }
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default NewsFeed;
@@ -0,0 +1,145 @@
+/**
+ * Outbox Status Component
+ * Lists submissions waiting for a connection and lets the visitor cancel them
+ */
+
+import { I18n, t } from '../i18n.js';
+import { A11y, DOM, Events } from '../utils.js';
+
+export class OutboxStatus {
+  constructor(selector, outbox) {
+    this.container = DOM.query(selector);
+    this.outbox = outbox;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.container || !this.outbox) return;
+
+    this.container.classList.add('outbox');
+    this.container.setAttribute('aria-live', 'polite');
+
+    this.cleanup.push(
+      this.outbox.subscribe(event => this.handleChange(event)),
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(window, 'online', () => this.render()),
+      Events.on(window, 'offline', () => this.render()),
+      Events.on(document, 'localechange', () => this.render()),
+    );
+
+    this.render();
+  }
+
+  handleChange({ type }) {
+    if (type === 'cancelled') {
+      A11y.announce(t('outbox.cancelled'), 'polite');
+    } else if (type === 'failed') {
+      A11y.announce(t('outbox.failed'), 'assertive');
+    }
+
+    this.render();
+  }
+
+  handleClick(e) {
+    const cancel = e.target.closest('[data-outbox-cancel]');
+    const retry = e.target.closest('[data-outbox-retry]');
+
+    if (cancel) {
+      this.outbox.cancel(cancel.dataset.outboxCancel);
+    } else if (retry) {
+      this.outbox.retry(retry.dataset.outboxRetry);
+    }
+  }
+
+  render() {
+    const items = this.outbox.list();
+
+    this.container.innerHTML = '';
+    this.container.hidden = items.length === 0;
+    if (!items.length) return;
+
+    const title = DOM.create(
+      'p',
+      { className: 'outbox__title' },
+      t('outbox.count', { count: items.length }),
+    );
+
+    const list = DOM.create(
+      'ul',
+      { className: 'outbox__list' },
+      items.map(item => this.renderItem(item)),
+    );
+
+    this.container.appendChild(title);
+    this.container.appendChild(list);
+  }
+
+  renderItem(item) {
+    const name = item.data['parent-name'] || 'Demande';
+    const subject =
+      item.config.choices?.subject?.[item.data.subject] || item.data.subject;
+    const label = subject ? `${name} - ${subject}` : name;
+
+    const actions = [
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--sm btn--secondary',
+          'data-outbox-cancel': item.id,
+          'aria-label': t('outbox.cancelLabel', { label }),
+        },
+        t('outbox.cancel'),
+      ),
+    ];
+
+    if (item.status === 'failed') {
+      actions.unshift(
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--sm btn--primary',
+            'data-outbox-retry': item.id,
+          },
+          t('outbox.retry'),
+        ),
+      );
+    }
+
+    return DOM.create('li', { className: 'outbox__item' }, [
+      DOM.create('span', { className: 'outbox__label' }, label),
+      DOM.create(
+        'span',
+        { className: 'outbox__state' },
+        this.describeState(item),
+      ),
+      DOM.create('span', { className: 'outbox__actions' }, actions),
+    ]);
+  }
+
+  describeState(item) {
+    if (item.status === 'failed') {
+      return t('outbox.state.failed');
+    }
+    if (!navigator.onLine) {
+      return t('outbox.state.offline');
+    }
+    if (item.nextAttemptAt > Date.now()) {
+      return t('outbox.state.scheduled', {
+        time: I18n.formatDate(item.nextAttemptAt, {
+          hour: '2-digit',
+          minute: '2-digit',
+        }),
+      });
+    }
+    return t('outbox.state.sending');
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default OutboxStatus;
@@ -0,0 +1,70 @@
+/**
+ * Scroll Spy Component
+ */
+
+import { DOM, Events } from '../utils.js';
+
+export class ScrollSpy {
+  constructor(navSelector, sectionsSelector) {
+    this.nav = DOM.query(navSelector);
+    this.sections = DOM.queryAll(sectionsSelector);
+    this.navLinks = DOM.queryAll('a[href^="#"]', this.nav);
+    this.currentSection = null;
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.nav || !this.sections.length) return;
+
+    this.cleanup.push(
+      Events.on(
+        window,
+        'scroll',
+        Events.throttle(() => this.updateActiveSection(), 100),
+      ),
+    );
+
+    // Initial check
+    this.updateActiveSection();
+  }
+
+  updateActiveSection() {
+    const scrollPos = window.scrollY + 100; // Offset for header
+
+    let activeSection = null;
+
+    this.sections.forEach(section => {
+      const top = section.offsetTop;
+      const bottom = top + section.offsetHeight;
+
+      if (scrollPos >= top && scrollPos < bottom) {
+        activeSection = section;
+      }
+    });
+
+    if (activeSection && activeSection !== this.currentSection) {
+      this.currentSection = activeSection;
+      this.updateNavigation(activeSection.id);
+    }
+  }
+
+  updateNavigation(sectionId) {
+    // Remove active class from all links
+    this.navLinks.forEach(link => {
+      link.classList.remove('nav__link--active');
+    });
+
+    // Add active class to current link
+    const activeLink = DOM.query(`a[href="#${sectionId}"]`, this.nav);
+    if (activeLink) {
+      activeLink.classList.add('nav__link--active');
+    }
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default ScrollSpy;
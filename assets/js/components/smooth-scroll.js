@@ -0,0 +1,58 @@
+/**
+ * Smooth Scroll Navigation Component
+ */
+
+import { Animation, DOM, Events } from '../utils.js';
+
+export class SmoothScroll {
+  constructor(selector = 'a[href^="#"]') {
+    this.links = DOM.queryAll(selector);
+    this.cleanup = [];
+  }
+
+  init() {
+    this.links.forEach(link => {
+      this.cleanup.push(
+        Events.on(link, 'click', e => this.handleClick(e, link)),
+      );
+    });
+  }
+
+  handleClick(e, link) {
+    e.preventDefault();
+
+    const targetId = link.getAttribute('href').substring(1);
+    const target = DOM.query(`#${targetId}`);
+
+    if (target) {
+      // Update URL without triggering scroll
+      if (history.pushState) {
+        history.pushState(null, null, `#${targetId}`);
+      }
+
+      // Smooth scroll to target
+      Animation.scrollTo(target, {
+        behavior: 'smooth',
+        block: 'start',
+      });
+
+      // Focus target for accessibility
+      target.setAttribute('tabindex', '-1');
+      target.focus();
+      target.addEventListener(
+        'blur',
+        () => {
+          target.removeAttribute('tabindex');
+        },
+        { once: true },
+      );
+    }
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default SmoothScroll;
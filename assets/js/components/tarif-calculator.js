@@ -0,0 +1,355 @@
+/**
+ * Tarif Calculator Component
+ * Parents pick days, activities, meals and transport and get a weekly, monthly
+ * and yearly estimate they can print or send through the contact form
+ */
+
+import { t } from '../i18n.js';
+import { Tarifs } from '../tarifs.js';
+import { DOM, Events } from '../utils.js';
+
+export class TarifCalculator {
+  constructor(selector = '[data-tarif-calculator]') {
+    this.container = DOM.query(selector);
+    this.grid = null;
+    this.selection = {
+      days: {},
+      extras: [],
+      transport: { zone: '', trips: 2 },
+    };
+    this.result = null;
+    this.cleanup = [];
+  }
+
+  async init() {
+    if (!this.container) return;
+
+    this.cleanup.push(
+      Events.on(this.container, 'change', () => this.handleChange()),
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(document, 'localechange', () => this.render()),
+      Events.on(window, 'afterprint', () =>
+        document.body.classList.remove('is-printing-estimate'),
+      ),
+    );
+
+    try {
+      this.grid = await Tarifs.load(this.container.dataset.source);
+    } catch (error) {
+      // Reported like a component that fails to mount
+      Events.emit(document, 'componenterror', {
+        name: 'tarif-calculator',
+        element: this.container,
+        error,
+      });
+      this.container.textContent = t('tarifs.error');
+      return;
+    }
+
+    this.render();
+  }
+
+  render() {
+    if (!this.grid) return;
+
+    // Static price cards on the page read from the same grid
+    DOM.queryAll('[data-tarif-price]').forEach(element => {
+      const entry = Tarifs.find(this.grid, element.dataset.tarifPrice);
+      if (entry) {
+        element.textContent = Tarifs.formatPrice(entry.price);
+      }
+    });
+
+    this.container.innerHTML = '';
+    this.result = DOM.create('div', {
+      className: 'tarif-calculator__result',
+      'aria-live': 'polite',
+    });
+
+    this.container.appendChild(
+      DOM.create('div', { className: 'tarif-calculator__form' }, [
+        this.renderDays(),
+        this.renderExtras(),
+        this.renderTransport(),
+      ]),
+    );
+    this.container.appendChild(this.result);
+
+    this.renderResult();
+  }
+
+  renderDays() {
+    const groups = this.grid.days.map(day => {
+      const id = `tarif-day-${day.id}`;
+      const select = DOM.create(
+        'select',
+        { id, name: `day:${day.id}`, className: 'form-select' },
+        [
+          DOM.create('option', { value: '' }, t('tarifs.day.none')),
+          ...day.options.map(option =>
+            DOM.create(
+              'option',
+              { value: option.id },
+              `${Tarifs.label(option)} (${Tarifs.formatPrice(option.price)})`,
+            ),
+          ),
+        ],
+      );
+      select.value = this.selection.days[day.id] || '';
+
+      return DOM.create('div', { className: 'form-group' }, [
+        DOM.create(
+          'label',
+          { for: id, className: 'form-label' },
+          Tarifs.label(day),
+        ),
+        select,
+      ]);
+    });
+
+    return DOM.create('fieldset', { className: 'tarif-calculator__group' }, [
+      DOM.create('legend', {}, t('tarifs.days.legend')),
+      ...groups,
+    ]);
+  }
+
+  renderExtras() {
+    const options = this.grid.extras.map(extra => {
+      const checkbox = DOM.create('input', {
+        type: 'checkbox',
+        name: 'extra',
+        value: extra.id,
+      });
+      checkbox.checked = this.selection.extras.includes(extra.id);
+
+      const label = DOM.create(
+        'label',
+        { className: 'tarif-calculator__option' },
+        [checkbox],
+      );
+      label.append(
+        ` ${Tarifs.label(extra)} (${Tarifs.formatPrice(extra.price)} ${t(
+          'tarifs.perDay',
+        )})`,
+      );
+      return label;
+    });
+
+    return DOM.create('fieldset', { className: 'tarif-calculator__group' }, [
+      DOM.create('legend', {}, t('tarifs.extras.legend')),
+      ...options,
+    ]);
+  }
+
+  renderTransport() {
+    const zone = DOM.create(
+      'select',
+      {
+        id: 'tarif-transport-zone',
+        name: 'transport-zone',
+        className: 'form-select',
+      },
+      [
+        DOM.create('option', { value: '' }, t('tarifs.transport.none')),
+        ...this.grid.transport.map(item =>
+          DOM.create(
+            'option',
+            { value: item.id },
+            `${Tarifs.label(item)} (${Tarifs.formatPrice(item.price)} ${t(
+              'tarifs.perTrip',
+            )})`,
+          ),
+        ),
+      ],
+    );
+    zone.value = this.selection.transport.zone;
+
+    const trips = DOM.create(
+      'select',
+      {
+        id: 'tarif-transport-trips',
+        name: 'transport-trips',
+        className: 'form-select',
+      },
+      [
+        DOM.create('option', { value: '1' }, t('tarifs.transport.oneWay')),
+        DOM.create('option', { value: '2' }, t('tarifs.transport.roundTrip')),
+      ],
+    );
+    trips.value = String(this.selection.transport.trips);
+    trips.disabled = !this.selection.transport.zone;
+
+    return DOM.create('fieldset', { className: 'tarif-calculator__group' }, [
+      DOM.create('legend', {}, t('tarifs.transport.legend')),
+      DOM.create('div', { className: 'form-group' }, [
+        DOM.create(
+          'label',
+          { for: 'tarif-transport-zone', className: 'form-label' },
+          t('tarifs.transport.zone'),
+        ),
+        zone,
+      ]),
+      DOM.create('div', { className: 'form-group' }, [
+        DOM.create(
+          'label',
+          { for: 'tarif-transport-trips', className: 'form-label' },
+          t('tarifs.transport.trips'),
+        ),
+        trips,
+      ]),
+    ]);
+  }
+
+  renderResult() {
+    const estimate = Tarifs.estimate(this.grid, this.selection);
+
+    this.result.innerHTML = '';
+
+    if (!estimate.days) {
+      this.result.appendChild(
+        DOM.create(
+          'p',
+          { className: 'tarif-calculator__empty' },
+          t('tarifs.empty'),
+        ),
+      );
+      return;
+    }
+
+    const header = DOM.create('tr', {}, [
+      DOM.create('th', { scope: 'col' }, t('tarifs.column.item')),
+      DOM.create('th', { scope: 'col' }, t('tarifs.column.quantity')),
+      DOM.create('th', { scope: 'col' }, t('tarifs.column.unit')),
+      DOM.create('th', { scope: 'col' }, t('tarifs.column.weekly')),
+    ]);
+
+    const rows = estimate.lines.map(line =>
+      DOM.create('tr', {}, [
+        DOM.create('th', { scope: 'row' }, line.label),
+        DOM.create('td', {}, String(line.quantity)),
+        DOM.create('td', {}, Tarifs.formatPrice(line.unit)),
+        DOM.create('td', {}, Tarifs.formatPrice(line.weekly)),
+      ]),
+    );
+
+    this.result.appendChild(
+      DOM.create('table', { className: 'tarif-calculator__table' }, [
+        DOM.create('caption', {}, t('tarifs.breakdown')),
+        DOM.create('thead', {}, [header]),
+        DOM.create('tbody', {}, rows),
+      ]),
+    );
+
+    const notes = [
+      ...estimate.fees.map(fee =>
+        DOM.create(
+          'li',
+          {},
+          `${fee.label} : ${Tarifs.formatPrice(fee.amount)} (${t(
+            'tarifs.perYear',
+          )})`,
+        ),
+      ),
+      ...estimate.pending.map(label =>
+        DOM.create('li', {}, t('tarifs.pending', { label })),
+      ),
+    ];
+
+    if (notes.length) {
+      this.result.appendChild(
+        DOM.create('ul', { className: 'tarif-calculator__notes' }, notes),
+      );
+    }
+
+    const totals = ['week', 'month', 'year'].map(period =>
+      DOM.create('div', { className: 'tarif-calculator__total' }, [
+        DOM.create('dt', {}, t(`tarifs.total.${period}`)),
+        DOM.create('dd', {}, Tarifs.formatPrice(estimate.totals[period])),
+      ]),
+    );
+
+    this.result.appendChild(
+      DOM.create('dl', { className: 'tarif-calculator__totals' }, totals),
+    );
+    this.result.appendChild(
+      DOM.create(
+        'p',
+        { className: 'tarif-calculator__disclaimer' },
+        t('tarifs.note', this.grid.period),
+      ),
+    );
+
+    const params = new URLSearchParams({
+      subject: 'tarifs',
+      message: Tarifs.summarize(estimate),
+    });
+    const contact = this.container.dataset.contact || 'contact.html';
+
+    this.result.appendChild(
+      DOM.create('div', { className: 'tarif-calculator__actions' }, [
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--secondary',
+            'data-tarif-print': '',
+          },
+          t('tarifs.print'),
+        ),
+        DOM.create(
+          'a',
+          {
+            href: `${contact}?${params}#contact-form`,
+            className: 'btn btn--primary',
+          },
+          t('tarifs.contact'),
+        ),
+      ]),
+    );
+  }
+
+  readSelection() {
+    const values = name =>
+      Array.from(DOM.queryAll(`[name="${name}"]`, this.container)).filter(
+        field => field.type !== 'checkbox' || field.checked,
+      );
+
+    this.grid.days.forEach(day => {
+      const [select] = values(`day:${day.id}`);
+      this.selection.days[day.id] = select ? select.value : '';
+    });
+
+    this.selection.extras = values('extra').map(field => field.value);
+
+    const [zone] = values('transport-zone');
+    const [trips] = values('transport-trips');
+    this.selection.transport = {
+      zone: zone ? zone.value : '',
+      trips: trips ? Number(trips.value) : 2,
+    };
+
+    if (trips) {
+      trips.disabled = !this.selection.transport.zone;
+    }
+  }
+
+  handleChange() {
+    this.readSelection();
+    this.renderResult();
+  }
+
+  handleClick(e) {
+    if (!e.target.closest('[data-tarif-print]')) return;
+
+    // Print only the estimate, see periscolaire.css
+    document.body.classList.add('is-printing-estimate');
+    window.print();
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default TarifCalculator;
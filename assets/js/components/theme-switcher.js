@@ -0,0 +1,73 @@
+/**
+ * Theme Switcher Component
+ * A select of the color modes; the choice persists through Theme
+ */
+
+import { t } from '../i18n.js';
+import { Theme } from '../theme.js';
+import { A11y, DOM, Events } from '../utils.js';
+
+export class ThemeSwitcher {
+  constructor(selector = '[data-theme-switcher]') {
+    this.container = DOM.query(selector);
+    this.select = null;
+    this.label = null;
+    this.options = [];
+    this.cleanup = [];
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.container.classList.add('theme-switcher');
+
+    this.label = DOM.create('label', {
+      className: 'sr-only',
+      for: 'theme-switcher-select',
+    });
+    this.select = DOM.create('select', {
+      id: 'theme-switcher-select',
+      className: 'theme-switcher__select',
+    });
+    this.options = Theme.modes.map(mode => {
+      const option = DOM.create('option', { value: mode });
+      this.select.appendChild(option);
+      return option;
+    });
+    this.container.append(this.label, this.select);
+
+    this.cleanup.push(
+      Events.on(this.select, 'change', () => this.choose(this.select.value)),
+      // Another tab, or the device in system mode
+      Events.on(document, 'themechange', () => this.update()),
+      Events.on(document, 'localechange', () => this.update()),
+    );
+
+    this.update();
+  }
+
+  choose(mode) {
+    if (mode === Theme.getMode()) return;
+
+    Theme.setMode(mode);
+    A11y.announce(
+      t('theme.changed', { name: t(`theme.mode.${mode}`) }),
+      'polite',
+    );
+  }
+
+  update() {
+    this.label.textContent = t('theme.label');
+    this.options.forEach(option => {
+      option.textContent = t(`theme.mode.${option.value}`);
+    });
+    this.select.value = Theme.getMode();
+  }
+
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default ThemeSwitcher;
@@ -0,0 +1,440 @@
+/**
+ * Visit Scheduler Component
+ * Parents pick a visit slot in the coming weeks, leave their details and get
+ * an .ics file of the booked visit for their calendar, or of the requested
+ * one when the request leaves as a mail or WhatsApp draft
+ */
+
+import { FormValidator } from './form-validator.js';
+import { Calendar } from '../calendar.js';
+import { I18n, t } from '../i18n.js';
+import { Planning } from '../planning.js';
+import { Submission } from '../submission.js';
+import { Visits } from '../visits.js';
+import { A11y, DOM, Events, Form } from '../utils.js';
+
+export class VisitScheduler {
+  constructor(selector = '[data-visit-scheduler]') {
+    this.container = DOM.query(selector);
+    this.form = null;
+    this.slots = null;
+    this.status = null;
+    this.validator = null;
+    this.availability = null;
+    this.days = [];
+    this.week = 0;
+    this.selected = '';
+    this.booking = null;
+    this.sending = false;
+    this.cleanup = [];
+  }
+
+  async init() {
+    if (!this.container) return;
+
+    this.form = DOM.query('form', this.container);
+    this.slots = DOM.query('[data-visit-slots]', this.form);
+
+    try {
+      this.availability = await Visits.load(this.container.dataset.source);
+    } catch (error) {
+      this.reportError(error);
+      DOM.query('[data-visit-fallback]', this.container).textContent =
+        t('visit.error');
+      return;
+    }
+
+    DOM.query('[data-visit-fallback]', this.container).remove();
+    this.form.hidden = false;
+    this.validator = new FormValidator(
+      `#${DOM.query('fieldset[id]', this.form).id}`,
+    );
+    this.validator.init();
+
+    // Open on the first week with a free slot
+    const first = Visits.days(this.availability).find(day =>
+      day.slots.some(slot => slot.available),
+    );
+    this.week = first ? first.week : 0;
+
+    this.cleanup.push(
+      Events.on(this.form, 'change', e => this.handleChange(e)),
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(this.form, 'submit', e => this.handleSubmit(e)),
+      Events.on(document, 'localechange', () => this.render()),
+    );
+
+    this.render();
+  }
+
+  render() {
+    if (!this.availability) return;
+
+    this.days = Visits.days(this.availability);
+    const lastWeek = this.days.length
+      ? this.days[this.days.length - 1].week
+      : 0;
+    const days = this.days.filter(day => day.week === this.week);
+
+    const title = days.length
+      ? t('visit.week', {
+        start: Visits.formatDay(days[0].day, {
+          day: 'numeric',
+          month: 'long',
+        }),
+        end: Visits.formatDay(days[days.length - 1].day, {
+          day: 'numeric',
+          month: 'long',
+        }),
+      })
+      : '';
+
+    const previous = DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'btn btn--outline btn--sm',
+        'data-visit-week': String(this.week - 1),
+      },
+      t('visit.previous'),
+    );
+    const next = DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'btn btn--outline btn--sm',
+        'data-visit-week': String(this.week + 1),
+      },
+      t('visit.next'),
+    );
+    previous.disabled = this.week === 0;
+    next.disabled = this.week >= lastWeek;
+
+    const nav = DOM.create('div', { className: 'visit-scheduler__nav' }, [
+      previous,
+      DOM.create(
+        'p',
+        { className: 'visit-scheduler__week', 'aria-live': 'polite' },
+        title,
+      ),
+      next,
+    ]);
+
+    const grid = DOM.create(
+      'div',
+      { className: 'visit-scheduler__days' },
+      days.map(day => this.renderDay(day)),
+    );
+
+    this.status = DOM.create('p', {
+      className: 'visit-scheduler__selected',
+      'aria-live': 'polite',
+    });
+
+    this.slots.innerHTML = '';
+    this.slots.append(nav, grid);
+    if (!days.some(day => day.slots.some(slot => slot.available))) {
+      this.slots.append(
+        DOM.create(
+          'p',
+          { className: 'visit-scheduler__empty' },
+          t('visit.empty'),
+        ),
+      );
+    }
+    this.slots.append(this.status);
+
+    this.renderSelection();
+  }
+
+  renderDay(day) {
+    const content = [
+      DOM.create(
+        'h4',
+        { className: 'visit-scheduler__date' },
+        Visits.formatDay(day.day),
+      ),
+    ];
+
+    if (day.holiday) {
+      content.push(
+        DOM.create(
+          'p',
+          { className: 'visit-scheduler__closed' },
+          t('visit.holiday', { label: I18n.localize(day.holiday.label) }),
+        ),
+      );
+    } else {
+      day.slots.forEach(slot => {
+        const input = DOM.create('input', {
+          type: 'radio',
+          name: 'slot',
+          value: slot.id,
+        });
+        input.disabled = !slot.available;
+        input.checked = slot.id === this.selected;
+
+        const label = DOM.create(
+          'label',
+          {
+            className: `visit-scheduler__slot${
+              slot.available ? '' : ' visit-scheduler__slot--taken'
+            }`,
+          },
+          [input],
+        );
+        label.append(Planning.formatTime(Planning.toMinutes(slot.time)));
+        if (!slot.available) {
+          label.title = t('visit.full');
+        }
+        content.push(label);
+      });
+    }
+
+    return DOM.create(
+      'div',
+      {
+        className: `visit-scheduler__day${
+          day.holiday ? ' visit-scheduler__day--closed' : ''
+        }`,
+      },
+      content,
+    );
+  }
+
+  renderSelection() {
+    const slot = Visits.find(this.days, this.selected);
+    this.status.textContent =
+      slot && slot.available
+        ? t('visit.slot.selected', { slot: Visits.formatSlot(slot) })
+        : '';
+  }
+
+  handleChange(e) {
+    if (e.target.name !== 'slot') return;
+
+    this.selected = e.target.value;
+    this.clearSlotError();
+    this.renderSelection();
+    this.emitStep('slot');
+  }
+
+  handleClick(e) {
+    const week = e.target.closest('[data-visit-week]');
+
+    if (week) {
+      this.week = Number(week.dataset.visitWeek);
+      this.render();
+    } else if (e.target.closest('[data-visit-ics]') && this.booking) {
+      const { slot, reference, requested } = this.booking;
+      Calendar.download(
+        `visite-${slot.id.slice(0, 10)}.ics`,
+        Calendar.build([
+          Visits.toEvent(this.availability, slot, reference, requested),
+        ]),
+      );
+    }
+  }
+
+  showSlotError(message) {
+    this.clearSlotError();
+
+    const error = DOM.create(
+      'p',
+      {
+        id: 'visit-slot-error',
+        className: 'form-error',
+        'aria-live': 'polite',
+      },
+      message,
+    );
+    this.slots.after(error);
+
+    const radio = DOM.query('input[name="slot"]:not(:disabled)', this.slots);
+    if (radio) radio.focus();
+    A11y.announce(message, 'assertive');
+  }
+
+  clearSlotError() {
+    const error = DOM.query('#visit-slot-error', this.form);
+    if (error) error.remove();
+  }
+
+  showAlert(kind, title, text, action = null) {
+    this.removeAlerts();
+
+    const content = DOM.create('div', { className: 'alert__content' }, [
+      DOM.create('div', { className: 'alert__title' }, title),
+      DOM.create('div', { className: 'alert__message' }, text),
+    ]);
+    if (action) content.appendChild(action);
+
+    const alert = DOM.create(
+      'div',
+      {
+        className: `alert alert--${kind}`,
+        'aria-live': kind === 'error' ? 'assertive' : 'polite',
+        tabindex: '-1',
+      },
+      [content],
+    );
+
+    this.container.insertBefore(alert, this.form);
+    return alert;
+  }
+
+  removeAlerts() {
+    DOM.queryAll(':scope > .alert', this.container).forEach(alert =>
+      alert.remove(),
+    );
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (this.sending) return;
+
+    const slot = Visits.find(this.days, this.selected);
+    if (!slot || !slot.available) {
+      this.showSlotError(t('visit.slot.required'));
+      return;
+    }
+
+    // Validation may wait for the network: no second send meanwhile
+    this.sending = true;
+    const isValid = await this.validator.validate();
+    this.sending = false;
+
+    if (isValid) {
+      this.send(slot);
+    }
+  }
+
+  async send(slot) {
+    const config = Submission.configFromForm(this.form);
+    const data = this.validator.normalizeData(Form.serialize(this.form));
+    const submit = DOM.query('[data-visit-submit]', this.form);
+    const text = submit.textContent;
+
+    // The slot may be in a week that is no longer displayed
+    data.slot = slot.id;
+
+    this.sending = true;
+    submit.disabled = true;
+    submit.textContent = t('form.sending');
+    this.emitStep('submit');
+
+    try {
+      const result = await Submission.send(data, config);
+      this.emitStep(result.channel === 'http' ? 'sent' : 'draft');
+
+      if (result.channel === 'http') {
+        this.confirm(slot, result.body || {});
+      } else {
+        this.request(slot);
+      }
+    } catch (error) {
+      if (error.code === 'http' && error.status === 409) {
+        this.emitStep('taken');
+        this.markBooked(slot);
+        this.showSlotError(t('visit.taken'));
+        return;
+      }
+
+      this.emitStep('failed');
+      this.reportError(error);
+
+      // Offer WhatsApp as a fallback channel with the request prefilled
+      const fallback =
+        config.whatsapp && config.transport !== 'whatsapp'
+          ? DOM.create(
+            'a',
+            {
+              className: 'alert__action',
+              href: Submission.get('whatsapp').buildUrl(data, config),
+              target: '_blank',
+              rel: 'noopener noreferrer',
+            },
+            t('form.error.whatsapp'),
+          )
+          : null;
+
+      this.showAlert(
+        'error',
+        t('form.error.title'),
+        this.validator.getSubmissionErrorMessage(error),
+        fallback,
+      ).focus();
+    } finally {
+      this.sending = false;
+      submit.disabled = false;
+      submit.textContent = text;
+    }
+  }
+
+  // Reported like a component that fails to mount
+  reportError(error) {
+    Events.emit(document, 'componenterror', {
+      name: 'visit-scheduler',
+      element: this.container,
+      error,
+    });
+  }
+
+  // Funnel step, for the audience measurement (see analytics.js)
+  emitStep(step) {
+    Events.emit(document, 'formstep', { form: this.form.id, step });
+  }
+
+  markBooked(slot) {
+    this.availability.booked = [...(this.availability.booked || []), slot.id];
+    this.selected = '';
+    this.render();
+  }
+
+  icsButton(label) {
+    return DOM.create(
+      'button',
+      {
+        type: 'button',
+        className: 'btn btn--outline btn--sm',
+        'data-visit-ics': '',
+      },
+      label,
+    );
+  }
+
+  confirm(slot, body) {
+    this.booking = { slot, reference: body.id || '', requested: false };
+    this.form.reset();
+    this.markBooked(slot);
+
+    this.showAlert(
+      'success',
+      t('visit.success.title'),
+      t('visit.success.message', { slot: Visits.formatSlot(slot) }),
+      this.icsButton(t('visit.ics')),
+    ).focus();
+  }
+
+  // mailto: and WhatsApp only open a draft of the request: the slot is not
+  // booked until the school calls back, so the form stays filled and the
+  // .ics is of a visit to be confirmed
+  request(slot) {
+    this.booking = { slot, reference: '', requested: true };
+
+    this.showAlert(
+      'success',
+      t('visit.request.title'),
+      t('visit.request.message', { slot: Visits.formatSlot(slot) }),
+      this.icsButton(t('visit.request.ics')),
+    ).focus();
+  }
+
+  destroy() {
+    if (this.validator) this.validator.destroy();
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default VisitScheduler;
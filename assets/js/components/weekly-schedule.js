@@ -0,0 +1,412 @@
+/**
+ * Weekly Schedule Component
+ * Timeline and list views of the after-school planning, filtered by activity
+ * type and age, with "today", "next activity" and .ics export
+ */
+
+import { Calendar } from '../calendar.js';
+import { I18n, t } from '../i18n.js';
+import { Planning } from '../planning.js';
+import { A11y, DOM, Events, Storage } from '../utils.js';
+
+const VIEW_KEY = 'schedule-view';
+const VIEWS = ['timeline', 'list'];
+
+export class WeeklySchedule {
+  constructor(selector = '[data-weekly-schedule]') {
+    this.container = DOM.query(selector);
+    this.planning = null;
+    this.filters = { type: '', age: '' };
+    this.view = VIEWS.includes(Storage.getItem(VIEW_KEY))
+      ? Storage.getItem(VIEW_KEY)
+      : VIEWS[0];
+    this.body = null;
+    this.status = null;
+    this.highlight = '';
+    this.timer = null;
+    this.cleanup = [];
+  }
+
+  async init() {
+    if (!this.container) return;
+
+    try {
+      this.planning = await Planning.load(this.container.dataset.source);
+    } catch (error) {
+      // The static planning markup stays in place; reported like a
+      // component that fails to mount
+      Events.emit(document, 'componenterror', {
+        name: 'weekly-schedule',
+        element: this.container,
+        error,
+      });
+      return;
+    }
+
+    this.cleanup.push(
+      Events.on(this.container, 'change', e => this.handleChange(e)),
+      Events.on(this.container, 'click', e => this.handleClick(e)),
+      Events.on(document, 'localechange', () => this.render()),
+    );
+
+    // Keep "today" and "next activity" current
+    this.timer = setInterval(() => this.refresh(), 60000);
+
+    this.render();
+  }
+
+  render() {
+    this.container.innerHTML = '';
+    this.container.classList.add('weekly-schedule');
+
+    this.status = DOM.create('p', {
+      className: 'weekly-schedule__status',
+      'aria-live': 'polite',
+    });
+    this.body = DOM.create('div', { className: 'weekly-schedule__body' });
+
+    this.container.appendChild(this.renderToolbar());
+    this.container.appendChild(this.status);
+    this.container.appendChild(this.body);
+
+    this.renderBody();
+  }
+
+  renderToolbar() {
+    const views = DOM.create(
+      'div',
+      {
+        className: 'weekly-schedule__views',
+        role: 'group',
+        'aria-label': t('schedule.view.label'),
+      },
+      VIEWS.map(view =>
+        DOM.create(
+          'button',
+          {
+            type: 'button',
+            className: 'btn btn--sm btn--secondary',
+            'data-schedule-view': view,
+          },
+          t(`schedule.view.${view}`),
+        ),
+      ),
+    );
+
+    const type = this.renderSelect('type', t('schedule.filter.type'), [
+      ['', t('schedule.filter.allTypes')],
+      ...this.planning.types.map(item => [item.id, I18n.localize(item.label)]),
+    ]);
+
+    const ages = [];
+    for (
+      let age = this.planning.ages.min;
+      age <= this.planning.ages.max;
+      age++
+    ) {
+      ages.push([String(age), t('schedule.age', { count: age })]);
+    }
+
+    const age = this.renderSelect('age', t('schedule.filter.age'), [
+      ['', t('schedule.filter.allAges')],
+      ...ages,
+    ]);
+
+    return DOM.create('div', { className: 'weekly-schedule__toolbar' }, [
+      views,
+      type,
+      age,
+    ]);
+  }
+
+  renderSelect(name, label, options) {
+    const id = `schedule-${name}`;
+    const select = DOM.create(
+      'select',
+      { id, name, className: 'form-select' },
+      options.map(([value, text]) => DOM.create('option', { value }, text)),
+    );
+    select.value = this.filters[name];
+
+    return DOM.create('div', { className: 'form-group' }, [
+      DOM.create('label', { for: id, className: 'form-label' }, label),
+      select,
+    ]);
+  }
+
+  renderBody() {
+    const activities = Planning.filter(this.planning, this.filters);
+    const now = Planning.now(this.planning);
+    const next = Planning.next(this.planning, activities);
+
+    this.highlight = `${now.day}|${next ? next.id : ''}`;
+    this.status.textContent = next
+      ? t('schedule.status.next', {
+        activity: I18n.localize(next.label),
+        day: this.getDayLabel(next.day),
+        time: Planning.formatTime(Planning.toMinutes(next.start)),
+      })
+      : t('schedule.status.none');
+
+    DOM.queryAll('[data-schedule-view]', this.container).forEach(button => {
+      button.setAttribute(
+        'aria-pressed',
+        String(button.dataset.scheduleView === this.view),
+      );
+    });
+
+    this.body.innerHTML = '';
+    if (!activities.length) return;
+
+    this.body.appendChild(
+      this.view === 'list'
+        ? this.renderList(activities, now, next)
+        : this.renderTimeline(activities, now, next),
+    );
+  }
+
+  renderList(activities, now, next) {
+    const cards = this.planning.days
+      .map(day => {
+        const items = activities.filter(activity => activity.day === day.id);
+        if (!items.length) return null;
+
+        const isToday = day.id === now.day;
+        return DOM.create(
+          'div',
+          {
+            className: `info-card planning-card planning-card--${day.modifier}${
+              isToday ? ' planning-card--today' : ''
+            }`,
+          },
+          [
+            this.renderDayTitle(day, isToday, 'planning-card__day'),
+            ...items.map(activity => this.renderActivity(activity, next)),
+          ],
+        );
+      })
+      .filter(Boolean);
+
+    return DOM.create('div', { className: 'planning-grid' }, cards);
+  }
+
+  renderTimeline(activities, now, next) {
+    const start = Planning.toMinutes(this.planning.hours.start);
+    const end = Planning.toMinutes(this.planning.hours.end);
+    const span = end - start;
+
+    const hours = [];
+    for (let minutes = start; minutes <= end; minutes += 60) {
+      const label = DOM.create(
+        'span',
+        { className: 'schedule-timeline__hour' },
+        Planning.formatTime(minutes),
+      );
+      label.style.setProperty('--top', `${((minutes - start) / span) * 100}%`);
+      hours.push(label);
+    }
+
+    const columns = this.planning.days.map(day => {
+      const items = activities.filter(activity => activity.day === day.id);
+      const { lanes, count } = this.getLanes(items);
+      const isToday = day.id === now.day;
+
+      const list = DOM.create(
+        'ul',
+        { className: 'schedule-timeline__track' },
+        items.map(activity => {
+          const item = DOM.create(
+            'li',
+            { className: 'schedule-timeline__item' },
+            [this.renderActivity(activity, next)],
+          );
+          const from = Planning.toMinutes(activity.start) - start;
+          const to = Planning.toMinutes(activity.end) - start;
+
+          item.style.setProperty('--top', `${(from / span) * 100}%`);
+          item.style.setProperty('--height', `${((to - from) / span) * 100}%`);
+          item.style.setProperty('--lane', lanes.get(activity));
+          item.style.setProperty('--lanes', count);
+          return item;
+        }),
+      );
+
+      return DOM.create(
+        'div',
+        {
+          className: `schedule-timeline__day schedule-timeline__day--${
+            day.modifier
+          }${isToday ? ' schedule-timeline__day--today' : ''}`,
+        },
+        [this.renderDayTitle(day, isToday, 'schedule-timeline__title'), list],
+      );
+    });
+
+    return DOM.create('div', { className: 'schedule-timeline' }, [
+      DOM.create(
+        'div',
+        { className: 'schedule-timeline__hours', 'aria-hidden': 'true' },
+        hours,
+      ),
+      ...columns,
+    ]);
+  }
+
+  // Side-by-side lanes for activities that overlap on the same day
+  getLanes(items) {
+    const lanes = new Map();
+    const ends = [];
+
+    items.forEach(activity => {
+      const from = Planning.toMinutes(activity.start);
+      let lane = ends.findIndex(end => end <= from);
+      if (lane === -1) lane = ends.length;
+
+      ends[lane] = Planning.toMinutes(activity.end);
+      lanes.set(activity, lane);
+    });
+
+    return { lanes, count: ends.length };
+  }
+
+  renderDayTitle(day, isToday, className) {
+    const title = DOM.create('h3', { className }, this.getDayLabel(day.id));
+
+    if (isToday) {
+      title.appendChild(
+        DOM.create(
+          'span',
+          { className: 'planning-card__badge' },
+          t('schedule.today'),
+        ),
+      );
+    }
+    return title;
+  }
+
+  renderActivity(activity, next) {
+    const isNext = next && next.id === activity.id;
+    const label = I18n.localize(activity.label);
+    const time = t('schedule.range', {
+      start: Planning.formatTime(Planning.toMinutes(activity.start)),
+      end: Planning.formatTime(Planning.toMinutes(activity.end)),
+    });
+
+    const content = [
+      DOM.create('div', { className: 'planning-card__time' }, time),
+      DOM.create(
+        'div',
+        { className: 'planning-card__desc' },
+        `${activity.icon} ${label}`,
+      ),
+    ];
+
+    if (activity.details) {
+      content.push(
+        DOM.create(
+          'div',
+          { className: 'planning-card__details' },
+          I18n.localize(activity.details),
+        ),
+      );
+    }
+
+    content.push(
+      DOM.create(
+        'div',
+        { className: 'planning-card__ages' },
+        t('schedule.ages', activity.ages),
+      ),
+    );
+
+    if (isNext) {
+      content.unshift(
+        DOM.create(
+          'span',
+          { className: 'planning-card__badge planning-card__badge--next' },
+          t('schedule.next'),
+        ),
+      );
+    }
+
+    content.push(
+      DOM.create(
+        'button',
+        {
+          type: 'button',
+          className: 'btn btn--sm btn--secondary planning-card__export',
+          'data-schedule-export': activity.id,
+          'aria-label': t('schedule.exportLabel', { activity: label }),
+        },
+        t('schedule.export'),
+      ),
+    );
+
+    return DOM.create(
+      'div',
+      {
+        className: `planning-card__activity${
+          isNext ? ' planning-card__activity--next' : ''
+        }`,
+      },
+      content,
+    );
+  }
+
+  getDayLabel(id) {
+    const day = this.planning.days.find(item => item.id === id);
+    return day ? I18n.localize(day.label) : id;
+  }
+
+  handleChange(e) {
+    const { name, value } = e.target;
+    if (!(name in this.filters)) return;
+
+    this.filters[name] = value;
+    this.renderBody();
+  }
+
+  handleClick(e) {
+    const viewButton = e.target.closest('[data-schedule-view]');
+    const exportButton = e.target.closest('[data-schedule-export]');
+
+    if (viewButton) {
+      this.view = viewButton.dataset.scheduleView;
+      Storage.setItem(VIEW_KEY, this.view);
+      this.renderBody();
+    } else if (exportButton) {
+      this.exportActivity(exportButton.dataset.scheduleExport);
+    }
+  }
+
+  exportActivity(id) {
+    const activity = this.planning.activities.find(item => item.id === id);
+    if (!activity) return;
+
+    const event = Planning.toEvent(this.planning, activity);
+    Calendar.download(`${activity.id}.ics`, Calendar.build([event]));
+    A11y.announce(
+      t('schedule.exported', { activity: I18n.localize(activity.label) }),
+      'polite',
+    );
+  }
+
+  refresh() {
+    const activities = Planning.filter(this.planning, this.filters);
+    const now = Planning.now(this.planning);
+    const next = Planning.next(this.planning, activities);
+
+    // Re-render only when the highlighted day or activity changes
+    if (`${now.day}|${next ? next.id : ''}` !== this.highlight) {
+      this.renderBody();
+    }
+  }
+
+  destroy() {
+    clearInterval(this.timer);
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default WeeklySchedule;
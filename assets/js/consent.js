@@ -0,0 +1,84 @@
+/**
+ * Privacy consent for L'Île aux Oiseaux website
+ * Keeps the visitor's choices for everything the site can do without, by
+ * category, with the version of the privacy policy they answered and when.
+ * Anything non-essential must ask Consent.has() before loading.
+ */
+
+import { Events, Storage } from './utils.js';
+
+const STORAGE_KEY = 'consent';
+
+// Version of politique-confidentialite.html: changing it asks every visitor
+// again
+const POLICY_VERSION = '2026-10-19';
+
+// Non-essential categories, in the order the preferences show them
+const CATEGORIES = ['analytics', 'maps', 'newsletter'];
+
+/**
+ * Consent API
+ */
+export const Consent = {
+  version: POLICY_VERSION,
+  categories: CATEGORIES,
+
+  /**
+   * The visitor's answer to the current privacy policy
+   * @returns {Object|null} - { version, timestamp, categories } or null when
+   *   not asked yet or asked for an older policy
+   */
+  get: () => {
+    const record = Storage.getItem(STORAGE_KEY);
+    return record && record.version === POLICY_VERSION ? record : null;
+  },
+
+  /**
+   * Whether the visitor still has to answer
+   * @returns {boolean} - True if the banner should be shown
+   */
+  isRequired: () => !Consent.get(),
+
+  /**
+   * Whether a category is allowed
+   * @param {string} category - Category
+   * @returns {boolean} - True once the visitor has agreed
+   */
+  has: category => {
+    const record = Consent.get();
+    return Boolean(record && record.categories[category]);
+  },
+
+  /**
+   * Record the visitor's choices and notify listeners with a consentchange
+   * event
+   * @param {Object} choices - true or false by category; missing ones are
+   *   refused
+   * @returns {Object} - Stored record
+   */
+  save: choices => {
+    const record = {
+      version: POLICY_VERSION,
+      timestamp: new Date().toISOString(),
+      categories: Object.fromEntries(
+        CATEGORIES.map(category => [category, Boolean(choices[category])]),
+      ),
+    };
+
+    Storage.setItem(STORAGE_KEY, record);
+    Events.emit(document, 'consentchange', record);
+    return record;
+  },
+
+  /**
+   * Change some categories, keeping the other choices
+   * @param {Object} choices - true or false by category
+   * @returns {Object} - Stored record
+   */
+  update: choices => {
+    const record = Consent.get();
+    return Consent.save({ ...(record ? record.categories : {}), ...choices });
+  },
+};
+
+export default Consent;
@@ -0,0 +1,276 @@
+/**
+ * Error reporting for L'Île aux Oiseaux website
+ * Catches the errors of the page (uncaught ones, rejected promises and
+ * components that fail to start) and sends them in batches with
+ * navigator.sendBeacon to the collector the page names. Repeats of an error
+ * are grouped under its fingerprint, and each report carries the last
+ * actions that led to it: clicks, components started and form steps. Reports
+ * hold the page path only, never a query string or what was typed. As they
+ * also carry the browser and what the visitor did, nothing is collected
+ * without the visitor's agreement to the audience measurement (see
+ * analytics.js).
+ */
+
+import { Analytics } from './analytics.js';
+import { Consent } from './consent.js';
+import { Data, DOM, Events } from './utils.js';
+
+// Actions kept to explain an error
+const MAX_BREADCRUMBS = 20;
+// Stack lines kept
+const MAX_FRAMES = 10;
+const MAX_MESSAGE = 300;
+
+// Clicks are recorded on the control, not on the icon inside it
+const CONTROLS = 'a, button, input, select, textarea, summary, label';
+
+/**
+ * Error-like description of anything thrown or rejected
+ * @param {*} value - Error, string, event or any other value
+ * @returns {Object} - { name, message, stack }
+ */
+export const normalize = value => {
+  if (value instanceof Error || (value && typeof value.message === 'string')) {
+    return {
+      name: String(value.name || 'Error'),
+      message: String(value.message),
+      stack: typeof value.stack === 'string' ? value.stack : '',
+    };
+  }
+
+  let message;
+  if (typeof value === 'string') {
+    message = value;
+  } else if (typeof Event !== 'undefined' && value instanceof Event) {
+    message = `${value.type} event on ${DOM.describe(value.target) || 'page'}`;
+  } else {
+    try {
+      message = JSON.stringify(value) || String(value);
+    } catch (error) {
+      message = Object.prototype.toString.call(value);
+    }
+  }
+
+  return { name: 'NonError', message, stack: '' };
+};
+
+/**
+ * Stack without query strings, limited to its first frames
+ * @param {string} stack - Stack trace
+ * @returns {string} - Cleaned stack
+ */
+const cleanStack = stack =>
+  stack
+    .split('\n')
+    .slice(0, MAX_FRAMES + 1)
+    .map(line => line.replace(/(https?:\/\/[^\s?#)]+)[?#][^\s):]*/g, '$1'))
+    .join('\n');
+
+/**
+ * Short hash of a text (FNV-1a)
+ * @param {string} text - Text
+ * @returns {string} - 8 hexadecimal characters
+ */
+const hash = text => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return (value >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Fingerprint of an error: same name, same message up to its numbers, thrown
+ * from the same place
+ * @param {Object} error - From normalize()
+ * @returns {string} - Fingerprint
+ */
+export const fingerprint = ({ name, message, stack }) => {
+  const frame = stack.split('\n').find(line => /:\d+:\d+/.test(line)) || '';
+  return hash(`${name}|${message.replace(/\d+/g, '0')}|${frame.trim()}`);
+};
+
+/**
+ * Batched, rate-limited error reporter
+ * A page view reports maxReports distinct errors at most, and each of them
+ * once: a page caught in a loop of errors sends a few reports, not a flood,
+ * and whatever goes wrong after that stays unreported until the next page.
+ */
+export class ErrorReporter {
+  /**
+   * @param {Object} options - Reporter options
+   * @param {string|null} options.endpoint - Collector URL
+   * @param {number} options.maxReports - Distinct errors sent per page view
+   * @param {number} options.delay - Time reports wait for others, in ms
+   */
+  constructor({
+    endpoint = null,
+    maxReports = 10,
+    delay = 2000,
+  } = {}) {
+    this.endpoint = endpoint;
+    this.maxReports = maxReports;
+    this.delay = delay;
+    this.seen = new Map();
+    this.queue = [];
+    this.breadcrumbs = [];
+    this.timer = null;
+    this.cleanup = [];
+  }
+
+  /**
+   * Whether errors are collected
+   * @returns {boolean} - True with a collector, once the visitor has agreed
+   *   to the analytics category, unless the browser opts out
+   */
+  isEnabled() {
+    return (
+      Boolean(this.endpoint) &&
+      !Analytics.isOptedOut() &&
+      Consent.has('analytics')
+    );
+  }
+
+  /**
+   * Listen for errors and for the actions that explain them
+   */
+  start() {
+    this.cleanup.push(
+      Events.on(window, 'error', e =>
+        // Errors of other origins only come as "Script error." and a location
+        this.capture(
+          e.error || {
+            name: 'Error',
+            message: e.message || 'Script error.',
+            stack: e.filename ? `at ${e.filename}:${e.lineno}:${e.colno}` : '',
+          },
+        ),
+      ),
+      Events.on(window, 'unhandledrejection', e =>
+        this.capture(e.reason, { type: 'unhandledrejection' }),
+      ),
+      Events.on(document, 'componenterror', e =>
+        this.capture(e.detail.error, {
+          type: 'component',
+          component: e.detail.name,
+        }),
+      ),
+      Events.on(
+        document,
+        'click',
+        e => {
+          const target = e.target.closest
+            ? e.target.closest(CONTROLS) || e.target
+            : e.target;
+          this.addBreadcrumb('click', { target: DOM.describe(target) });
+        },
+        { capture: true },
+      ),
+      Events.on(document, 'componentmount', e =>
+        this.addBreadcrumb('component', { name: e.detail.name }),
+      ),
+      Events.on(document, 'formstep', e =>
+        this.addBreadcrumb('form', { form: e.detail.form, step: e.detail.step }),
+      ),
+      // Last chance to send pending reports
+      Events.on(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+      }),
+      Events.on(window, 'pagehide', () => this.flush()),
+      Events.on(document, 'consentchange', () => {
+        if (this.isEnabled()) return;
+        this.queue = [];
+        this.breadcrumbs = [];
+      }),
+    );
+  }
+
+  /**
+   * Remember an action, the oldest ones are dropped
+   * @param {string} type - click, component or form
+   * @param {Object} data - Action details
+   */
+  addBreadcrumb(type, data = {}) {
+    if (!this.isEnabled()) return;
+
+    this.breadcrumbs.push({
+      type,
+      ...data,
+      time: Math.round(performance.now()),
+    });
+    this.breadcrumbs.splice(0, this.breadcrumbs.length - MAX_BREADCRUMBS);
+  }
+
+  /**
+   * Report an error
+   * @param {*} value - Error or any value thrown or rejected
+   * @param {Object} context - { type, component } (optional)
+   * @returns {boolean} - True if a new report was queued
+   */
+  capture(value, { type = 'error', component = '' } = {}) {
+    try {
+      if (!this.isEnabled()) return false;
+
+      const error = normalize(value);
+      const id = fingerprint(error);
+
+      // A repeat only counts until its report leaves
+      const known = this.seen.get(id);
+      if (known) {
+        known.count += 1;
+        return false;
+      }
+      if (this.seen.size >= this.maxReports) return false;
+
+      const report = {
+        fingerprint: id,
+        type,
+        component,
+        name: error.name.slice(0, 100),
+        message: error.message.slice(0, MAX_MESSAGE),
+        stack: cleanStack(error.stack),
+        page: window.location.pathname,
+        time: Math.round(performance.now()),
+        count: 1,
+        breadcrumbs: this.breadcrumbs.slice(),
+      };
+      this.seen.set(id, report);
+      this.queue.push(report);
+
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.delay);
+      }
+      return true;
+    } catch (error) {
+      // Never let the reporter raise the errors it listens to: this one is
+      // dropped silently
+      return false;
+    }
+  }
+
+  /**
+   * Send pending reports
+   * @returns {boolean} - True if the browser accepted them
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.queue.length || !this.isEnabled()) return false;
+
+    const reports = this.queue;
+    this.queue = [];
+    return Data.beacon(this.endpoint, {
+      userAgent: navigator.userAgent,
+      reports,
+    });
+  }
+
+  destroy() {
+    this.flush();
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default ErrorReporter;
@@ -0,0 +1,106 @@
+/**
+ * FAQ for L'Île aux Oiseaux
+ * Loads the questions, searches them regardless of case and accents, and
+ * describes them as schema.org FAQPage structured data
+ */
+
+import { Data } from './utils.js';
+
+const DEFAULT_SOURCE = 'assets/data/faq.json';
+
+/**
+ * Lowercase text without accents, so "creche" finds "Crèche"
+ * @param {string} text - Text
+ * @returns {string} - Folded text
+ */
+const fold = text =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * FAQ API
+ */
+export const FAQ = {
+  /**
+   * Load the questions
+   * @param {string} url - JSON source
+   * @returns {Promise<Object>} - { categories, questions }
+   */
+  load: (url = DEFAULT_SOURCE) => Data.load(url),
+
+  /**
+   * Split a search into words
+   * @param {string} query - Search text
+   * @returns {string[]} - Folded words
+   */
+  words: query => fold(query).split(/\s+/).filter(Boolean),
+
+  /**
+   * Whether a text contains every word
+   * @param {string} text - Text
+   * @param {string[]} words - Folded words
+   * @returns {boolean} - True if it matches
+   */
+  matches: (text, words) => {
+    const folded = fold(text);
+    return words.every(word => folded.includes(word));
+  },
+
+  /**
+   * Where the words appear in a text, to highlight them
+   * @param {string} text - Text
+   * @param {string[]} words - Folded words
+   * @returns {number[][]} - Sorted, non-overlapping [start, end) ranges
+   */
+  findMatches: (text, words) => {
+    // Fold one character at a time to map positions back to the text
+    let folded = '';
+    const positions = [];
+    for (let i = 0; i < text.length; i++) {
+      const char = fold(text[i]);
+      folded += char;
+      for (let j = 0; j < char.length; j++) positions.push(i);
+    }
+
+    const ranges = [];
+    words.forEach(word => {
+      let index = folded.indexOf(word);
+      while (index !== -1) {
+        ranges.push([index, index + word.length]);
+        index = folded.indexOf(word, index + word.length);
+      }
+    });
+
+    return ranges
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          merged.push(range);
+        }
+        return merged;
+      }, [])
+      .map(([start, end]) => [positions[start], positions[end - 1] + 1]);
+  },
+
+  /**
+   * schema.org FAQPage structured data
+   * @param {Object[]} entries - { question, answer } plain texts
+   * @returns {Object} - JSON-LD
+   */
+  toJsonLd: entries => ({
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: entries.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer },
+    })),
+  }),
+};
+
+export default FAQ;
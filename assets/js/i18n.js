@@ -0,0 +1,220 @@
+/**
+ * Internationalization for L'Île aux Oiseaux website
+ * Message catalogs, page translation through data-i18n attributes and Intl
+ * based number, currency (FCFA) and date formatting
+ */
+
+import { DOM, Storage } from './utils.js';
+import { Validation } from './validation.js';
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+
+const STORAGE_KEY = 'lang';
+const DEFAULT_LOCALE = 'fr';
+const CURRENCY = 'XOF';
+
+const catalogs = { fr, en };
+
+// Intl locale used for formatting, per supported language
+const regions = { fr: 'fr-BJ', en: 'en-BJ' };
+
+// Original (French) text and attributes of translated elements
+const originals = new WeakMap();
+
+let locale = DEFAULT_LOCALE;
+
+Object.entries(catalogs).forEach(([lang, catalog]) => {
+  Validation.addMessages(lang, catalog.validation || {});
+});
+
+/**
+ * Replace {name} placeholders
+ * @param {string} template - Message template
+ * @param {Object} params - Placeholder values
+ * @returns {string} - Message
+ */
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match,
+  );
+
+/**
+ * Parse data-i18n-attr="placeholder:key, aria-label:other.key"
+ * @param {string} spec - Attribute value
+ * @returns {string[][]} - [attribute, key] pairs
+ */
+const parseAttrSpec = spec =>
+  spec
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([attr, key]) => attr && key);
+
+/**
+ * I18n API
+ */
+export const I18n = {
+  /**
+   * Restore the saved language (defaults to the page language)
+   */
+  init: () => {
+    const saved = Storage.getItem(STORAGE_KEY);
+    const pageLang = document.documentElement.lang.slice(0, 2);
+    I18n.apply(
+      catalogs[saved] ? saved : catalogs[pageLang] ? pageLang : DEFAULT_LOCALE,
+    );
+  },
+
+  /**
+   * Get the active language
+   * @returns {string} - Language code
+   */
+  getLocale: () => locale,
+
+  /**
+   * Get the supported languages
+   * @returns {string[]} - Language codes
+   */
+  getLocales: () => Object.keys(catalogs),
+
+  /**
+   * Change and persist the language
+   * @param {string} lang - Language code
+   * @returns {boolean} - True if the language is supported
+   */
+  setLocale: lang => {
+    if (!catalogs[lang]) return false;
+
+    Storage.setItem(STORAGE_KEY, lang);
+    I18n.apply(lang);
+    return true;
+  },
+
+  /**
+   * Apply a language to the document and notify listeners
+   * @param {string} lang - Language code
+   */
+  apply: lang => {
+    const previous = locale;
+    locale = lang;
+
+    document.documentElement.lang = lang;
+    Validation.setLocale(lang);
+    I18n.translate();
+
+    if (previous !== lang) {
+      document.dispatchEvent(
+        new CustomEvent('localechange', { detail: { locale: lang, previous } }),
+      );
+    }
+  },
+
+  /**
+   * Translate a message key
+   * @param {string} key - Message key
+   * @param {Object} params - Placeholder values; count selects the plural form
+   * @param {string} lang - Language code (default: active language)
+   * @returns {string} - Translated message (the key itself if missing)
+   */
+  t: (key, params = {}, lang = locale) => {
+    let message = catalogs[lang][key];
+    if (message === undefined) message = catalogs[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(regions[lang]).select(
+        params.count || 0,
+      );
+      message = message[form] || message.other;
+    }
+
+    return interpolate(message, params);
+  },
+
+  /**
+   * Check whether the active catalog has a key
+   * @param {string} key - Message key
+   * @returns {boolean} - True if translated
+   */
+  has: key => catalogs[locale][key] !== undefined,
+
+  /**
+   * Pick the active language from a { fr, en } value (e.g. in data files)
+   * @param {Object|string} value - Localized values, or a plain string
+   * @returns {string} - Value in the active language (French if missing)
+   */
+  localize: value =>
+    typeof value === 'string'
+      ? value
+      : value[locale] || value[DEFAULT_LOCALE] || '',
+
+  /**
+   * Translate data-i18n (text) and data-i18n-attr (attributes) elements.
+   * French page content is the source: keys missing from the active catalog
+   * fall back to the element's original content.
+   * @param {Element} root - Root element (default: document)
+   */
+  translate: (root = document) => {
+    DOM.queryAll('[data-i18n], [data-i18n-attr]', root).forEach(element => {
+      if (!originals.has(element)) {
+        const attrs = {};
+        parseAttrSpec(element.dataset.i18nAttr || '').forEach(([attr]) => {
+          attrs[attr] = element.getAttribute(attr);
+        });
+        originals.set(element, { text: element.textContent, attrs });
+      }
+
+      const original = originals.get(element);
+      const textKey = element.dataset.i18n;
+
+      if (textKey) {
+        element.textContent = I18n.has(textKey)
+          ? I18n.t(textKey)
+          : original.text;
+      }
+
+      parseAttrSpec(element.dataset.i18nAttr || '').forEach(([attr, key]) => {
+        const value = I18n.has(key) ? I18n.t(key) : original.attrs[attr];
+        if (value !== null && value !== undefined) {
+          element.setAttribute(attr, value);
+        }
+      });
+    });
+  },
+
+  /**
+   * Format a number for the active language
+   * @param {number} value - Number
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} - Formatted number
+   */
+  formatNumber: (value, options = {}) =>
+    new Intl.NumberFormat(regions[locale], options).format(value),
+
+  /**
+   * Format an amount in FCFA (XOF)
+   * @param {number} amount - Amount
+   * @returns {string} - e.g. "15 000 F CFA"
+   */
+  formatCurrency: amount =>
+    I18n.formatNumber(amount, {
+      style: 'currency',
+      currency: CURRENCY,
+      maximumFractionDigits: 0,
+    }),
+
+  /**
+   * Format a date for the active language
+   * @param {Date|number} date - Date
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} - Formatted date
+   */
+  formatDate: (date, options = { dateStyle: 'long' }) =>
+    new Intl.DateTimeFormat(regions[locale], options).format(date),
+};
+
+/**
+ * Shorthand for I18n.t
+ */
+export const t = I18n.t;
+
+export default I18n;
@@ -0,0 +1,392 @@
+/**
+ * English messages
+ * Page content annotated with data-i18n is translated from the page.* keys
+ */
+
+export default {
+  'i18n.name': 'English',
+  'i18n.switcher': 'Choose language',
+  'i18n.changed': 'Language: English',
+
+  'nav.opened': 'Menu opened',
+  'nav.closed': 'Menu closed',
+  'nav.navigatedTo': 'Navigated to {title}',
+  'nav.section': 'Section',
+
+  'page.loaded': 'Page {title} loaded',
+  'link.newTab': ' (opens in a new tab)',
+
+  'theme.label': 'Theme',
+  'theme.mode.system': 'Automatic',
+  'theme.mode.light': 'Light',
+  'theme.mode.dark': 'Dark',
+  'theme.mode.contrast': 'High contrast',
+  'theme.changed': 'Theme: {name}',
+
+  'a11y.open': 'Reading preferences',
+  'a11y.title': 'Reading preferences',
+  'a11y.text':
+    'Adjust how the site looks to suit you. Your choices are kept on this device.',
+  'a11y.textSize': 'Text size',
+  'a11y.textSize.100': 'Normal',
+  'a11y.textSize.115': 'Large',
+  'a11y.textSize.130': 'Larger',
+  'a11y.textSize.150': 'Largest',
+  'a11y.spacing.title': 'Wider spacing',
+  'a11y.spacing.text': 'More space between lines, letters and words.',
+  'a11y.dyslexicFont.title': 'Dyslexia-friendly font',
+  'a11y.dyslexicFont.text':
+    'A font with letters that are easier to tell apart.',
+  'a11y.underlineLinks.title': 'Underlined links',
+  'a11y.underlineLinks.text': 'Spot links without relying on color.',
+  'a11y.reduceMotion.title': 'Reduce motion',
+  'a11y.reduceMotion.text':
+    'No animated scrolling or motion effects, whatever the device\'s setting.',
+  'a11y.reset': 'Reset',
+  'a11y.resetDone': 'Reading preferences reset',
+  'a11y.close': 'Close',
+
+  'form.fixErrors': 'Please correct the errors in the form.',
+  'form.sending': 'Sending...',
+  'form.error.title': 'Error',
+  'form.error.timeout':
+    'The server is taking too long to answer. Please try again.',
+  'form.error.network':
+    'Unable to connect. Check your internet access and try again.',
+  'form.error.server':
+    'Our server is having a problem. Please try again later.',
+  'form.error.rejected':
+    'Your request could not be accepted. Please check the information entered.',
+  'form.error.generic': 'Something went wrong. Please try again.',
+  'form.error.whatsapp': 'Send my request via WhatsApp instead',
+  'form.success.title': 'Message sent successfully!',
+  'form.success.message':
+    'We will get back to you very soon. Thank you for your request.',
+  'form.draft.title': 'Your message is ready!',
+  'form.draft.message':
+    'All that is left is to send it from the app that just opened.',
+  'form.queued.title': 'Request saved',
+  'form.queued.message':
+    'You seem to be offline. Your request will be sent automatically as soon as you are back online.',
+
+  'outbox.count': {
+    one: '{count} request waiting to be sent',
+    other: '{count} requests waiting to be sent',
+  },
+  'outbox.cancel': 'Cancel',
+  'outbox.cancelLabel': 'Cancel request {label}',
+  'outbox.retry': 'Retry',
+  'outbox.state.failed': 'Could not be sent',
+  'outbox.state.offline': 'Offline - will be sent once the connection is back',
+  'outbox.state.scheduled': 'Next attempt at {time}',
+  'outbox.state.sending': 'Sending...',
+  'outbox.cancelled': 'Pending request cancelled.',
+  'outbox.failed': 'A pending request could not be sent.',
+  'outbox.sent': 'Your pending request has been sent.',
+
+  'tarifs.error':
+    'The price list could not be loaded. See the prices above or contact us.',
+  'tarifs.onRequest': 'On request',
+  'tarifs.range': '{min} to {max}',
+  'tarifs.perDay': 'per day',
+  'tarifs.perTrip': 'per trip',
+  'tarifs.perYear': 'per year',
+  'tarifs.days.legend': 'Days and activities',
+  'tarifs.day.none': 'Not attending',
+  'tarifs.extras.legend': 'Meals',
+  'tarifs.transport.legend': 'School pick-up',
+  'tarifs.transport.zone': 'Area',
+  'tarifs.transport.none': 'No pick-up',
+  'tarifs.transport.trips': 'Trips per day',
+  'tarifs.transport.oneWay': 'One way (1 trip)',
+  'tarifs.transport.roundTrip': 'Return (2 trips)',
+  'tarifs.transport.line': 'Pick-up - {zone}',
+  'tarifs.empty': 'Choose at least one afternoon to get an estimate.',
+  'tarifs.breakdown': 'Weekly estimate breakdown',
+  'tarifs.column.item': 'Item',
+  'tarifs.column.quantity': 'Quantity',
+  'tarifs.column.unit': 'Unit price',
+  'tarifs.column.weekly': 'Per week',
+  'tarifs.pending': '{label}: price to be confirmed with the team',
+  'tarifs.total.week': 'Per week',
+  'tarifs.total.month': 'Per month',
+  'tarifs.total.year': 'Per school year',
+  'tarifs.note':
+    'Indicative estimate based on {weeksPerMonth} weeks per month and {weeksPerYear} weeks per school year. Annual fees are included in the yearly total.',
+  'tarifs.print': 'Print the estimate',
+  'tarifs.contact': 'Send the estimate through the contact form',
+  'tarifs.summary.title': 'After-school fees estimate (per week):',
+
+  'schedule.view.label': 'Planning view',
+  'schedule.view.timeline': 'Timeline',
+  'schedule.view.list': 'List',
+  'schedule.filter.type': 'Activity',
+  'schedule.filter.allTypes': 'All activities',
+  'schedule.filter.age': 'Child\'s age',
+  'schedule.filter.allAges': 'All ages',
+  'schedule.age': { one: '{count} year', other: '{count} years' },
+  'schedule.ages': 'Ages {min} to {max}',
+  'schedule.time': '{hours}:{minutes}',
+  'schedule.range': '{start} - {end}',
+  'schedule.today': 'Today',
+  'schedule.next': 'Next activity',
+  'schedule.status.next': 'Next activity: {activity}, {day} at {time}',
+  'schedule.status.none': 'No activity matches these filters.',
+  'schedule.export': 'Add to my calendar',
+  'schedule.exportLabel': 'Add {activity} to my calendar',
+  'schedule.exported': 'Calendar file downloaded for {activity}.',
+
+  'lightbox.label': 'photo viewer',
+  'lightbox.open': 'Enlarge photo: {title}',
+  'lightbox.close': 'Close',
+  'lightbox.previous': 'Previous photo',
+  'lightbox.next': 'Next photo',
+  'lightbox.counter': '{index} / {total}',
+  'gallery.filter.search': 'Search photos',
+  'gallery.filter.placeholder': 'Search: painting, garden, meals…',
+  'gallery.filter.categories': 'Photo categories',
+  'gallery.filter.all': 'All',
+  'gallery.filter.count': {
+    one: '{count} photo shown',
+    other: '{count} photos shown',
+  },
+  'gallery.filter.empty': 'No photos match your search.',
+  'gallery.category.activities': 'Activities',
+  'gallery.category.spaces': 'Spaces',
+  'gallery.category.meals': 'Meals',
+  'gallery.category.programs': 'Programs',
+  'menu.error':
+    'The menus are not available at the moment. Contact us to find out more.',
+  'menu.empty': 'This week\'s menus will be published soon.',
+  'menu.week.label': 'Week',
+  'menu.week.title': 'Week of {date}',
+  'menu.profile.legend': 'My child\'s allergies and diet',
+  'menu.profile.allergen': 'Allergies',
+  'menu.profile.diet': 'Diet',
+  'menu.profile.hint':
+    'These choices are only saved on this device. Please also tell the team about any allergy.',
+  'menu.legend': 'Icon legend',
+  'menu.print': 'Print the menus',
+  'menu.today': 'Today',
+  'menu.conflict': 'Avoid: {tags}',
+  'menu.status.noProfile':
+    'Tick your child\'s allergies or diet to spot the dishes to avoid.',
+  'menu.status.none': 'All of this week\'s dishes suit your child.',
+  'menu.status.conflicts': {
+    one: '{count} dish doesn\'t suit your child this week.',
+    other: '{count} dishes don\'t suit your child this week.',
+  },
+  'news.filter.label': 'Filter by topic',
+  'news.filter.all': 'All',
+  'news.status.count': {
+    one: '{count} news item',
+    other: '{count} news items',
+  },
+  'news.status.tagged': {
+    one: '{count} news item about "{tag}"',
+    other: '{count} news items about "{tag}"',
+  },
+  'news.status.page': 'page {page} of {pages}',
+  'news.status.empty': 'No news yet.',
+  'news.pagination.label': 'News pages',
+  'news.pagination.previous': '← Newer',
+  'news.pagination.next': 'Older →',
+  'news.pagination.page': 'Page {page}',
+  'faq.error':
+    'The FAQ is not available right now. Contact us and we will be happy to help.',
+  'faq.search.label': 'Search the FAQ',
+  'faq.search.placeholder': 'Search: hours, meals, prices…',
+  'faq.search.count': {
+    one: '{count} question matches your search.',
+    other: '{count} questions match your search.',
+  },
+  'faq.search.empty':
+    'No question matches your search. Try another word or contact us.',
+  'faq.permalink': 'Link to this question',
+  'inscription.progress.label': 'Pre-registration steps',
+  'inscription.progress.status': 'Step {step} of {total}: {title}',
+  'inscription.previous': 'Previous',
+  'inscription.next': 'Next',
+  'inscription.submit': 'Send my pre-registration',
+  'inscription.child.title': 'Child {number}',
+  'inscription.child.add': 'Add a child',
+  'inscription.child.remove': 'Remove child {number}',
+  'inscription.tarifs.error':
+    'Care options are not available at the moment. Tell us what you need in the field below.',
+  'inscription.estimate':
+    'Estimate: {week} per week, that is {month} per month.',
+  'inscription.estimate.empty': 'Choose at least one day to get an estimate.',
+  'inscription.draft.title': 'Pre-registration in progress',
+  'inscription.draft.restored':
+    'We found the pre-registration you started on this device on {date}.',
+  'inscription.draft.reset': 'Start over',
+  'inscription.draft.saved': 'Draft saved at {time}',
+  'inscription.recap.title': 'Your pre-registration summary',
+  'inscription.edit': 'Edit',
+  'inscription.print': 'Print or save as PDF',
+  'inscription.success.title': 'Pre-registration sent!',
+  'inscription.success.message':
+    'Thank you! We will call you back within 48 hours to confirm the place and arrange a visit. Keep a copy of the summary below.',
+  'age.years': { one: '{count} year', other: '{count} years' },
+  'age.months': { one: '{count} month', other: '{count} months' },
+  'age.yearsMonths': '{years} and {months}',
+  'age.summary.today': 'Your child is {age} old today.',
+  'age.summary.start': 'Your child will be {age} old on {date}.',
+  'age.summary.group': 'Group: {group}. Recommended programmes: {programmes}.',
+  'age.summary.young':
+    'We take children from 2 months old: your child can start from {date}.',
+  'age.summary.old':
+    'The after-school centre takes children up to the age of 9: write to us and we will point you in the right direction.',
+  'age.group.creche': 'Daycare',
+  'age.group.maternelle': 'Nursery school',
+  'age.group.periscolaire': 'After-school',
+  'age.programme.nourrissons': 'Infants',
+  'age.programme.tout-petits': 'Toddlers',
+  'age.programme.prescolaire': 'Preschool',
+  'age.programme.periscolaire': 'After-school',
+  'visit.error':
+    'The visit times could not be loaded. Call us on +229 64 83 42 42 to arrange a visit.',
+  'visit.week': 'Week of {start} to {end}',
+  'visit.previous': 'Previous week',
+  'visit.next': 'Next week',
+  'visit.holiday': 'Closed: {label}',
+  'visit.full': 'Fully booked',
+  'visit.empty': 'No free slots left this week, try the next one.',
+  'visit.slot': '{date} at {time}',
+  'visit.slot.required': 'Please choose a visit time.',
+  'visit.slot.selected': 'Chosen time: {slot}',
+  'visit.taken':
+    'Another family has just booked this time. Please choose another one.',
+  'visit.success.title': 'Visit booked!',
+  'visit.success.message':
+    'We look forward to seeing you on {slot}. We will call you the day before to confirm.',
+  'visit.ics': 'Add to my calendar (.ics)',
+  'visit.request.title': 'Your visit request is ready!',
+  'visit.request.message':
+    'Send it from the app that has just opened. We will call you to confirm the visit on {slot}.',
+  'visit.request.ics': 'Note the requested visit in my calendar (.ics)',
+  'visit.event.summary': 'Visit to L\'Île aux Oiseaux',
+  'visit.event.requested': 'Visit to L\'Île aux Oiseaux (to be confirmed)',
+  'visit.event.description':
+    'Guided visit: our approach, a tour of the premises and a meeting with the team.',
+
+  'update.label': 'Site update',
+  'update.text': 'A new version of the site is available.',
+  'update.reload': 'Update',
+  'update.later': 'Later',
+
+  'consent.label': 'Privacy',
+  'consent.banner.text':
+    'With your consent, we measure the audience of the site without cookies, show the Google Maps map and remember whether you want our news. Details in our {link}.',
+  'consent.policy': 'privacy policy',
+  'consent.accept': 'Accept all',
+  'consent.refuse': 'Refuse all',
+  'consent.customize': 'Customize',
+  'consent.save': 'Save my choices',
+  'consent.close': 'Close',
+  'consent.saved': 'Your choices have been saved.',
+  'consent.dialog.title': 'Your privacy preferences',
+  'consent.dialog.text':
+    'Choose what you accept. You can change your mind at any time from the bottom of every page. To find out more, read our {link}.',
+  'consent.category.essential.title': 'Essential',
+  'consent.category.essential.text':
+    'Language, form drafts and pending submissions, and these choices: stored on your device only.',
+  'consent.category.analytics.title': 'Audience measurement',
+  'consent.category.analytics.text':
+    'Page views, clicks on our contact details, form steps, page speed and error reports, without cookies or personal data.',
+  'consent.category.maps.title': 'Maps',
+  'consent.category.maps.text':
+    'Access map provided by Google Maps, which may set its own cookies.',
+  'consent.category.newsletter.title': 'News',
+  'consent.category.newsletter.text':
+    'Receive news and events of L\'Île aux Oiseaux by email when you write to us.',
+  'consent.embed.text':
+    'This content is provided by {service}, which may set cookies. It is only shown with your consent.',
+  'consent.embed.allow': 'Show the map',
+
+  'page.skipLink': 'Skip to main content',
+  'page.nav.garderie': 'Daycare',
+  'page.nav.accueil': 'Home',
+  'page.nav.periscolaire': 'After-school',
+  'page.nav.tarifs': 'Prices',
+  'page.nav.pedagogie': 'Our approach',
+  'page.nav.classes': 'Classes',
+  'page.nav.equipe': 'Team',
+  'page.nav.galerie': 'Gallery',
+  'page.nav.admissions': 'Admissions',
+  'page.nav.contact': 'Contact',
+  'page.nav.open': 'Open navigation menu',
+
+  'page.contact.title': 'Contact us',
+  'page.contact.intro':
+    'We would love to meet you and answer all your questions about your child\'s education.',
+  'page.contact.infoTitle': 'Our details',
+  'page.contact.formTitle': 'Send us a message',
+  'page.contact.formIntro':
+    'Use the form below to send us your questions or to ask about our programmes.',
+  'page.contact.formHeading': 'Information request',
+  'page.contact.parentName': 'Parent/guardian name',
+  'page.contact.parentNameHelp': 'Your full name',
+  'page.contact.childName': 'Child\'s first name',
+  'page.contact.childNameHelp': 'Your child\'s first name',
+  'page.contact.childBirthdate': 'Child\'s date of birth',
+  'page.contact.childBirthdateHelp':
+    'We work out their age on the start date and the matching group',
+  'page.contact.programmes': 'Programmes you are interested in',
+  'page.contact.programme.nourrissons': 'Infants (2 - 18 months)',
+  'page.contact.programme.tout-petits': 'Toddlers (18 months - 3 years)',
+  'page.contact.programme.prescolaire': 'Preschool (3 - 5 years)',
+  'page.contact.programme.periscolaire': 'After-school (3 - 9 years)',
+  'page.contact.startDate': 'Preferred start date',
+  'page.contact.startDateHelp': 'When would you like your child to start?',
+  'page.contact.phone': 'Phone number',
+  'page.contact.phoneHelp':
+    'Your main number: 10 digits starting with 01, or an international number with its country code (+44...)',
+  'page.contact.email': 'Email address',
+  'page.contact.emailHelp': 'Your email address',
+  'page.contact.subject': 'Subject of your request',
+  'page.contact.subjectHelp': 'What is your request mainly about?',
+  'page.contact.subject.choose': 'Choose a subject',
+  'page.contact.subject.visite': 'Book a visit',
+  'page.contact.subject.inscription': 'Enrolment request',
+  'page.contact.subject.tarifs': 'Prices',
+  'page.contact.subject.pedagogie': 'Questions about our approach',
+  'page.contact.subject.disponibilite': 'Available places',
+  'page.contact.subject.autre': 'Other question',
+  'page.contact.message': 'Your message',
+  'page.contact.messagePlaceholder': 'Tell us how we can help...',
+  'page.contact.messageHelp': 'Describe your request or ask your questions',
+  'page.contact.submit': 'Send message',
+  'page.contact.visit.title': 'Book a guided visit',
+  'page.contact.visit.slot': 'Choose a time',
+  'page.contact.visit.details': 'Your details',
+  'page.contact.visit.message': 'Questions or particular needs',
+  'page.contact.visit.submit': 'Book the visit',
+
+  validation: {
+    required: 'The {label} field is required.',
+    invalid: 'Please check the {label} field.',
+    email: 'Please enter a valid email address.',
+    phone: 'Please enter a valid phone number.',
+    'phone.chars': 'The number may only contain digits, spaces and the + sign.',
+    'phone.legacy':
+      'Old 8-digit format, add 01 in front of your number: {suggestion}.',
+    'phone.length': 'Beninese numbers have 10 digits (01 XX XX XX XX).',
+    'phone.prefix': 'Beninese 10-digit numbers start with 01.',
+    'phone.international':
+      'Incomplete international number: enter the country code followed by the number.',
+    'phone.foreign': 'Please enter a Beninese number (+229).',
+    minlength: 'Please enter at least {0} characters.',
+    maxlength: 'Please enter at most {0} characters.',
+    range: 'Please enter a value between {0} and {1}.',
+    'age.young': 'Your child must be at least 2 months old on the start date.',
+    'age.old': 'Your child must be under 10 on the start date.',
+    date: 'Please enter a valid date.',
+    'after.today': 'The date must be after today.',
+    after: 'The date must be after the {other} field.',
+    'before.today': 'The date must be before today.',
+    before: 'The date must be before the {other} field.',
+    accepted: 'Please tick this box to continue.',
+    'same-as': 'The value must match the {other} field.',
+  },
+};
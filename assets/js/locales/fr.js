@@ -0,0 +1,341 @@
+/**
+ * French messages (source language)
+ * Keys are shared with the other catalogs in this directory
+ */
+
+export default {
+  'i18n.name': 'Français',
+  'i18n.switcher': 'Choisir la langue',
+  'i18n.changed': 'Langue : français',
+
+  'nav.opened': 'Menu ouvert',
+  'nav.closed': 'Menu fermé',
+  'nav.navigatedTo': 'Navigation vers {title}',
+  'nav.section': 'Section',
+
+  'page.loaded': 'Page {title} chargée',
+  'link.newTab': ' (ouvre dans un nouvel onglet)',
+
+  'theme.label': 'Thème',
+  'theme.mode.system': 'Automatique',
+  'theme.mode.light': 'Clair',
+  'theme.mode.dark': 'Sombre',
+  'theme.mode.contrast': 'Contraste élevé',
+  'theme.changed': 'Thème : {name}',
+
+  'a11y.open': 'Préférences de lecture',
+  'a11y.title': 'Préférences de lecture',
+  'a11y.text':
+    'Adaptez l\'affichage du site à votre confort. Vos choix sont gardés sur cet appareil.',
+  'a11y.textSize': 'Taille du texte',
+  'a11y.textSize.100': 'Normale',
+  'a11y.textSize.115': 'Grande',
+  'a11y.textSize.130': 'Très grande',
+  'a11y.textSize.150': 'Maximale',
+  'a11y.spacing.title': 'Espacement augmenté',
+  'a11y.spacing.text':
+    'Plus d\'espace entre les lignes, les lettres et les mots.',
+  'a11y.dyslexicFont.title': 'Police adaptée à la dyslexie',
+  'a11y.dyslexicFont.text':
+    'Une police dont les lettres se distinguent plus facilement.',
+  'a11y.underlineLinks.title': 'Liens soulignés',
+  'a11y.underlineLinks.text':
+    'Pour repérer les liens sans se fier à la couleur.',
+  'a11y.reduceMotion.title': 'Réduire les animations',
+  'a11y.reduceMotion.text':
+    'Pas de défilement animé ni d\'effet de mouvement, quel que soit le réglage de l\'appareil.',
+  'a11y.reset': 'Rétablir',
+  'a11y.resetDone': 'Préférences de lecture rétablies',
+  'a11y.close': 'Fermer',
+
+  'form.fixErrors': 'Veuillez corriger les erreurs dans le formulaire.',
+  'form.sending': 'Envoi en cours...',
+  'form.error.title': 'Erreur',
+  'form.error.timeout':
+    'Le serveur met trop de temps à répondre. Veuillez réessayer.',
+  'form.error.network':
+    'Connexion impossible. Vérifiez votre accès à internet et réessayez.',
+  'form.error.server':
+    'Notre serveur rencontre un problème. Veuillez réessayer plus tard.',
+  'form.error.rejected':
+    'Votre demande n\'a pas pu être acceptée. Vérifiez les informations saisies.',
+  'form.error.generic': 'Une erreur est survenue. Veuillez réessayer.',
+  'form.error.whatsapp': 'Envoyer plutôt ma demande via WhatsApp',
+  'form.success.title': 'Message envoyé avec succès !',
+  'form.success.message':
+    'Nous vous contacterons très bientôt. Merci pour votre demande.',
+  'form.draft.title': 'Votre message est prêt !',
+  'form.draft.message':
+    'Il ne vous reste plus qu\'à l\'envoyer depuis l\'application qui vient de s\'ouvrir.',
+  'form.queued.title': 'Demande enregistrée',
+  'form.queued.message':
+    'Vous semblez hors ligne. Votre demande sera envoyée automatiquement dès le retour de la connexion.',
+
+  'outbox.count': {
+    one: '{count} demande en attente d\'envoi',
+    other: '{count} demandes en attente d\'envoi',
+  },
+  'outbox.cancel': 'Annuler',
+  'outbox.cancelLabel': 'Annuler la demande {label}',
+  'outbox.retry': 'Réessayer',
+  'outbox.state.failed': 'Envoi impossible',
+  'outbox.state.offline':
+    'Hors ligne - envoi automatique dès le retour de la connexion',
+  'outbox.state.scheduled': 'Nouvel essai à {time}',
+  'outbox.state.sending': 'Envoi en cours...',
+  'outbox.cancelled': 'Demande en attente annulée.',
+  'outbox.failed': 'Une demande en attente n\'a pas pu être envoyée.',
+  'outbox.sent': 'Votre demande en attente a bien été envoyée.',
+
+  'tarifs.error':
+    'Impossible de charger la grille tarifaire. Consultez les tarifs ci-dessus ou contactez-nous.',
+  'tarifs.onRequest': 'Sur devis',
+  'tarifs.range': '{min} à {max}',
+  'tarifs.perDay': 'par jour',
+  'tarifs.perTrip': 'par trajet',
+  'tarifs.perYear': 'par an',
+  'tarifs.days.legend': 'Jours et activités',
+  'tarifs.day.none': 'Pas de présence',
+  'tarifs.extras.legend': 'Repas',
+  'tarifs.transport.legend': 'Ramassage scolaire',
+  'tarifs.transport.zone': 'Quartier',
+  'tarifs.transport.none': 'Pas de ramassage',
+  'tarifs.transport.trips': 'Trajets par jour',
+  'tarifs.transport.oneWay': 'Aller simple (1 trajet)',
+  'tarifs.transport.roundTrip': 'Aller-retour (2 trajets)',
+  'tarifs.transport.line': 'Ramassage - {zone}',
+  'tarifs.empty':
+    'Choisissez au moins un après-midi pour obtenir une estimation.',
+  'tarifs.breakdown': 'Détail de l\'estimation hebdomadaire',
+  'tarifs.column.item': 'Poste',
+  'tarifs.column.quantity': 'Quantité',
+  'tarifs.column.unit': 'Prix unitaire',
+  'tarifs.column.weekly': 'Par semaine',
+  'tarifs.pending': '{label} : prix à préciser avec l\'équipe',
+  'tarifs.total.week': 'Par semaine',
+  'tarifs.total.month': 'Par mois',
+  'tarifs.total.year': 'Par année scolaire',
+  'tarifs.note':
+    'Estimation indicative sur la base de {weeksPerMonth} semaines par mois et {weeksPerYear} semaines par année scolaire. Les frais annuels sont inclus dans le total annuel.',
+  'tarifs.print': 'Imprimer l\'estimation',
+  'tarifs.contact': 'Envoyer l\'estimation via le formulaire de contact',
+  'tarifs.summary.title': 'Estimation des frais périscolaires (par semaine) :',
+
+  'schedule.view.label': 'Affichage du planning',
+  'schedule.view.timeline': 'Frise',
+  'schedule.view.list': 'Liste',
+  'schedule.filter.type': 'Activité',
+  'schedule.filter.allTypes': 'Toutes les activités',
+  'schedule.filter.age': 'Âge de l\'enfant',
+  'schedule.filter.allAges': 'Tous les âges',
+  'schedule.age': { one: '{count} an', other: '{count} ans' },
+  'schedule.ages': '{min} à {max} ans',
+  'schedule.time': '{hours}h{minutes}',
+  'schedule.range': '{start} - {end}',
+  'schedule.today': 'Aujourd\'hui',
+  'schedule.next': 'Prochaine activité',
+  'schedule.status.next': 'Prochaine activité : {activity}, {day} à {time}',
+  'schedule.status.none': 'Aucune activité ne correspond à ces critères.',
+  'schedule.export': 'Ajouter à mon agenda',
+  'schedule.exportLabel': 'Ajouter {activity} à mon agenda',
+  'schedule.exported': 'Fichier agenda téléchargé pour {activity}.',
+
+  'lightbox.label': 'visionneuse de photos',
+  'lightbox.open': 'Agrandir la photo : {title}',
+  'lightbox.close': 'Fermer',
+  'lightbox.previous': 'Photo précédente',
+  'lightbox.next': 'Photo suivante',
+  'lightbox.counter': '{index} / {total}',
+  'gallery.filter.search': 'Rechercher une photo',
+  'gallery.filter.placeholder': 'Rechercher : peinture, jardin, repas…',
+  'gallery.filter.categories': 'Catégories de photos',
+  'gallery.filter.all': 'Toutes',
+  'gallery.filter.count': {
+    one: '{count} photo affichée',
+    other: '{count} photos affichées',
+  },
+  'gallery.filter.empty': 'Aucune photo ne correspond à votre recherche.',
+  'gallery.category.activities': 'Activités',
+  'gallery.category.spaces': 'Espaces',
+  'gallery.category.meals': 'Repas',
+  'gallery.category.programs': 'Programmes',
+  'menu.error':
+    'Les menus ne sont pas disponibles pour le moment. Contactez-nous pour les connaître.',
+  'menu.empty': 'Les menus de la semaine seront bientôt publiés.',
+  'menu.week.label': 'Semaine',
+  'menu.week.title': 'Semaine du {date}',
+  'menu.profile.legend': 'Allergies et régime de mon enfant',
+  'menu.profile.allergen': 'Allergies',
+  'menu.profile.diet': 'Régime',
+  'menu.profile.hint':
+    'Ces choix sont enregistrés sur cet appareil uniquement. Signalez aussi toute allergie à l\'équipe.',
+  'menu.legend': 'Légende des pictogrammes',
+  'menu.print': 'Imprimer les menus',
+  'menu.today': 'Aujourd\'hui',
+  'menu.conflict': 'À éviter : {tags}',
+  'menu.status.noProfile':
+    'Cochez les allergies ou le régime de votre enfant pour repérer les plats à éviter.',
+  'menu.status.none':
+    'Tous les plats de la semaine conviennent à votre enfant.',
+  'menu.status.conflicts': {
+    one: '{count} plat ne convient pas à votre enfant cette semaine.',
+    other: '{count} plats ne conviennent pas à votre enfant cette semaine.',
+  },
+  'news.filter.label': 'Filtrer par thème',
+  'news.filter.all': 'Toutes',
+  'news.status.count': {
+    one: '{count} actualité',
+    other: '{count} actualités',
+  },
+  'news.status.tagged': {
+    one: '{count} actualité sur le thème « {tag} »',
+    other: '{count} actualités sur le thème « {tag} »',
+  },
+  'news.status.page': 'page {page} sur {pages}',
+  'news.status.empty': 'Aucune actualité pour le moment.',
+  'news.pagination.label': 'Pages des actualités',
+  'news.pagination.previous': '← Plus récentes',
+  'news.pagination.next': 'Plus anciennes →',
+  'news.pagination.page': 'Page {page}',
+  'faq.error':
+    'Les questions fréquentes ne sont pas disponibles pour le moment. Contactez-nous, nous vous répondrons volontiers.',
+  'faq.search.label': 'Rechercher dans les questions fréquentes',
+  'faq.search.placeholder': 'Rechercher : horaires, repas, tarifs…',
+  'faq.search.count': {
+    one: '{count} question correspond à votre recherche.',
+    other: '{count} questions correspondent à votre recherche.',
+  },
+  'faq.search.empty':
+    'Aucune question ne correspond à votre recherche. Essayez un autre mot ou contactez-nous.',
+  'faq.permalink': 'Lien vers cette question',
+  'inscription.progress.label': 'Étapes de la pré-inscription',
+  'inscription.progress.status': 'Étape {step} sur {total} : {title}',
+  'inscription.previous': 'Précédent',
+  'inscription.next': 'Suivant',
+  'inscription.submit': 'Envoyer ma pré-inscription',
+  'inscription.child.title': 'Enfant {number}',
+  'inscription.child.add': 'Ajouter un enfant',
+  'inscription.child.remove': 'Retirer l\'enfant {number}',
+  'inscription.tarifs.error':
+    'Les formules ne sont pas disponibles pour le moment. Précisez vos souhaits dans le champ ci-dessous.',
+  'inscription.estimate':
+    'Estimation : {week} par semaine, soit {month} par mois.',
+  'inscription.estimate.empty':
+    'Choisissez au moins un jour pour obtenir une estimation.',
+  'inscription.draft.title': 'Pré-inscription en cours',
+  'inscription.draft.restored':
+    'Nous avons retrouvé la pré-inscription commencée sur cet appareil le {date}.',
+  'inscription.draft.reset': 'Tout recommencer',
+  'inscription.draft.saved': 'Brouillon enregistré à {time}',
+  'inscription.recap.title': 'Récapitulatif de votre pré-inscription',
+  'inscription.edit': 'Modifier',
+  'inscription.print': 'Imprimer ou enregistrer en PDF',
+  'inscription.success.title': 'Pré-inscription envoyée !',
+  'inscription.success.message':
+    'Merci ! Nous vous rappelons sous 48 h pour confirmer la place et convenir d\'une visite. Gardez une copie du récapitulatif ci-dessous.',
+  'age.years': { one: '{count} an', other: '{count} ans' },
+  'age.months': { one: '{count} mois', other: '{count} mois' },
+  'age.yearsMonths': '{years} et {months}',
+  'age.summary.today': 'Votre enfant a {age} aujourd\'hui.',
+  'age.summary.start': 'Votre enfant aura {age} le {date}.',
+  'age.summary.group':
+    'Groupe : {group}. Programmes conseillés : {programmes}.',
+  'age.summary.young':
+    'Nous accueillons les enfants dès 2 mois : votre enfant pourra commencer à partir du {date}.',
+  'age.summary.old':
+    'Le périscolaire accueille les enfants jusqu\'à 9 ans : écrivez-nous, nous vous orienterons.',
+  'age.group.creche': 'Crèche',
+  'age.group.maternelle': 'Maternelle',
+  'age.group.periscolaire': 'Périscolaire',
+  'age.programme.nourrissons': 'Nourrissons',
+  'age.programme.tout-petits': 'Tout-petits',
+  'age.programme.prescolaire': 'Préscolaire',
+  'age.programme.periscolaire': 'Périscolaire',
+  'visit.error':
+    'Les créneaux n\'ont pas pu être chargés. Appelez-nous au +229 64 83 42 42 pour convenir d\'une visite.',
+  'visit.week': 'Semaine du {start} au {end}',
+  'visit.previous': 'Semaine précédente',
+  'visit.next': 'Semaine suivante',
+  'visit.holiday': 'Fermé : {label}',
+  'visit.full': 'Complet',
+  'visit.empty': 'Plus aucun créneau libre cette semaine, essayez la suivante.',
+  'visit.slot': '{date} à {time}',
+  'visit.slot.required': 'Veuillez choisir un créneau de visite.',
+  'visit.slot.selected': 'Créneau choisi : {slot}',
+  'visit.taken':
+    'Ce créneau vient d\'être réservé par une autre famille. Veuillez en choisir un autre.',
+  'visit.success.title': 'Visite réservée !',
+  'visit.success.message':
+    'Nous vous attendons le {slot}. Nous vous appellerons la veille pour confirmer.',
+  'visit.ics': 'Ajouter à mon agenda (.ics)',
+  'visit.request.title': 'Votre demande de visite est prête !',
+  'visit.request.message':
+    'Envoyez-la depuis l\'application qui vient de s\'ouvrir. Nous vous appellerons pour confirmer la visite du {slot}.',
+  'visit.request.ics': 'Noter la visite demandée dans mon agenda (.ics)',
+  'visit.event.summary': 'Visite de L\'Île aux Oiseaux',
+  'visit.event.requested': 'Visite de L\'Île aux Oiseaux (à confirmer)',
+  'visit.event.description':
+    'Visite guidée : présentation de la pédagogie, visite des espaces et rencontre avec l\'équipe.',
+
+  'update.label': 'Mise à jour du site',
+  'update.text': 'Une nouvelle version du site est disponible.',
+  'update.reload': 'Mettre à jour',
+  'update.later': 'Plus tard',
+
+  'consent.label': 'Vie privée',
+  'consent.banner.text':
+    'Avec votre accord, nous mesurons l\'audience du site sans cookie, affichons la carte Google Maps et retenons votre souhait de recevoir nos actualités. Détails dans notre {link}.',
+  'consent.policy': 'politique de confidentialité',
+  'consent.accept': 'Tout accepter',
+  'consent.refuse': 'Tout refuser',
+  'consent.customize': 'Personnaliser',
+  'consent.save': 'Enregistrer mes choix',
+  'consent.close': 'Fermer',
+  'consent.saved': 'Vos choix ont été enregistrés.',
+  'consent.dialog.title': 'Vos préférences de confidentialité',
+  'consent.dialog.text':
+    'Choisissez ce que vous acceptez. Vous pouvez changer d\'avis à tout moment depuis le bas de chaque page. Pour en savoir plus, lisez notre {link}.',
+  'consent.category.essential.title': 'Essentiel',
+  'consent.category.essential.text':
+    'Langue, brouillons et envois en attente des formulaires, et ces choix : enregistrés sur votre appareil uniquement.',
+  'consent.category.analytics.title': 'Mesure d\'audience',
+  'consent.category.analytics.text':
+    'Pages vues, clics sur nos contacts, étapes des formulaires, rapidité des pages et rapports d\'erreur, sans cookie ni donnée personnelle.',
+  'consent.category.maps.title': 'Cartes',
+  'consent.category.maps.text':
+    'Plan d\'accès fourni par Google Maps, qui peut déposer ses propres cookies.',
+  'consent.category.newsletter.title': 'Actualités',
+  'consent.category.newsletter.text':
+    'Recevoir par email les actualités et événements de L\'Île aux Oiseaux lorsque vous nous écrivez.',
+  'consent.embed.text':
+    'Ce contenu est fourni par {service}, qui peut déposer des cookies. Il ne s\'affiche qu\'avec votre accord.',
+  'consent.embed.allow': 'Afficher la carte',
+
+  validation: {
+    required: 'Le champ {label} est requis.',
+    invalid: 'Veuillez vérifier le champ {label}.',
+    email: 'Veuillez saisir une adresse email valide.',
+    phone: 'Veuillez saisir un numéro de téléphone valide.',
+    'phone.chars':
+      'Le numéro ne doit contenir que des chiffres, des espaces et le signe +.',
+    'phone.legacy':
+      'Ancien format à 8 chiffres, ajoutez 01 devant votre numéro : {suggestion}.',
+    'phone.length': 'Un numéro béninois compte 10 chiffres (01 XX XX XX XX).',
+    'phone.prefix': 'Les numéros béninois à 10 chiffres commencent par 01.',
+    'phone.international':
+      'Numéro international incomplet : indiquez l\'indicatif du pays puis le numéro.',
+    'phone.foreign': 'Veuillez saisir un numéro béninois (+229).',
+    minlength: 'Veuillez saisir au moins {0} caractères.',
+    maxlength: 'Veuillez saisir au plus {0} caractères.',
+    range: 'Veuillez saisir une valeur entre {0} et {1}.',
+    'age.young': 'L\'enfant doit avoir au moins 2 mois à la date d\'entrée.',
+    'age.old': 'L\'enfant doit avoir moins de 10 ans à la date d\'entrée.',
+    date: 'Veuillez saisir une date valide.',
+    'after.today': 'La date doit être postérieure à aujourd\'hui.',
+    after: 'La date doit être postérieure au champ {other}.',
+    'before.today': 'La date doit être antérieure à aujourd\'hui.',
+    before: 'La date doit être antérieure au champ {other}.',
+    accepted: 'Veuillez cocher cette case pour continuer.',
+    'same-as': 'La valeur doit être identique au champ {other}.',
+  },
+};
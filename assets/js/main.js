@@ -3,26 +3,31 @@
  * Initializes all components and handles global functionality
  */
 
-import Components from './components.js';
+import { ComponentRegistry } from './components.js';
+import { I18n, t } from './i18n.js';
+import { Analytics } from './analytics.js';
+import { ErrorReporter } from './errors.js';
+import { Outbox } from './outbox.js';
+import { Preferences } from './preferences.js';
+import { Theme } from './theme.js';
+import { WebVitals } from './vitals.js';
 import Utils from './utils.js';
 
 const { DOM, Events, Animation, A11y } = Utils;
-const {
-  MobileNav,
-  SmoothScroll,
-  FormValidator,
-  FAQAccordion,
-  ScrollSpy,
-  LazyImages,
-} = Components;
 
 /**
  * Main Application Class
  */
 class App {
   constructor() {
-    this.components = {};
+    this.components = null;
     this.cleanup = [];
+    this.outbox = new Outbox();
+    // Nothing is measured until <html> names a collector with
+    // data-analytics-endpoint (/api/analytics with scripts/dev-server.mjs)
+    this.analytics = new Analytics({
+      endpoint: document.documentElement.dataset.analyticsEndpoint,
+    });
     this.init();
   }
 
@@ -31,41 +36,169 @@ class App {
    */
   init() {
     Events.ready(() => {
+      I18n.init();
       this.initializeComponents();
+      this.setupOutbox();
+      this.setupAnalytics();
+      this.setupServiceWorker();
       this.setupGlobalEventListeners();
       this.setupAccessibilityFeatures();
-      this.setupThemeToggle();
+      this.setupTheme();
+      this.setupPreferences();
       this.announcePageLoad();
     });
   }
 
   /**
-   * Initialize all components
+   * Initialize the components the page asks for with data-component
+   * (see components.js)
    */
   initializeComponents() {
-    // Mobile Navigation
-    this.components.mobileNav = new MobileNav('.header__nav');
-
-    // Smooth Scroll Navigation
-    this.components.smoothScroll = new SmoothScroll('a[href^="#"]');
+    this.components = new ComponentRegistry({ outbox: this.outbox });
+    this.components.init();
+  }
 
-    // Form Validation (if contact form exists)
-    const contactForm = DOM.query('#contact-form');
-    if (contactForm) {
-      this.components.formValidator = new FormValidator('#contact-form');
+  /**
+   * Replay submissions queued while offline, on the pages with a form sent to
+   * an endpoint (only those are queued, see FormValidator.canQueue()) and
+   * wherever items are still pending from another page
+   */
+  setupOutbox() {
+    if (!DOM.query('form[data-endpoint]') && !this.outbox.list().length) {
+      return;
     }
 
-    // FAQ Accordion (if FAQ page)
-    const faqContainer = DOM.query('.faq');
-    if (faqContainer) {
-      this.components.faqAccordion = new FAQAccordion('.faq');
+    this.cleanup.push(
+      this.outbox.subscribe(({ type }) => {
+        if (type === 'sent') {
+          A11y.announce(t('outbox.sent'), 'polite');
+        }
+      }),
+    );
+
+    this.outbox.start();
+  }
+
+  /**
+   * Audience measurement: page views, contact clicks and form steps, once
+   * the visitor has agreed to the analytics category (see consent.js)
+   */
+  setupAnalytics() {
+    this.analytics.start();
+  }
+
+  /**
+   * Offline pages through sw.js; when a new version of the site is waiting,
+   * the visitor chooses when to reload into it
+   */
+  setupServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    this.cleanup.push(
+      Events.on(navigator.serviceWorker, 'controllerchange', () => {
+        // Only in the tab where the visitor asked for it: not on the first
+        // install, nor in a tab with a form being filled in
+        if (!this.updateAccepted) return;
+        this.updateAccepted = false;
+        window.location.reload();
+      }),
+    );
+
+    navigator.serviceWorker
+      .register('/sw.js')
+      .then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          if (!worker) return;
+
+          worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, nothing to update
+            if (
+              worker.state === 'installed' &&
+              navigator.serviceWorker.controller
+            ) {
+              this.showUpdatePrompt(worker);
+            }
+          });
+        });
+      })
+      .catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+  }
+
+  /**
+   * Offer to switch to a new version of the site
+   * @param {ServiceWorker} worker - Installed worker, waiting to take over
+   */
+  showUpdatePrompt(worker) {
+    if (this.updatePrompt) {
+      this.updatePrompt.remove();
     }
 
-    // Scroll Spy for navigation
-    this.components.scrollSpy = new ScrollSpy('.header__nav', 'section[id]');
+    const text = DOM.create(
+      'p',
+      { className: 'update-prompt__text' },
+      t('update.text'),
+    );
+    const reload = DOM.create(
+      'button',
+      { type: 'button', className: 'btn btn--primary btn--sm' },
+      t('update.reload'),
+    );
+    const dismiss = DOM.create(
+      'button',
+      { type: 'button', className: 'btn btn--secondary btn--sm' },
+      t('update.later'),
+    );
+
+    this.updatePrompt = DOM.create(
+      'div',
+      {
+        className: 'update-prompt',
+        role: 'region',
+        'aria-label': t('update.label'),
+      },
+      [
+        text,
+        DOM.create('div', { className: 'update-prompt__actions' }, [
+          reload,
+          dismiss,
+        ]),
+      ],
+    );
 
-    // Lazy loading for images
-    this.components.lazyImages = new LazyImages('img[data-src]');
+    const removers = [
+      Events.on(reload, 'click', () => {
+        reload.disabled = true;
+        // Another tab may already have switched to it
+        if (worker.state === 'activated') {
+          window.location.reload();
+          return;
+        }
+        this.updateAccepted = true;
+        worker.postMessage({ type: 'skip-waiting' });
+      }),
+      Events.on(dismiss, 'click', () => {
+        removers.forEach(fn => fn());
+        this.updatePrompt.remove();
+        this.updatePrompt = null;
+      }),
+      Events.on(document, 'localechange', () => {
+        text.textContent = t('update.text');
+        reload.textContent = t('update.reload');
+        dismiss.textContent = t('update.later');
+        this.updatePrompt.setAttribute('aria-label', t('update.label'));
+      }),
+    ];
+    this.cleanup.push(...removers);
+
+    document.body.appendChild(this.updatePrompt);
+    A11y.announce(t('update.text'), 'polite');
   }
 
   /**
@@ -75,9 +208,6 @@ class App {
     // Handle external links
     this.setupExternalLinks();
 
-    // Handle WhatsApp and phone links
-    this.setupContactLinks();
-
     // Keyboard navigation improvements
     this.setupKeyboardNavigation();
 
@@ -90,7 +220,7 @@ class App {
    */
   setupExternalLinks() {
     const externalLinks = DOM.queryAll(
-      'a[href^="http"]:not([href*="' + window.location.hostname + '"])'
+      'a[href^="http"]:not([href*="' + window.location.hostname + '"])',
     );
 
     externalLinks.forEach(link => {
@@ -102,58 +232,20 @@ class App {
         const srText = DOM.create(
           'span',
           { className: 'sr-only' },
-          ' (ouvre dans un nouvel onglet)'
+          t('link.newTab'),
         );
         link.appendChild(srText);
       }
     });
   }
 
-  /**
-   * Setup contact links (WhatsApp, phone, email)
-   */
-  setupContactLinks() {
-    // WhatsApp links
-    const whatsappLinks = DOM.queryAll('a[href^="https://wa.me"]');
-    whatsappLinks.forEach(link => {
-      this.cleanup.push(
-        Events.on(link, 'click', e => {
-          // Analytics tracking could go here
-          console.log('WhatsApp link clicked');
-        })
-      );
-    });
-
-    // Phone links
-    const phoneLinks = DOM.queryAll('a[href^="tel:"]');
-    phoneLinks.forEach(link => {
-      this.cleanup.push(
-        Events.on(link, 'click', e => {
-          // Analytics tracking could go here
-          console.log('Phone link clicked');
-        })
-      );
-    });
-
-    // Email links
-    const emailLinks = DOM.queryAll('a[href^="mailto:"]');
-    emailLinks.forEach(link => {
-      this.cleanup.push(
-        Events.on(link, 'click', e => {
-          // Analytics tracking could go here
-          console.log('Email link clicked');
-        })
-      );
-    });
-  }
-
   /**
    * Setup keyboard navigation improvements
    */
   setupKeyboardNavigation() {
     // Focus visible on all interactive elements
     const interactiveElements = DOM.queryAll(
-      'a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+      'a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])',
     );
 
     interactiveElements.forEach(element => {
@@ -163,7 +255,7 @@ class App {
         }),
         Events.on(element, 'blur', () => {
           element.classList.remove('focus-visible');
-        })
+        }),
       );
     });
 
@@ -177,7 +269,7 @@ class App {
           e.preventDefault();
           mainContent.focus();
           Animation.scrollTo(mainContent);
-        })
+        }),
       );
     }
   }
@@ -208,10 +300,12 @@ class App {
 
         if (section) {
           const sectionTitle = DOM.query('h1, h2, h3', section);
-          const title = sectionTitle ? sectionTitle.textContent : 'Section';
-          A11y.announce(`Navigation vers ${title}`, 'polite');
+          const title = sectionTitle
+            ? sectionTitle.textContent
+            : t('nav.section');
+          A11y.announce(t('nav.navigatedTo', { title }), 'polite');
         }
-      })
+      }),
     );
   }
 
@@ -228,18 +322,19 @@ class App {
       }),
       Events.on(document, 'mousedown', () => {
         document.body.classList.remove('keyboard-navigation');
-      })
+      }),
     );
   }
 
   /**
-   * Setup reduced motion preferences
+   * Setup reduced motion preferences, the device's or the visitor's
+   * (see preferences.js)
    */
   setupReducedMotionPreferences() {
     const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
 
-    const handleReducedMotion = e => {
-      if (e.matches) {
+    const handleReducedMotion = () => {
+      if (A11y.prefersReducedMotion()) {
         document.body.classList.add('reduce-motion');
       } else {
         document.body.classList.remove('reduce-motion');
@@ -247,7 +342,7 @@ class App {
     };
 
     // Initial check
-    handleReducedMotion(mediaQuery);
+    handleReducedMotion();
 
     // Listen for changes
     if (mediaQuery.addEventListener) {
@@ -256,52 +351,25 @@ class App {
       // Fallback for older browsers
       mediaQuery.addListener(handleReducedMotion);
     }
+    this.cleanup.push(
+      Events.on(document, 'preferenceschange', handleReducedMotion),
+    );
   }
 
   /**
-   * Setup theme toggle functionality
+   * Follow the reading preferences changed in another tab (the saved ones
+   * are applied before the first paint, see preferences.js)
    */
-  setupThemeToggle() {
-    const themeToggle = DOM.query('.theme-toggle');
-
-    if (themeToggle) {
-      // Load saved theme
-      const savedTheme = localStorage.getItem('theme');
-      if (savedTheme) {
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        this.updateThemeToggle(themeToggle, savedTheme);
-      }
-
-      // Theme toggle click handler
-      this.cleanup.push(
-        Events.on(themeToggle, 'click', () => {
-          const currentTheme =
-            document.documentElement.getAttribute('data-theme');
-          const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-
-          document.documentElement.setAttribute('data-theme', newTheme);
-          localStorage.setItem('theme', newTheme);
-          this.updateThemeToggle(themeToggle, newTheme);
-
-          A11y.announce(
-            `Thème ${newTheme === 'dark' ? 'sombre' : 'clair'} activé`,
-            'polite'
-          );
-        })
-      );
-    }
+  setupPreferences() {
+    this.cleanup.push(Preferences.init());
   }
 
   /**
-   * Update theme toggle button
+   * Follow the theme chosen, in this tab or another, and the device's
+   * (the saved one is applied before the first paint, see theme.js)
    */
-  updateThemeToggle(button, theme) {
-    const isDark = theme === 'dark';
-    button.textContent = isDark ? '☀️' : '🌙';
-    button.setAttribute(
-      'aria-label',
-      `Basculer vers le thème ${isDark ? 'clair' : 'sombre'}`
-    );
+  setupTheme() {
+    this.cleanup.push(Theme.init());
   }
 
   /**
@@ -324,7 +392,7 @@ class App {
           element.setAttribute('aria-expanded', 'false');
           element.removeAttribute('data-was-collapsed');
         });
-      })
+      }),
     );
   }
 
@@ -333,7 +401,7 @@ class App {
    */
   announcePageLoad() {
     const pageTitle = document.title;
-    A11y.announce(`Page ${pageTitle} chargée`, 'polite');
+    A11y.announce(t('page.loaded', { title: pageTitle }), 'polite');
   }
 
   /**
@@ -344,127 +412,43 @@ class App {
     this.cleanup.forEach(fn => fn());
     this.cleanup = [];
 
-    // Destroy all components
-    Object.values(this.components).forEach(component => {
-      if (component && typeof component.destroy === 'function') {
-        component.destroy();
-      }
-    });
-
-    this.components = {};
-  }
-}
+    this.outbox.destroy();
+    this.analytics.destroy();
 
-/**
- * Performance monitoring
- */
-class PerformanceMonitor {
-  constructor() {
-    this.init();
-  }
-
-  init() {
-    // Monitor Core Web Vitals if supported
-    if ('PerformanceObserver' in window) {
-      this.observeWebVitals();
+    // Destroy all components
+    if (this.components) {
+      this.components.destroy();
+      this.components = null;
     }
-
-    // Monitor resource loading
-    this.observeResourceLoading();
-  }
-
-  observeWebVitals() {
-    // Largest Contentful Paint (LCP)
-    new PerformanceObserver(list => {
-      for (const entry of list.getEntries()) {
-        console.log('LCP:', entry.startTime);
-      }
-    }).observe({ entryTypes: ['largest-contentful-paint'] });
-
-    // First Input Delay (FID)
-    new PerformanceObserver(list => {
-      for (const entry of list.getEntries()) {
-        console.log('FID:', entry.processingStart - entry.startTime);
-      }
-    }).observe({ entryTypes: ['first-input'] });
-
-    // Cumulative Layout Shift (CLS)
-    new PerformanceObserver(list => {
-      for (const entry of list.getEntries()) {
-        if (!entry.hadRecentInput) {
-          console.log('CLS:', entry.value);
-        }
-      }
-    }).observe({ entryTypes: ['layout-shift'] });
-  }
-
-  observeResourceLoading() {
-    this.cleanup.push(
-      Events.on(window, 'load', () => {
-        const navigation = performance.getEntriesByType('navigation')[0];
-        if (navigation) {
-          console.log(
-            'Page load time:',
-            navigation.loadEventEnd - navigation.loadEventStart
-          );
-          console.log(
-            'DOM content loaded:',
-            navigation.domContentLoadedEventEnd -
-              navigation.domContentLoadedEventStart
-          );
-        }
-      })
-    );
   }
 }
 
-/**
- * Error handling
- */
-class ErrorHandler {
-  constructor() {
-    this.init();
-  }
-
-  init() {
-    // Global error handler
-    window.addEventListener('error', event => {
-      console.error('Global error:', event.error);
-      this.reportError(event.error);
-    });
-
-    // Promise rejection handler
-    window.addEventListener('unhandledrejection', event => {
-      console.error('Unhandled promise rejection:', event.reason);
-      this.reportError(event.reason);
-    });
-  }
-
-  reportError(error) {
-    // In a real application, you would send this to an error reporting service
-    console.log('Error reported:', {
-      message: error.message,
-      stack: error.stack,
-      url: window.location.href,
-      userAgent: navigator.userAgent,
-      timestamp: new Date().toISOString(),
-    });
-  }
-}
+// Errors are reported once <html> names a collector with
+// data-errors-endpoint; listening first reports the errors of the start-up too
+const errorReporter = new ErrorReporter({
+  endpoint: document.documentElement.dataset.errorsEndpoint,
+});
+errorReporter.start();
 
 // Initialize application
 let app;
 let performanceMonitor;
-let errorHandler;
 
 // Wait for DOM to be ready
 Events.ready(() => {
   try {
     app = new App();
-    performanceMonitor = new PerformanceMonitor();
-    errorHandler = new ErrorHandler();
+    // Web Vitals of a sample of the visits, once <html> names a collector
+    // with data-vitals-endpoint; data-vitals-sample changes the share
+    const { vitalsEndpoint, vitalsSample } = document.documentElement.dataset;
+    performanceMonitor = new WebVitals({
+      endpoint: vitalsEndpoint,
+      sampleRate: vitalsSample ? Number(vitalsSample) : undefined,
+    });
+    performanceMonitor.start();
   } catch (error) {
     console.error('Failed to initialize application:', error);
+    errorReporter.capture(error, { type: 'init' });
   }
 });
 
@@ -479,7 +463,9 @@ Events.on(window, 'beforeunload', () => {
 window.IleAuxOiseauxApp = {
   app,
   performanceMonitor,
-  errorHandler,
+  errorReporter,
   Utils,
-  Components,
+  ComponentRegistry,
+  Theme,
+  Preferences,
 };
@@ -0,0 +1,95 @@
+/**
+ * Cantine menus for L'Île aux Oiseaux
+ * Loads the weekly menus, picks the week to show and checks dishes against a
+ * child's allergies and diet
+ */
+
+import { Data } from './utils.js';
+
+const DEFAULT_SOURCE = 'assets/data/menus.json';
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - YYYY-MM-DD
+ */
+const toIsoDate = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+/**
+ * Menus API
+ */
+export const Menus = {
+  /**
+   * Load the menus
+   * @param {string} url - JSON source
+   * @returns {Promise<Object>} - Menus
+   */
+  load: (url = DEFAULT_SOURCE) => Data.load(url),
+
+  /**
+   * Today's date at the centre
+   * @param {Object} menus - Menus
+   * @param {Date} date - Instant (default: now)
+   * @returns {string} - YYYY-MM-DD
+   */
+  today: (menus, date = new Date()) => toIsoDate(date, menus.timeZone),
+
+  /**
+   * Week to show first: the current one, else the next one, else the latest
+   * @param {Object} menus - Menus
+   * @param {Date} date - Instant (default: now)
+   * @returns {Object|null} - Week
+   */
+  currentWeek: (menus, date = new Date()) => {
+    const today = Menus.today(menus, date);
+    const weeks = Menus.weeks(menus);
+
+    return (
+      weeks.find(week => today <= week.days[week.days.length - 1].date) ||
+      weeks[weeks.length - 1] ||
+      null
+    );
+  },
+
+  /**
+   * Weeks with at least one day, oldest first
+   * @param {Object} menus - Menus
+   * @returns {Object[]} - Weeks
+   */
+  weeks: menus =>
+    menus.weeks
+      .filter(week => week.days.length)
+      .sort((a, b) => a.days[0].date.localeCompare(b.days[0].date)),
+
+  /**
+   * Parse a YYYY-MM-DD date; format it with timeZone: 'UTC'
+   * @param {string} value - Date
+   * @returns {Date} - Midnight UTC
+   */
+  parseDate: value => new Date(`${value}T00:00:00Z`),
+
+  /**
+   * Tags of a dish that conflict with a child's profile: allergens the dish
+   * contains, and diets it does not follow
+   * @param {Object} menus - Menus
+   * @param {Object} dish - Dish
+   * @param {string[]} profile - Tag ids picked for the child
+   * @returns {Object[]} - Conflicting tags
+   */
+  conflicts: (menus, dish, profile) =>
+    menus.tags.filter(tag => {
+      if (!profile.includes(tag.id)) return false;
+
+      const tagged = dish.tags.includes(tag.id);
+      return tag.kind === 'diet' ? !tagged : tagged;
+    }),
+};
+
+export default Menus;
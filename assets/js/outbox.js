@@ -0,0 +1,308 @@
+/**
+ * Offline outbox for L'Île aux Oiseaux website
+ * Persists form submissions that could not be delivered and replays them
+ * with exponential backoff once the connection is back
+ */
+
+import { Events, Storage } from './utils.js';
+import { Submission } from './submission.js';
+
+const STORAGE_KEY = 'outbox';
+
+// How long a tab without Web Locks keeps the queue to itself, renewed before
+// each item: longer than a submission may take
+const LEASE = 30 * 1000;
+
+/**
+ * Persistent queue of pending submissions
+ * Every open tab shares the queue; only one at a time sends it, so an item
+ * is never sent twice.
+ */
+export class Outbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {string} options.key - Storage key
+   * @param {number} options.baseDelay - First retry delay in ms
+   * @param {number} options.maxDelay - Longest retry delay in ms
+   * @param {number} options.maxAttempts - Attempts before giving up on an item
+   */
+  constructor({
+    key = STORAGE_KEY,
+    baseDelay = 5000,
+    maxDelay = 5 * 60 * 1000,
+    maxAttempts = 10,
+  } = {}) {
+    this.key = key;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxAttempts = maxAttempts;
+    this.listeners = new Set();
+    this.timer = null;
+    this.flushing = false;
+    // Tells this tab's lease from the others'
+    this.tabId = Math.random().toString(36).slice(2);
+    this.cleanup = [];
+  }
+
+  /**
+   * Whether a failed submission should be queued rather than reported
+   * @param {Error} error - Submission error
+   * @returns {boolean} - True when the request never reached the server;
+   *   a server error or a timeout may have been received, so it is reported
+   */
+  static isOfflineError(error) {
+    return error.code === 'network';
+  }
+
+  /**
+   * Whether a failed replay is worth another attempt
+   * @param {Error} error - Submission error
+   * @returns {boolean} - True for network, timeout and server errors
+   */
+  static isRetryable(error) {
+    return (
+      error.code === 'network' ||
+      error.code === 'timeout' ||
+      (error.code === 'http' && error.status >= 500)
+    );
+  }
+
+  /**
+   * Replay pending items now and whenever the connection comes back
+   */
+  start() {
+    this.cleanup.push(
+      Events.on(window, 'online', () => this.flush()),
+      // Keep indicators in sync when another tab changes the queue
+      Events.on(window, 'storage', e => {
+        if (e.key === this.key) {
+          this.emit('change', null);
+          this.schedule();
+        }
+      }),
+    );
+
+    this.flush();
+  }
+
+  /**
+   * Get queued items
+   * @returns {Object[]} - Items, oldest first
+   */
+  list() {
+    return Storage.getItem(this.key, []);
+  }
+
+  save(items) {
+    Storage.setItem(this.key, items);
+  }
+
+  update(id, changes) {
+    this.save(
+      this.list().map(item => (item.id === id ? { ...item, ...changes } : item)),
+    );
+  }
+
+  /**
+   * Queue a submission for later delivery
+   * @param {Object} data - Serialized form data
+   * @param {Object} config - Submission config
+   * @returns {Object} - Queued item
+   */
+  enqueue(data, config) {
+    const item = {
+      id: `${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`,
+      data,
+      config,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+
+    this.save([...this.list(), item]);
+    this.emit('queued', item);
+    this.schedule();
+
+    return item;
+  }
+
+  /**
+   * Remove a pending item without sending it
+   * @param {string} id - Item id
+   * @returns {boolean} - True if an item was removed
+   */
+  cancel(id) {
+    const item = this.list().find(entry => entry.id === id);
+    if (!item) return false;
+
+    this.save(this.list().filter(entry => entry.id !== id));
+    this.emit('cancelled', item);
+    this.schedule();
+
+    return true;
+  }
+
+  /**
+   * Put a failed item back in the queue and try it right away
+   * @param {string} id - Item id
+   */
+  retry(id) {
+    this.update(id, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+    });
+    this.flush();
+  }
+
+  /**
+   * Send every item whose retry time has come, unless another tab is
+   * already sending the queue
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushing || !navigator.onLine) return;
+
+    this.flushing = true;
+    try {
+      await this.withLock(async() => {
+        // Read once the queue is ours: another tab may have sent some items
+        const now = Date.now();
+        const due = this.list().filter(
+          item => item.status === 'pending' && item.nextAttemptAt <= now,
+        );
+
+        for (const item of due) {
+          if (!this.renewLease()) break;
+
+          const delivered = await this.deliver(item);
+          // Still offline: no point trying the rest now
+          if (!delivered && !navigator.onLine) break;
+        }
+      });
+    } finally {
+      this.flushing = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Run a task if no other tab is sending the queue: with Web Locks where
+   * the browser has them, else with a lease written to storage
+   * @param {Function} task - Async task
+   * @returns {Promise<boolean>} - False if another tab holds the queue
+   */
+  async withLock(task) {
+    if (navigator.locks) {
+      return navigator.locks.request(
+        `${this.key}-flush`,
+        { ifAvailable: true },
+        async lock => {
+          if (!lock) return false;
+          await task();
+          return true;
+        },
+      );
+    }
+
+    if (!this.renewLease()) return false;
+    try {
+      await task();
+      return true;
+    } finally {
+      Storage.removeItem(`${this.key}-lease`);
+    }
+  }
+
+  /**
+   * Take or extend the storage lease on the queue (no-op with Web Locks)
+   * @returns {boolean} - False if another tab holds it
+   */
+  renewLease() {
+    if (navigator.locks) return true;
+
+    const key = `${this.key}-lease`;
+    const lease = Storage.getItem(key);
+    if (lease && lease.tabId !== this.tabId && lease.until > Date.now()) {
+      return false;
+    }
+
+    Storage.setItem(key, { tabId: this.tabId, until: Date.now() + LEASE });
+    // Two tabs may have written at once: the last write wins
+    const written = Storage.getItem(key);
+    return Boolean(written) && written.tabId === this.tabId;
+  }
+
+  async deliver(item) {
+    // Skip items cancelled since the flush started
+    if (!this.list().some(entry => entry.id === item.id)) return false;
+
+    try {
+      await Submission.send(item.data, item.config);
+      this.save(this.list().filter(entry => entry.id !== item.id));
+      this.emit('sent', item);
+      return true;
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      const failed = !Outbox.isRetryable(error) || attempts >= this.maxAttempts;
+
+      this.update(item.id, {
+        attempts,
+        status: failed ? 'failed' : 'pending',
+        nextAttemptAt: Date.now() + this.getDelay(attempts),
+        lastError: error.code || error.message,
+      });
+      this.emit(failed ? 'failed' : 'retry', item);
+      return false;
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in ms
+   */
+  getDelay(attempts) {
+    const delay = Math.min(this.baseDelay * 2 ** (attempts - 1), this.maxDelay);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const pending = this.list().filter(item => item.status === 'pending');
+    if (!pending.length) return;
+
+    const next = Math.min(...pending.map(item => item.nextAttemptAt));
+    this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+  }
+
+  /**
+   * Listen for queue changes
+   * @param {Function} listener - Called with { type, item, items }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(type, item) {
+    const items = this.list();
+    this.listeners.forEach(listener => listener({ type, item, items }));
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    this.listeners.clear();
+  }
+}
+
+export default Outbox;
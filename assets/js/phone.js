@@ -0,0 +1,136 @@
+/**
+ * Phone number utilities for L'Île aux Oiseaux website
+ * Parses and formats Beninese numbers (+229, 10 digits starting with 01 since
+ * the 2024 renumbering) and international numbers, normalized to E.164
+ */
+
+const BENIN_CODE = '229';
+const BENIN_LENGTH = 10;
+const LEGACY_LENGTH = 8;
+const BENIN_PREFIX = '01';
+
+/**
+ * Group digits in pairs: "0197123456" -> "01 97 12 34 56"
+ * @param {string} digits - Digits only
+ * @returns {string} - Grouped digits
+ */
+const groupPairs = digits => digits.replace(/(\d{2})(?=\d)/g, '$1 ');
+
+/**
+ * Phone API
+ */
+export const Phone = {
+  /**
+   * Parse a phone number as typed by a visitor
+   * @param {string} input - Raw value
+   * @returns {Object} - { valid, error, country, e164, national, international }
+   *   error is a validation message key (phone.legacy, phone.length, ...)
+   */
+  parse: input => {
+    const raw = String(input || '').trim();
+    const result = {
+      valid: false,
+      error: null,
+      country: null,
+      e164: null,
+      national: null,
+      international: null,
+    };
+
+    if (!raw) {
+      return { ...result, error: 'phone.empty' };
+    }
+    if (/[^\d\s+\-().]/.test(raw) || raw.lastIndexOf('+') > 0) {
+      return { ...result, error: 'phone.chars' };
+    }
+
+    let digits = raw.replace(/\D/g, '');
+    const hasPlus = raw.startsWith('+');
+    const hasExitCode = !hasPlus && digits.startsWith('00');
+    if (hasExitCode) digits = digits.slice(2);
+
+    let national;
+    if (hasPlus || hasExitCode) {
+      if (!digits.startsWith(BENIN_CODE)) {
+        // Foreign number: E.164 allows up to 15 digits
+        if (digits.length < 8 || digits.length > 15) {
+          return { ...result, error: 'phone.international' };
+        }
+        return {
+          ...result,
+          valid: true,
+          e164: `+${digits}`,
+          national: raw,
+          international: `+${digits}`,
+        };
+      }
+      national = digits.slice(BENIN_CODE.length);
+    } else if (
+      digits.startsWith(BENIN_CODE) &&
+      (digits.length === BENIN_CODE.length + BENIN_LENGTH ||
+        digits.length === BENIN_CODE.length + LEGACY_LENGTH)
+    ) {
+      // Country code typed without "+", before a current or a legacy number
+      national = digits.slice(BENIN_CODE.length);
+    } else {
+      national = digits;
+    }
+
+    result.country = 'BJ';
+
+    if (national.length === LEGACY_LENGTH) {
+      return {
+        ...result,
+        error: 'phone.legacy',
+        suggestion: groupPairs(`${BENIN_PREFIX}${national}`),
+      };
+    }
+    if (national.length !== BENIN_LENGTH) {
+      return { ...result, error: 'phone.length' };
+    }
+    if (!national.startsWith(BENIN_PREFIX)) {
+      return { ...result, error: 'phone.prefix' };
+    }
+
+    return {
+      ...result,
+      valid: true,
+      e164: `+${BENIN_CODE}${national}`,
+      national: groupPairs(national),
+      international: `+${BENIN_CODE} ${groupPairs(national)}`,
+    };
+  },
+
+  /**
+   * Normalize to E.164 (+2290197123456)
+   * @param {string} input - Raw value
+   * @returns {string|null} - E.164 number, or null if invalid
+   */
+  toE164: input => Phone.parse(input).e164,
+
+  /**
+   * Format a partially typed number for display
+   * @param {string} value - Current input value
+   * @returns {string} - Formatted value
+   */
+  formatAsYouType: value => {
+    const raw = String(value || '');
+    const digits = raw.replace(/\D/g, '');
+    const trimmed = raw.trimStart();
+
+    if (trimmed.startsWith('+') || digits.startsWith('00')) {
+      const international = trimmed.startsWith('+') ? digits : digits.slice(2);
+      if (!international.startsWith(BENIN_CODE)) {
+        return `+${international}`;
+      }
+      const national = international.slice(BENIN_CODE.length);
+      return national
+        ? `+${BENIN_CODE} ${groupPairs(national)}`
+        : `+${international}`;
+    }
+
+    return groupPairs(digits);
+  },
+};
+
+export default Phone;
@@ -0,0 +1,166 @@
+/**
+ * Weekly after-school planning for L'Île aux Oiseaux
+ * Loads the structured planning, filters activities and works out "today",
+ * the next activity and calendar events in the centre's time zone
+ */
+
+import { Calendar } from './calendar.js';
+import { I18n, t } from './i18n.js';
+import { Data } from './utils.js';
+
+const DEFAULT_SOURCE = 'assets/data/planning.json';
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes
+ */
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Planning API
+ */
+export const Planning = {
+  /**
+   * Load the planning
+   * @param {string} url - JSON source
+   * @returns {Promise<Object>} - Planning
+   */
+  load: (url = DEFAULT_SOURCE) => Data.load(url),
+
+  /**
+   * Convert "HH:MM" to minutes since midnight
+   */
+  toMinutes,
+
+  /**
+   * Format minutes since midnight, e.g. "15h45"
+   * @param {number} minutes - Minutes
+   * @returns {string} - Time of day
+   */
+  formatTime: minutes =>
+    t('schedule.time', {
+      hours: Math.floor(minutes / 60),
+      minutes: String(minutes % 60).padStart(2, '0'),
+    }),
+
+  /**
+   * Activities matching the filters, in weekly order
+   * @param {Object} planning - Planning
+   * @param {Object} filters - { type, age } (empty values match everything)
+   * @returns {Object[]} - Activities
+   */
+  filter: (planning, { type = '', age = '' } = {}) => {
+    const order = planning.days.map(day => day.id);
+
+    return planning.activities
+      .filter(activity => !type || activity.type === type)
+      .filter(
+        activity =>
+          age === '' ||
+          (Number(age) >= activity.ages.min && Number(age) <= activity.ages.max),
+      )
+      .sort(
+        (a, b) =>
+          order.indexOf(a.day) - order.indexOf(b.day) ||
+          toMinutes(a.start) - toMinutes(b.start),
+      );
+  },
+
+  /**
+   * Current day and time at the centre
+   * @param {Object} planning - Planning
+   * @param {Date} date - Instant (default: now)
+   * @returns {Object} - { day, minutes }
+   */
+  now: (planning, date = new Date()) => {
+    const local = Calendar.zoned(date, planning.timeZone);
+    return { day: local.weekday, minutes: local.minutes };
+  },
+
+  /**
+   * Next activity to start, looking up to a week ahead
+   * @param {Object} planning - Planning
+   * @param {Object[]} activities - Candidate activities
+   * @param {Date} date - Instant (default: now)
+   * @returns {Object|null} - Activity
+   */
+  next: (planning, activities, date = new Date()) => {
+    const now = Planning.now(planning, date);
+    const today = Calendar.weekdays.indexOf(now.day);
+    let next = null;
+    let soonest = Infinity;
+
+    activities.forEach(activity => {
+      const days = (Calendar.weekdays.indexOf(activity.day) - today + 7) % 7;
+      let wait =
+        days * MINUTES_PER_DAY + toMinutes(activity.start) - now.minutes;
+      if (wait < 0) wait += 7 * MINUTES_PER_DAY;
+
+      if (wait < soonest) {
+        soonest = wait;
+        next = activity;
+      }
+    });
+
+    return next;
+  },
+
+  /**
+   * Weekly calendar event for an activity, from its next occurrence to the
+   * end of the school year
+   * @param {Object} planning - Planning
+   * @param {Object} activity - Activity
+   * @param {Date} date - Instant (default: now)
+   * @returns {Object} - Event for Calendar.build
+   */
+  toEvent: (planning, activity, date = new Date()) => {
+    const { timeZone, term } = planning;
+    const local = Calendar.zoned(date, timeZone);
+    const today = new Date(Date.UTC(local.year, local.month - 1, local.day));
+    const termStart = new Date(`${term.start}T00:00:00Z`);
+    const termEnd = new Date(`${term.end}T00:00:00Z`);
+
+    const first = new Date(Math.max(today, termStart));
+    first.setUTCDate(
+      first.getUTCDate() +
+        ((Calendar.weekdays.indexOf(activity.day) - first.getUTCDay() + 7) % 7),
+    );
+
+    const start = Calendar.toInstant(
+      first,
+      toMinutes(activity.start),
+      timeZone,
+    );
+    const end = Calendar.toInstant(first, toMinutes(activity.end), timeZone);
+    const until = Calendar.toInstant(termEnd, MINUTES_PER_DAY - 1, timeZone);
+    const byDay = activity.day.slice(0, 2).toUpperCase();
+
+    const description = [
+      activity.details && I18n.localize(activity.details),
+      t('schedule.ages', activity.ages),
+    ]
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      uid: `${activity.id}-${Calendar.formatDate(start)}@ile-aux-oiseaux`,
+      start,
+      end,
+      summary: `${I18n.localize(activity.label)} - L'Île aux Oiseaux`,
+      description,
+      location: planning.location,
+      // Past the end of the school year the event is not repeated
+      rrule:
+        until > start
+          ? `FREQ=WEEKLY;BYDAY=${byDay};UNTIL=${Calendar.formatDate(until)}`
+          : '',
+    };
+  },
+};
+
+export default Planning;
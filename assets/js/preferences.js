@@ -0,0 +1,143 @@
+/**
+ * Reading preferences for L'Île aux Oiseaux website
+ * Text size, wider line and letter spacing, a font easier to read for
+ * dyslexic readers, underlined links and less motion, whatever the device
+ * asks for. Each one is set as a data- attribute on <html>, which
+ * assets/css/styles.css follows; Animation and A11y.prefersReducedMotion()
+ * read data-reduce-motion.
+ *
+ * content/partials/preferences.html applies the saved ones before the first
+ * paint, with the same rules as attributes(): keep them in step. Changes,
+ * here or in another tab, are announced with a preferenceschange event on
+ * document.
+ */
+
+import { Events, Storage } from './utils.js';
+
+const STORAGE_KEY = 'a11y';
+
+// Percent of the browser's text size
+const TEXT_SIZES = [100, 115, 130, 150];
+
+const DEFAULTS = {
+  textSize: 100,
+  spacing: false,
+  dyslexicFont: false,
+  underlineLinks: false,
+  reduceMotion: false,
+};
+
+// On/off preferences and their attribute on <html>
+const FLAGS = {
+  spacing: 'data-spacing',
+  dyslexicFont: 'data-dyslexic-font',
+  underlineLinks: 'data-underline-links',
+  reduceMotion: 'data-reduce-motion',
+};
+
+/**
+ * Attributes <html> gets for some preferences
+ * @param {Object} preferences - From Preferences.get()
+ * @returns {Object} - Value by attribute name, null to remove it
+ */
+const attributes = preferences => ({
+  'data-text-size':
+    preferences.textSize === 100 ? null : String(preferences.textSize),
+  ...Object.fromEntries(
+    Object.entries(FLAGS).map(([key, name]) => [
+      name,
+      preferences[key] ? '' : null,
+    ]),
+  ),
+});
+
+/**
+ * Preferences API
+ */
+export const Preferences = {
+  textSizes: TEXT_SIZES,
+  defaults: DEFAULTS,
+
+  /**
+   * The visitor's preferences
+   * @returns {Object} - { textSize, spacing, dyslexicFont, underlineLinks,
+   *   reduceMotion }, the defaults for those never changed
+   */
+  get: () => {
+    const saved = Storage.getItem(STORAGE_KEY) || {};
+    return {
+      textSize: TEXT_SIZES.includes(saved.textSize)
+        ? saved.textSize
+        : DEFAULTS.textSize,
+      ...Object.fromEntries(
+        Object.keys(FLAGS).map(key => [key, saved[key] === true]),
+      ),
+    };
+  },
+
+  /**
+   * Change some preferences, keeping the others, and apply them
+   * @param {Object} changes - Preferences to change
+   * @returns {Object} - All the preferences
+   */
+  update: changes => {
+    const preferences = { ...Preferences.get(), ...changes };
+    if (!TEXT_SIZES.includes(preferences.textSize)) {
+      throw new Error(`Unknown text size: ${preferences.textSize}`);
+    }
+
+    Storage.setItem(STORAGE_KEY, preferences);
+    return Preferences.apply();
+  },
+
+  /**
+   * Back to the defaults
+   * @returns {Object} - All the preferences
+   */
+  reset: () => {
+    Storage.removeItem(STORAGE_KEY);
+    return Preferences.apply();
+  },
+
+  /**
+   * Set the attributes of the saved preferences on <html>, with a
+   * preferenceschange event if any changed
+   * @returns {Object} - All the preferences
+   */
+  apply: () => {
+    const preferences = Preferences.get();
+    const root = document.documentElement;
+    let changed = false;
+
+    Object.entries(attributes(preferences)).forEach(([name, value]) => {
+      if (root.getAttribute(name) === value) return;
+
+      changed = true;
+      if (value === null) {
+        root.removeAttribute(name);
+      } else {
+        root.setAttribute(name, value);
+      }
+    });
+
+    if (changed) {
+      Events.emit(document, 'preferenceschange', preferences);
+    }
+    return preferences;
+  },
+
+  /**
+   * Follow the changes made in other tabs
+   * @returns {Function} - Stops following them
+   */
+  init: () => {
+    const stop = Events.on(window, 'storage', e => {
+      if (e.key === STORAGE_KEY || e.key === null) Preferences.apply();
+    });
+
+    Preferences.apply();
+    return stop;
+  },
+};
+
+export default Preferences;
@@ -0,0 +1,252 @@
+/**
+ * Form submission layer for L'Île aux Oiseaux website
+ * Pluggable transports delivering serialized form data over HTTP, mailto: or
+ * WhatsApp, configured through data- attributes on the form element
+ */
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_SUBJECT = 'Demande depuis le site web';
+
+/**
+ * Error raised when a submission cannot be delivered
+ */
+export class SubmissionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - Failure kind (network, timeout, http, config)
+   * @param {number|null} details.status - HTTP status code, if any
+   * @param {Error|null} details.cause - Underlying error, if any
+   */
+  constructor(message, { code, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.code = code;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Format serialized form data as a plain-text message
+ * @param {Object} data - Serialized form data
+ * @param {Object} config - Submission config (labels and choices)
+ * @returns {string} - One "Label : value" line per filled field
+ */
+export const formatMessage = (data, { labels = {}, choices = {} } = {}) =>
+  Object.entries(data)
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => {
+      const text = [].concat(value).map(item => {
+        if (item === 'on') return 'oui';
+        return (choices[name] && choices[name][item]) || item;
+      });
+      return `${labels[name] || name} : ${text.join(', ')}`;
+    })
+    .join('\n');
+
+/**
+ * Build the subject line for channels that carry one
+ * @param {Object} data - Serialized form data
+ * @param {Object} config - Submission config
+ * @returns {string} - Subject line
+ */
+const buildSubject = (data, { choices = {} }) => {
+  const topic = choices.subject && choices.subject[data.subject];
+  return topic ? `${DEFAULT_SUBJECT} - ${topic}` : DEFAULT_SUBJECT;
+};
+
+/**
+ * JSON POST to a configurable endpoint
+ */
+const httpTransport = {
+  send: async(data, { endpoint, timeout = DEFAULT_TIMEOUT }) => {
+    if (!endpoint) {
+      throw new SubmissionError('No endpoint configured for HTTP transport', {
+        code: 'config',
+      });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify(data),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new SubmissionError(`No response after ${timeout}ms`, {
+          code: 'timeout',
+          cause: error,
+        });
+      }
+      throw new SubmissionError('Network request failed', {
+        code: 'network',
+        cause: error,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new SubmissionError(`Server responded with ${response.status}`, {
+        code: 'http',
+        status: response.status,
+      });
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { channel: 'http', body };
+  },
+};
+
+/**
+ * Prefilled message in the visitor's mail client
+ */
+const mailtoTransport = {
+  buildUrl: (data, config) => {
+    const subject = encodeURIComponent(buildSubject(data, config));
+    const body = encodeURIComponent(formatMessage(data, config));
+    return `mailto:${config.mailto}?subject=${subject}&body=${body}`;
+  },
+
+  send: (data, config) => {
+    if (!config.mailto) {
+      throw new SubmissionError('No address configured for mailto transport', {
+        code: 'config',
+      });
+    }
+
+    window.location.href = mailtoTransport.buildUrl(data, config);
+    return { channel: 'mailto' };
+  },
+};
+
+/**
+ * Prefilled WhatsApp conversation (wa.me link)
+ */
+const whatsappTransport = {
+  buildUrl: (data, config) => {
+    const number = String(config.whatsapp).replace(/\D/g, '');
+    const text = `${buildSubject(data, config)}\n\n${formatMessage(
+      data,
+      config,
+    )}`;
+    return `https://wa.me/${number}?text=${encodeURIComponent(text)}`;
+  },
+
+  send: (data, config) => {
+    if (!config.whatsapp) {
+      throw new SubmissionError('No number configured for WhatsApp transport', {
+        code: 'config',
+      });
+    }
+
+    const url = whatsappTransport.buildUrl(data, config);
+    const opened = window.open(url, '_blank', 'noopener');
+    if (!opened) {
+      // Popup blocked: navigate in place instead
+      window.location.href = url;
+    }
+    return { channel: 'whatsapp' };
+  },
+};
+
+const transports = new Map([
+  ['http', httpTransport],
+  ['mailto', mailtoTransport],
+  ['whatsapp', whatsappTransport],
+]);
+
+/**
+ * Submission API
+ */
+export const Submission = {
+  /**
+   * Register a custom transport
+   * @param {string} name - Transport name used in data-transport
+   * @param {Object} transport - Object with a send(data, config) method
+   */
+  register: (name, transport) => {
+    transports.set(name, transport);
+  },
+
+  /**
+   * Get a registered transport
+   * @param {string} name - Transport name
+   * @returns {Object|undefined} - Transport
+   */
+  get: name => transports.get(name),
+
+  /**
+   * Read submission config from the form's data- attributes
+   * (data-transport, data-endpoint, data-timeout, data-mailto, data-whatsapp)
+   * Without data-transport, a form goes over HTTP when it has an endpoint,
+   * else to the mail client, else to WhatsApp: the static host has no
+   * endpoint of its own. Labels and choices are read as the page shows them,
+   * so read the config when sending, after any language switch.
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Object} - Submission config
+   */
+  configFromForm: form => {
+    const labels = {};
+    const choices = {};
+
+    Array.from(form.elements).forEach(field => {
+      if (!field.name) return;
+
+      const label = field.id && form.querySelector(`label[for="${field.id}"]`);
+      if (label) {
+        labels[field.name] = label.textContent.replace('*', '').trim();
+      }
+
+      if (field.tagName === 'SELECT') {
+        choices[field.name] = {};
+        Array.from(field.options).forEach(option => {
+          choices[field.name][option.value] = option.textContent.trim();
+        });
+      }
+    });
+
+    const endpoint = form.dataset.endpoint || form.getAttribute('action');
+    const mailto = form.dataset.mailto || null;
+    const whatsapp = form.dataset.whatsapp || null;
+    const fallback = mailto ? 'mailto' : whatsapp ? 'whatsapp' : 'http';
+
+    return {
+      transport: form.dataset.transport || (endpoint ? 'http' : fallback),
+      endpoint,
+      timeout: parseInt(form.dataset.timeout, 10) || DEFAULT_TIMEOUT,
+      mailto,
+      whatsapp,
+      labels,
+      choices,
+    };
+  },
+
+  /**
+   * Send data through the configured transport
+   * @param {Object} data - Serialized form data
+   * @param {Object} config - Submission config
+   * @returns {Promise<Object>} - Transport result ({ channel, ... })
+   */
+  send: async(data, config) => {
+    const transport = transports.get(config.transport);
+    if (!transport) {
+      throw new SubmissionError(`Unknown transport: ${config.transport}`, {
+        code: 'config',
+      });
+    }
+    return transport.send(data, config);
+  },
+};
+
+export default Submission;
@@ -0,0 +1,225 @@
+/**
+ * Price grid for L'Île aux Oiseaux after-school care
+ * Loads the structured tarifs JSON and turns a selection of days, activities,
+ * meals and transport into weekly, monthly and yearly estimates
+ */
+
+import { I18n, t } from './i18n.js';
+import { Data } from './utils.js';
+
+const DEFAULT_SOURCE = 'assets/data/tarifs.json';
+
+/**
+ * Normalize a price to a { min, max } range
+ * @param {number|Object|null} price - Fixed price, { min, max } or null
+ * @returns {Object|null} - Range, or null when the price is not set
+ */
+const toRange = price => {
+  if (price === null || price === undefined) return null;
+  if (typeof price === 'number') return { min: price, max: price };
+  return { min: price.min, max: price.max };
+};
+
+/**
+ * Multiply a range
+ * @param {Object} range - { min, max }
+ * @param {number} factor - Multiplier
+ * @returns {Object} - { min, max }
+ */
+const scale = (range, factor) => ({
+  min: range.min * factor,
+  max: range.max * factor,
+});
+
+/**
+ * Sum ranges
+ * @param {Object[]} ranges - { min, max } ranges
+ * @returns {Object} - { min, max }
+ */
+const sum = ranges =>
+  ranges.reduce(
+    (total, range) => ({
+      min: total.min + range.min,
+      max: total.max + range.max,
+    }),
+    { min: 0, max: 0 },
+  );
+
+/**
+ * Tarifs API
+ */
+export const Tarifs = {
+  /**
+   * Load a price grid
+   * @param {string} url - JSON source
+   * @returns {Promise<Object>} - Price grid
+   */
+  load: (url = DEFAULT_SOURCE) => Data.load(url),
+
+  /**
+   * Label of a grid entry in the active language
+   * @param {Object} entry - Day, option, fee, extra or transport zone
+   * @returns {string} - Label (French if not translated)
+   */
+  label: entry => I18n.localize(entry.label),
+
+  /**
+   * Find an entry from a dotted path
+   * e.g. "days.monday.1-activity", "fees.multisport", "extras.lunch",
+   * "transport.haie-vive"
+   * @param {Object} grid - Price grid
+   * @param {string} path - Entry path
+   * @returns {Object|null} - Entry
+   */
+  find: (grid, path) => {
+    const [group, id, optionId] = path.split('.');
+    const entry = (grid[group] || []).find(item => item.id === id);
+
+    if (!entry || !optionId) return entry || null;
+    return (entry.options || []).find(option => option.id === optionId) || null;
+  },
+
+  /**
+   * Format a price or range in FCFA
+   * @param {number|Object|null} price - Price or { min, max }
+   * @returns {string} - e.g. "4 000 F CFA", "2 500 F CFA à 3 000 F CFA"
+   */
+  formatPrice: price => {
+    const range = toRange(price);
+    if (!range) return t('tarifs.onRequest');
+
+    if (range.min === range.max) return I18n.formatCurrency(range.min);
+    return t('tarifs.range', {
+      min: I18n.formatCurrency(range.min),
+      max: I18n.formatCurrency(range.max),
+    });
+  },
+
+  /**
+   * Compute an estimate
+   * @param {Object} grid - Price grid
+   * @param {Object} selection - Parent's choices
+   * @param {Object} selection.days - Option id per day id, e.g. { monday: '1-activity' }
+   * @param {string[]} selection.extras - Extra ids, charged on every chosen day
+   * @param {Object} selection.transport - { zone, trips } trips per chosen day
+   * @returns {Object} - { lines, fees, pending, days, totals: { week, month, year } }
+   */
+  estimate: (grid, { days = {}, extras = [], transport = {} } = {}) => {
+    const lines = [];
+    const feeIds = new Set();
+    const pending = [];
+
+    grid.days.forEach(day => {
+      const option =
+        days[day.id] && Tarifs.find(grid, `days.${day.id}.${days[day.id]}`);
+      if (!option) return;
+
+      (option.fees || []).forEach(id => feeIds.add(id));
+      lines.push({
+        id: `days.${day.id}`,
+        label: `${Tarifs.label(day)} - ${Tarifs.label(option)}`,
+        quantity: 1,
+        unit: toRange(option.price),
+        weekly: toRange(option.price),
+      });
+    });
+
+    const count = lines.length;
+
+    if (count) {
+      grid.extras
+        .filter(extra => extras.includes(extra.id))
+        .forEach(extra => {
+          lines.push({
+            id: `extras.${extra.id}`,
+            label: Tarifs.label(extra),
+            quantity: count,
+            unit: toRange(extra.price),
+            weekly: scale(toRange(extra.price), count),
+          });
+        });
+
+      const zone = Tarifs.find(grid, `transport.${transport.zone}`);
+      const trips = Number(transport.trips) || 0;
+
+      if (zone && trips) {
+        const unit = toRange(zone.price);
+        const label = t('tarifs.transport.line', { zone: Tarifs.label(zone) });
+
+        if (unit) {
+          lines.push({
+            id: `transport.${zone.id}`,
+            label,
+            quantity: count * trips,
+            unit,
+            weekly: scale(unit, count * trips),
+          });
+        } else {
+          pending.push(label);
+        }
+      }
+    }
+
+    const fees = grid.fees
+      .filter(fee => feeIds.has(fee.id))
+      .map(fee => ({
+        id: `fees.${fee.id}`,
+        label: Tarifs.label(fee),
+        amount: toRange(fee.price),
+      }));
+
+    const week = sum(lines.map(line => line.weekly));
+    const { weeksPerMonth, weeksPerYear } = grid.period;
+
+    return {
+      lines,
+      fees,
+      pending,
+      days: count,
+      totals: {
+        week,
+        month: scale(week, weeksPerMonth),
+        year: sum([scale(week, weeksPerYear), ...fees.map(fee => fee.amount)]),
+      },
+    };
+  },
+
+  /**
+   * Plain-text breakdown, sent as the contact form message
+   * @param {Object} estimate - Result of Tarifs.estimate
+   * @returns {string} - One line per item followed by the totals
+   */
+  summarize: estimate => {
+    const lines = estimate.lines.map(
+      line =>
+        `- ${line.label} : ${line.quantity} × ${Tarifs.formatPrice(
+          line.unit,
+        )} = ${Tarifs.formatPrice(line.weekly)}`,
+    );
+
+    estimate.fees.forEach(fee => {
+      lines.push(
+        `- ${fee.label} : ${Tarifs.formatPrice(fee.amount)} (${t(
+          'tarifs.perYear',
+        )})`,
+      );
+    });
+
+    estimate.pending.forEach(label => {
+      lines.push(`- ${label} : ${t('tarifs.onRequest')}`);
+    });
+
+    return [
+      t('tarifs.summary.title'),
+      ...lines,
+      '',
+      `${t('tarifs.total.week')} : ${Tarifs.formatPrice(estimate.totals.week)}`,
+      `${t('tarifs.total.month')} : ${Tarifs.formatPrice(
+        estimate.totals.month,
+      )}`,
+      `${t('tarifs.total.year')} : ${Tarifs.formatPrice(estimate.totals.year)}`,
+    ].join('\n');
+  },
+};
+
+export default Tarifs;
@@ -0,0 +1,143 @@
+/**
+ * Color themes for L'Île aux Oiseaux website
+ * The visitor picks a mode: system (follows the device, high contrast
+ * included), light, dark or contrast. The theme it resolves to is set as
+ * data-theme on <html>, which the tokens of assets/css/variables.css follow.
+ *
+ * content/partials/preferences.html applies the saved mode before the first
+ * paint, with the same rules as resolve(): keep them in step. Afterwards the
+ * page follows device changes and the choices made in other tabs, and
+ * announces each change with a themechange event on document.
+ */
+
+import { Events, Storage } from './utils.js';
+
+const STORAGE_KEY = 'theme';
+
+// In the order the switcher lists them
+const MODES = ['system', 'light', 'dark', 'contrast'];
+
+const QUERIES = {
+  dark: '(prefers-color-scheme: dark)',
+  contrast: '(prefers-contrast: more)',
+};
+
+// Browser interface color of each theme (<meta name="theme-color">)
+const UI_COLORS = {
+  light: '#4a6fbf',
+  dark: '#111827',
+  contrast: '#1e3a8a',
+};
+
+const matches = query => window.matchMedia(query).matches;
+
+/**
+ * Theme API
+ */
+export const Theme = {
+  modes: MODES,
+
+  /**
+   * The visitor's mode
+   * @returns {string} - One of Theme.modes, system when never chosen
+   */
+  getMode: () => {
+    const mode = Storage.getItem(STORAGE_KEY);
+    return MODES.includes(mode) ? mode : 'system';
+  },
+
+  /**
+   * Theme a mode shows on this device
+   * @param {string} mode - Mode
+   * @returns {string} - light, dark or contrast
+   */
+  resolve: mode => {
+    if (mode !== 'system') return mode;
+    if (matches(QUERIES.contrast)) return 'contrast';
+    return matches(QUERIES.dark) ? 'dark' : 'light';
+  },
+
+  /**
+   * Theme the page shows
+   * @returns {string} - light, dark or contrast
+   */
+  current: () => document.documentElement.getAttribute('data-theme') || 'light',
+
+  /**
+   * Save and apply a mode
+   * @param {string} mode - One of Theme.modes
+   * @returns {string} - Theme shown
+   */
+  setMode: mode => {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown theme mode: ${mode}`);
+    }
+
+    if (mode === 'system') {
+      Storage.removeItem(STORAGE_KEY);
+    } else {
+      Storage.setItem(STORAGE_KEY, mode);
+    }
+    return Theme.apply(true);
+  },
+
+  /**
+   * Show the theme of the saved mode, with a themechange event if it changed
+   * @param {boolean} force - Send the event even if the theme is the same
+   *   (the mode changed)
+   * @returns {string} - Theme shown
+   */
+  apply: (force = false) => {
+    const mode = Theme.getMode();
+    const theme = Theme.resolve(mode);
+    const changed = theme !== Theme.current();
+
+    document.documentElement.setAttribute('data-theme', theme);
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) {
+      meta.setAttribute('content', UI_COLORS[theme]);
+    }
+
+    if (changed || force) {
+      Events.emit(document, 'themechange', { mode, theme });
+    }
+    return theme;
+  },
+
+  /**
+   * Follow the device settings and the other tabs
+   * @returns {Function} - Stops following them
+   */
+  init: () => {
+    const cleanup = [
+      // Another tab changed the mode
+      Events.on(window, 'storage', e => {
+        if (e.key === STORAGE_KEY || e.key === null) Theme.apply(true);
+      }),
+    ];
+
+    // The device settings only matter to the system mode
+    Object.values(QUERIES).forEach(query => {
+      const mediaQuery = window.matchMedia(query);
+      const handleChange = () => {
+        if (Theme.getMode() === 'system') Theme.apply();
+      };
+
+      if (mediaQuery.addEventListener) {
+        mediaQuery.addEventListener('change', handleChange);
+        cleanup.push(() =>
+          mediaQuery.removeEventListener('change', handleChange),
+        );
+      } else {
+        // Fallback for older browsers
+        mediaQuery.addListener(handleChange);
+        cleanup.push(() => mediaQuery.removeListener(handleChange));
+      }
+    });
+
+    Theme.apply();
+    return () => cleanup.forEach(fn => fn());
+  },
+};
+
+export default Theme;
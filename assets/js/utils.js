@@ -3,17 +3,21 @@
  * Pure vanilla JavaScript utilities following modern ES6+ patterns
  */
 
+import { Validation } from './validation.js';
+
 /**
  * DOM Utilities
  */
 export const DOM = {
   /**
    * Query selector with error handling
-   * @param {string} selector - CSS selector
+   * @param {string|Element} selector - CSS selector, or an element returned
+   *   as it is (components mounted by the registry receive their element)
    * @param {Element} context - Context element (default: document)
    * @returns {Element|null} - Found element or null
    */
   query: (selector, context = document) => {
+    if (selector instanceof Element) return selector;
     try {
       return context.querySelector(selector);
     } catch (error) {
@@ -24,11 +28,16 @@ export const DOM = {
 
   /**
    * Query all selector with error handling
-   * @param {string} selector - CSS selector
+   * @param {string|Element|NodeList|Element[]} selector - CSS selector, or
+   *   elements returned as they are
    * @param {Element} context - Context element (default: document)
-   * @returns {NodeList} - Found elements
+   * @returns {NodeList|Element[]} - Found elements
    */
   queryAll: (selector, context = document) => {
+    if (selector instanceof Element) return [selector];
+    if (Array.isArray(selector) || selector instanceof NodeList) {
+      return selector;
+    }
     try {
       return context.querySelectorAll(selector);
     } catch (error) {
@@ -94,6 +103,30 @@ export const DOM = {
       rect.left <= (1 - threshold) * windowWidth
     );
   },
+
+  /**
+   * Short CSS path of an element, e.g. "section#informations>div.contact-card"
+   * @param {Element|null} element - Element
+   * @returns {string} - Path, empty without element
+   */
+  describe: element => {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      const tag = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${tag}#${node.id}`);
+        break;
+      }
+      parts.unshift(
+        node.classList.length ? `${tag}.${node.classList[0]}` : tag,
+      );
+      node = node.parentElement;
+    }
+
+    return parts.join('>');
+  },
 };
 
 /**
@@ -113,6 +146,16 @@ export const Events = {
     return () => element.removeEventListener(event, handler, options);
   },
 
+  /**
+   * Dispatch a custom event
+   * @param {EventTarget} target - Event target
+   * @param {string} event - Event type
+   * @param {Object} detail - Event detail
+   */
+  emit: (target, event, detail = {}) => {
+    target.dispatchEvent(new CustomEvent(event, { detail }));
+  },
+
   /**
    * Throttle function execution
    * @param {Function} func - Function to throttle
@@ -165,6 +208,15 @@ export const Events = {
   },
 };
 
+/**
+ * Whether motion should be kept to a minimum: the device asks for it, or the
+ * visitor did in the reading preferences (see preferences.js)
+ * @returns {boolean} - True if reduced motion preferred
+ */
+const prefersReducedMotion = () =>
+  document.documentElement.hasAttribute('data-reduce-motion') ||
+  window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
 /**
  * Animation Utilities
  */
@@ -186,10 +238,7 @@ export const Animation = {
     };
 
     // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia(
-      '(prefers-reduced-motion: reduce)'
-    ).matches;
-    if (prefersReducedMotion) {
+    if (prefersReducedMotion()) {
       defaultOptions.behavior = 'auto';
     }
 
@@ -213,10 +262,7 @@ export const Animation = {
       };
 
       // Check for reduced motion preference
-      const prefersReducedMotion = window.matchMedia(
-        '(prefers-reduced-motion: reduce)'
-      ).matches;
-      if (prefersReducedMotion) {
+      if (prefersReducedMotion()) {
         cleanup();
         return;
       }
@@ -231,6 +277,8 @@ export const Animation = {
    * @param {number} duration - Animation duration in ms
    */
   fadeIn: (element, duration = 300) => {
+    if (prefersReducedMotion()) duration = 0;
+
     element.style.opacity = '0';
     element.style.display = 'block';
     element.style.transition = `opacity ${duration}ms ease-in-out`;
@@ -247,6 +295,8 @@ export const Animation = {
    * @param {number} duration - Animation duration in ms
    */
   fadeOut: (element, duration = 300) => {
+    if (prefersReducedMotion()) duration = 0;
+
     element.style.transition = `opacity ${duration}ms ease-in-out`;
     element.style.opacity = '0';
 
@@ -291,20 +341,14 @@ export const Form = {
    * @param {string} email - Email string
    * @returns {boolean} - True if valid
    */
-  validateEmail: email => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  },
+  validateEmail: email => Validation.check('email', email),
 
   /**
-   * Validate phone number (simple validation)
+   * Validate phone number
    * @param {string} phone - Phone number string
    * @returns {boolean} - True if valid
    */
-  validatePhone: phone => {
-    const phoneRegex = /^[\+]?[(]?[\d\s\-\(\)]{10,}$/;
-    return phoneRegex.test(phone.replace(/\s/g, ''));
-  },
+  validatePhone: phone => Validation.check('phone', phone),
 
   /**
    * Show form field error
@@ -325,7 +369,7 @@ export const Form = {
         id: `${field.id}-error`,
         'aria-live': 'polite',
       },
-      message
+      message,
     );
 
     field.setAttribute('aria-describedby', error.id);
@@ -380,7 +424,7 @@ export const A11y = {
    */
   focusTrap: container => {
     const focusableElements = container.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])',
     );
 
     const firstElement = focusableElements[0];
@@ -418,9 +462,7 @@ export const A11y = {
    * Check if user prefers reduced motion
    * @returns {boolean} - True if reduced motion preferred
    */
-  prefersReducedMotion: () => {
-    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-  },
+  prefersReducedMotion: () => prefersReducedMotion(),
 };
 
 /**
@@ -475,6 +517,64 @@ export const Storage = {
   },
 };
 
+/**
+ * Data Utilities
+ */
+const dataRequests = new Map();
+
+export const Data = {
+  /**
+   * Fetch a JSON file once per page (failed requests can be retried)
+   * @param {string} url - JSON file URL
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  load: url => {
+    if (!dataRequests.has(url)) {
+      const request = fetch(url, { headers: { Accept: 'application/json' } })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          dataRequests.delete(url);
+          throw error;
+        });
+
+      dataRequests.set(url, request);
+    }
+
+    return dataRequests.get(url);
+  },
+
+  /**
+   * Send JSON that must arrive even if the page is being closed, with
+   * navigator.sendBeacon or else a keepalive fetch
+   * @param {string} url - Endpoint
+   * @param {Object} data - Payload
+   * @returns {boolean} - True if the browser accepted it
+   */
+  beacon: (url, data) => {
+    const body = JSON.stringify(data);
+
+    if (navigator.sendBeacon) {
+      return navigator.sendBeacon(
+        url,
+        new Blob([body], { type: 'application/json' }),
+      );
+    }
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {});
+    return true;
+  },
+};
+
 /**
  * URL Utilities
  */
@@ -496,7 +596,8 @@ export const URL = {
    * @param {boolean} replace - Replace current history entry
    */
   setParam: (param, value, replace = false) => {
-    const url = new URL(window.location);
+    // window.URL: this module's URL export shadows the global
+    const url = new window.URL(window.location);
     url.searchParams.set(param, value);
 
     if (replace) {
@@ -505,6 +606,24 @@ export const URL = {
       window.history.pushState({}, '', url);
     }
   },
+
+  /**
+   * Remove query parameter
+   * @param {string} param - Parameter name
+   * @param {boolean} replace - Replace current history entry
+   */
+  removeParam: (param, replace = false) => {
+    const url = new window.URL(window.location);
+    if (!url.searchParams.has(param)) return;
+
+    url.searchParams.delete(param);
+
+    if (replace) {
+      window.history.replaceState({}, '', url);
+    } else {
+      window.history.pushState({}, '', url);
+    }
+  },
 };
 
 // Default export with all utilities
@@ -515,5 +634,6 @@ export default {
   Form,
   A11y,
   Storage,
+  Data,
   URL,
 };
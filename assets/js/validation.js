@@ -0,0 +1,319 @@
+/**
+ * Validation rules for L'Île aux Oiseaux website
+ * Single registry shared by FormValidator and the Form utilities, driven by
+ * markup such as data-validate="minlength:10|benin-phone" or "after:today"
+ */
+
+import { Ages } from './ages.js';
+import { Phone } from './phone.js';
+
+const rules = new Map();
+
+// Messages are provided per locale by the i18n catalogs (assets/js/locales)
+const catalogs = {};
+
+let locale = 'fr';
+
+/**
+ * Format a Date as a local YYYY-MM-DD string (same format as input[type=date])
+ * @param {Date} date - Date to format
+ * @returns {string} - ISO calendar date
+ */
+export const toISODate = date => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Resolve a date argument: "today" or a #field reference
+ * @param {string} arg - Rule argument
+ * @param {Object} context - Validation context
+ * @returns {Object|null} - { value, suffix, params } or null when unresolvable
+ */
+const resolveDateArg = (arg, { form }) => {
+  if (arg === 'today') {
+    return { value: toISODate(new Date()), suffix: '.today', params: {} };
+  }
+
+  const other = form && form.querySelector(arg);
+  if (!other || !other.value) return null;
+
+  return {
+    value: other.value,
+    suffix: '',
+    params: { other: Validation.getLabel(other) },
+  };
+};
+
+/**
+ * Validation API
+ */
+export const Validation = {
+  /**
+   * Register a rule
+   * @param {string} name - Rule name used in data-validate
+   * @param {Function} validate - (value, context) => true | false | message key,
+   *   or a Promise of one of those. context holds { field, form, args, label }
+   * @param {Object} options - Rule options
+   * @param {string} options.message - Message key or text used when invalid
+   * @param {boolean} options.validateEmpty - Run the rule on empty values
+   */
+  registerRule: (
+    name,
+    validate,
+    { message = name, validateEmpty = false } = {},
+  ) => {
+    rules.set(name, { validate, message, validateEmpty });
+  },
+
+  /**
+   * Check whether a rule exists
+   * @param {string} name - Rule name
+   * @returns {boolean} - True if registered
+   */
+  hasRule: name => rules.has(name),
+
+  /**
+   * Add or override messages for a locale
+   * @param {string} lang - Locale code
+   * @param {Object} messages - Messages keyed by rule name
+   */
+  addMessages: (lang, messages) => {
+    catalogs[lang] = { ...catalogs[lang], ...messages };
+  },
+
+  /**
+   * Set the locale used for messages (falls back to French)
+   * @param {string} lang - Locale code
+   */
+  setLocale: lang => {
+    locale = lang;
+  },
+
+  /**
+   * Get a localized message
+   * @param {string} key - Message key (or literal text)
+   * @param {Object} params - Placeholder values ({label}, {0}, ...)
+   * @returns {string} - Message
+   */
+  getMessage: (key, params = {}) => {
+    const template =
+      (catalogs[locale] || {})[key] || (catalogs.fr || {})[key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? params[name] : match,
+    );
+  },
+
+  /**
+   * Parse a data-validate attribute
+   * @param {string} spec - e.g. "minlength:10|phone"
+   * @returns {Object[]} - [{ name, args }]
+   */
+  parseRules: (spec = '') =>
+    spec
+      .split('|')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const [name, ...rest] = part.split(':');
+        const args = rest.length ? rest.join(':').split(',') : [];
+        return { name: name.trim(), args: args.map(arg => arg.trim()) };
+      }),
+
+  /**
+   * Get the rules that apply to a field: required, type rules, then data-validate
+   * @param {Element} field - Form field
+   * @returns {Object[]} - [{ name, args }]
+   */
+  getFieldRules: field => {
+    const list = [];
+
+    if (field.hasAttribute('required')) {
+      list.push({ name: 'required', args: [] });
+    }
+    if (field.type === 'email') {
+      list.push({ name: 'email', args: [] });
+    }
+    if (field.type === 'tel') {
+      list.push({ name: 'phone', args: [] });
+    }
+
+    return list.concat(Validation.parseRules(field.dataset.validate));
+  },
+
+  /**
+   * Get the human readable label of a field
+   * @param {Element} field - Form field
+   * @returns {string} - Label text
+   */
+  getLabel: field => {
+    const label =
+      field.id && document.querySelector(`label[for="${field.id}"]`);
+    return label ? label.textContent.replace('*', '').trim() : field.name;
+  },
+
+  /**
+   * Run a single rule
+   * @param {string} name - Rule name
+   * @param {string} value - Field value
+   * @param {Object} context - { field, form, args, label }
+   * @returns {Promise<Object>} - { isValid, message }
+   */
+  runRule: async(name, value, context = {}) => {
+    const rule = rules.get(name);
+    if (!rule) {
+      console.warn(`Unknown validation rule: ${name}`);
+      return { isValid: true, message: '' };
+    }
+
+    if (!value && !rule.validateEmpty) {
+      return { isValid: true, message: '' };
+    }
+
+    const args = context.args || [];
+    const result = await rule.validate(value, { ...context, args });
+    if (result === true) {
+      return { isValid: true, message: '' };
+    }
+
+    const key = typeof result === 'string' ? result : rule.message;
+    const params = { label: context.label || '', ...args };
+    if (result && typeof result === 'object') {
+      return {
+        isValid: false,
+        message: Validation.getMessage(result.message || rule.message, {
+          ...params,
+          ...result.params,
+        }),
+      };
+    }
+
+    return { isValid: false, message: Validation.getMessage(key, params) };
+  },
+
+  /**
+   * Validate a field against all its rules, stopping at the first failure
+   * @param {Element} field - Form field
+   * @param {Object} context - Extra context (form)
+   * @returns {Promise<Object>} - { isValid, message }
+   */
+  validateField: async(field, context = {}) => {
+    const value =
+      field.type === 'checkbox' ? field.checked : field.value.trim();
+    const base = {
+      field,
+      form: context.form || field.form,
+      label: Validation.getLabel(field),
+    };
+
+    for (const { name, args } of Validation.getFieldRules(field)) {
+      const result = await Validation.runRule(name, value, { ...base, args });
+      if (!result.isValid) return result;
+    }
+
+    return { isValid: true, message: '' };
+  },
+
+  /**
+   * Synchronously check a value against a synchronous rule
+   * @param {string} name - Rule name
+   * @param {string} value - Value to check
+   * @param {string[]} args - Rule arguments
+   * @returns {boolean} - True if valid
+   */
+  check: (name, value, args = []) => {
+    const rule = rules.get(name);
+    return Boolean(rule) && rule.validate(value, { args }) === true;
+  },
+};
+
+/*
+ * Built-in rules
+ */
+
+Validation.registerRule('required', value => Boolean(value), {
+  validateEmpty: true,
+});
+
+Validation.registerRule('email', value =>
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+);
+
+/**
+ * Turn a Phone.parse() result into a rule result
+ * @param {Object} parsed - Parse result
+ * @returns {true|Object} - True or { message, params }
+ */
+const phoneResult = parsed =>
+  parsed.valid ||
+  (parsed.error && {
+    message: parsed.error,
+    params: { suggestion: parsed.suggestion },
+  });
+
+// Beninese or international number
+Validation.registerRule('phone', value => phoneResult(Phone.parse(value)));
+
+// Beninese number only
+Validation.registerRule('benin-phone', value => {
+  const parsed = Phone.parse(value);
+  if (parsed.valid && parsed.country !== 'BJ') {
+    return { message: 'phone.foreign' };
+  }
+  return phoneResult(parsed);
+});
+
+Validation.registerRule(
+  'minlength',
+  (value, { args }) => value.length >= parseInt(args[0], 10),
+);
+
+Validation.registerRule(
+  'maxlength',
+  (value, { args }) => value.length <= parseInt(args[0], 10),
+);
+
+Validation.registerRule('range', (value, { args }) => {
+  const number = Number(value);
+  return (
+    !isNaN(number) && number >= Number(args[0]) && number <= Number(args[1])
+  );
+});
+
+// Date of birth of a child old enough, and young enough, to start at a date:
+// "today" or a #field, today while that field is empty
+Validation.registerRule('age', (value, context) => {
+  const reference =
+    resolveDateArg(context.args[0] || 'today', context) ||
+    resolveDateArg('today', context);
+  const route = Ages.route(value, reference.value);
+  return !route || !route.error || { message: route.error };
+});
+
+Validation.registerRule('date', value => /^\d{4}-\d{2}-\d{2}$/.test(value));
+
+Validation.registerRule('after', (value, context) => {
+  const reference = resolveDateArg(context.args[0], context);
+  if (!reference || value > reference.value) return true;
+  return { message: `after${reference.suffix}`, params: reference.params };
+});
+
+Validation.registerRule('before', (value, context) => {
+  const reference = resolveDateArg(context.args[0], context);
+  if (!reference || value < reference.value) return true;
+  return { message: `before${reference.suffix}`, params: reference.params };
+});
+
+// Checkbox the visitor must tick, e.g. consent
+Validation.registerRule('accepted', value => value === true, {
+  validateEmpty: true,
+});
+
+Validation.registerRule('same-as', (value, { form, args }) => {
+  const other = form && form.querySelector(args[0]);
+  if (!other || value === other.value.trim()) return true;
+  return { params: { other: Validation.getLabel(other) } };
+});
+
+export default Validation;
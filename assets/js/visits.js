@@ -0,0 +1,139 @@
+/**
+ * Visit slots of L'Île aux Oiseaux
+ * Works out the visit slots of the coming weeks from the availability (a JSON
+ * file or an endpoint answering the same format), without weekends, holidays,
+ * booked slots or slots too close to be prepared
+ */
+
+import { Calendar } from './calendar.js';
+import { I18n, t } from './i18n.js';
+import { Planning } from './planning.js';
+import { Data } from './utils.js';
+
+const DEFAULT_SOURCE = 'assets/data/visites.json';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Visits API
+ */
+export const Visits = {
+  /**
+   * Load the availability
+   * @param {string} url - JSON file or endpoint
+   * @returns {Promise<Object>} - Availability
+   */
+  load: (url = DEFAULT_SOURCE) => Data.load(url),
+
+  /**
+   * Open days of the coming weeks, from the Monday of the current week
+   * @param {Object} availability - Availability
+   * @param {Date} date - Instant (default: now)
+   * @returns {Object[]} - { date: YYYY-MM-DD, day: UTC date, week, holiday,
+   *   slots }; week counts from 0 and slots are
+   *   { id: YYYY-MM-DDTHH:MM, time, start, end, available }
+   */
+  days: (availability, date = new Date()) => {
+    const { timeZone, duration, notice = 0 } = availability;
+    const local = Calendar.zoned(date, timeZone);
+    const today = Date.UTC(local.year, local.month - 1, local.day);
+    const first = today - ((new Date(today).getUTCDay() + 6) % 7) * DAY;
+    const earliest = date.getTime() + notice * 60 * 60 * 1000;
+    const booked = new Set(availability.booked || []);
+    const days = [];
+
+    for (let index = 0; index < availability.weeks * 7; index++) {
+      const day = new Date(first + index * DAY);
+      const times = availability.days[Calendar.weekdays[day.getUTCDay()]];
+      // Weekends have no visit times
+      if (!times) continue;
+
+      const iso = day.toISOString().slice(0, 10);
+      const holiday =
+        (availability.holidays || []).find(entry => entry.date === iso) || null;
+      const slots = holiday
+        ? []
+        : times.map(time => {
+          const id = `${iso}T${time}`;
+          const start = Calendar.toInstant(
+            day,
+            Planning.toMinutes(time),
+            timeZone,
+          );
+          return {
+            id,
+            time,
+            start,
+            end: new Date(start.getTime() + duration * 60 * 1000),
+            available: start.getTime() >= earliest && !booked.has(id),
+          };
+        });
+
+      days.push({
+        date: iso,
+        day,
+        week: Math.floor(index / 7),
+        holiday,
+        slots,
+      });
+    }
+
+    return days;
+  },
+
+  /**
+   * Find a slot
+   * @param {Object[]} days - From Visits.days()
+   * @param {string} id - Slot id
+   * @returns {Object|null} - Slot
+   */
+  find: (days, id) => {
+    for (const day of days) {
+      const slot = day.slots.find(entry => entry.id === id);
+      if (slot) return slot;
+    }
+    return null;
+  },
+
+  /**
+   * Date of a day as words, e.g. "mardi 20 octobre"
+   * @param {Date} day - UTC date
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} - Date
+   */
+  formatDay: (
+    day,
+    options = { weekday: 'long', day: 'numeric', month: 'long' },
+  ) => I18n.formatDate(day, { ...options, timeZone: 'UTC' }),
+
+  /**
+   * Slot as words, e.g. "mardi 20 octobre à 9h00"
+   * @param {Object} slot - Slot
+   * @returns {string} - Slot
+   */
+  formatSlot: slot =>
+    t('visit.slot', {
+      date: Visits.formatDay(new Date(`${slot.id.slice(0, 10)}T00:00:00Z`)),
+      time: Planning.formatTime(Planning.toMinutes(slot.time)),
+    }),
+
+  /**
+   * Calendar event for a visit
+   * @param {Object} availability - Availability
+   * @param {Object} slot - Slot
+   * @param {string} reference - Booking reference (optional)
+   * @param {boolean} requested - Only asked for by mail or WhatsApp, until
+   *   the school confirms it
+   * @returns {Object} - Event for Calendar.build
+   */
+  toEvent: (availability, slot, reference = '', requested = false) => ({
+    uid: `visite-${reference || slot.id}@ile-aux-oiseaux`,
+    start: slot.start,
+    end: slot.end,
+    status: requested ? 'TENTATIVE' : 'CONFIRMED',
+    summary: t(requested ? 'visit.event.requested' : 'visit.event.summary'),
+    description: t('visit.event.description'),
+    location: availability.location,
+  }),
+};
+
+export default Visits;
@@ -0,0 +1,278 @@
+/**
+ * Web Vitals for L'Île aux Oiseaux website
+ * Measures how fast pages show and respond for real visitors: LCP, CLS (by
+ * session windows), INP, FCP and TTFB, each with the element responsible
+ * when there is one. A sample of the visits sends them to the collector the
+ * page names when it is hidden, if the visitor has agreed to the audience
+ * measurement; without a collector nothing is measured.
+ */
+
+import { Analytics } from './analytics.js';
+import { Consent } from './consent.js';
+import { Data, DOM, Events } from './utils.js';
+
+// Upper bounds of "good" and "needs improvement", as published on web.dev
+const THRESHOLDS = {
+  CLS: [0.1, 0.25],
+  FCP: [1800, 3000],
+  INP: [200, 500],
+  LCP: [2500, 4000],
+  TTFB: [800, 1800],
+};
+
+// Interactions kept to estimate INP, the longest ones
+const MAX_INTERACTIONS = 10;
+
+/**
+ * Rating of a value
+ * @param {string} name - Metric name
+ * @param {number} value - Value
+ * @returns {string} - good, needs-improvement or poor
+ */
+const rate = (name, value) => {
+  const [good, poor] = THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+};
+
+/**
+ * Sampled Web Vitals recorder
+ */
+export class WebVitals {
+  /**
+   * @param {Object} options - Web Vitals options
+   * @param {string|null} options.endpoint - Collector URL
+   * @param {number} options.sampleRate - Share of the visits measured, 0 to 1
+   */
+  constructor({ endpoint = null, sampleRate = 1 } = {}) {
+    this.endpoint = endpoint;
+    this.sampled = Math.random() < sampleRate;
+    // Tells apart the reports of one page view, and nothing more
+    this.id = `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    this.navigation = '';
+    this.metrics = {};
+    this.reported = {};
+    this.lcpDone = false;
+    this.session = { value: 0, entries: [] };
+    this.cls = 0;
+    this.interactions = [];
+    this.interactionCount = 0;
+    this.observers = [];
+    this.cleanup = [];
+  }
+
+  /**
+   * Start measuring, with a collector and if this visit is part of the sample
+   */
+  start() {
+    if (!this.endpoint || !this.sampled || !('PerformanceObserver' in window)) {
+      return;
+    }
+
+    this.observe('paint', entries => this.handlePaint(entries));
+    this.observe('largest-contentful-paint', entries =>
+      this.handleLargestPaint(entries),
+    );
+    if (this.observe('layout-shift', entries => this.handleShifts(entries))) {
+      // No shift at all is the best score, not a missing one
+      this.set('CLS', 0);
+    }
+    this.observe('first-input', entries => this.handleEvents(entries));
+    this.observe('event', entries => this.handleEvents(entries), {
+      durationThreshold: 40,
+    });
+    this.measureTimeToFirstByte();
+
+    this.cleanup.push(
+      // The largest paint is final once the visitor interacts
+      Events.on(window, 'keydown', () => this.stopLargestPaint(), {
+        capture: true,
+        once: true,
+      }),
+      Events.on(window, 'pointerdown', () => this.stopLargestPaint(), {
+        capture: true,
+        once: true,
+      }),
+      Events.on(document, 'visibilitychange', () => {
+        if (document.visibilityState !== 'hidden') return;
+        this.stopLargestPaint();
+        this.flush();
+      }),
+      Events.on(window, 'pagehide', () => this.flush()),
+    );
+  }
+
+  /**
+   * Observe a type of performance entries, past ones included
+   * @param {string} type - Entry type
+   * @param {Function} callback - Called with the new entries
+   * @param {Object} options - Further observe() options
+   * @returns {boolean} - False if the browser does not support the type
+   */
+  observe(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return false;
+
+    const observer = new PerformanceObserver(list =>
+      callback(list.getEntries()),
+    );
+    observer.observe({ type, buffered: true, ...options });
+    this.observers.push(observer);
+    return true;
+  }
+
+  /**
+   * Record the current value of a metric
+   * @param {string} name - Metric name
+   * @param {number} value - Value, in ms (CLS has no unit)
+   * @param {Element|null} element - Element responsible (optional)
+   */
+  set(name, value, element = null) {
+    const rounded =
+      name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+
+    this.metrics[name] = {
+      name,
+      value: rounded,
+      rating: rate(name, rounded),
+      target: DOM.describe(element),
+    };
+  }
+
+  handlePaint(entries) {
+    entries
+      .filter(entry => entry.name === 'first-contentful-paint')
+      .forEach(entry => this.set('FCP', entry.startTime));
+  }
+
+  handleLargestPaint(entries) {
+    if (this.lcpDone || !entries.length) return;
+
+    const entry = entries[entries.length - 1];
+    this.set('LCP', entry.startTime, entry.element);
+  }
+
+  stopLargestPaint() {
+    this.lcpDone = true;
+  }
+
+  // Shifts less than 1 s apart, over 5 s at most, make a session window;
+  // CLS is the largest window
+  handleShifts(entries) {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+
+      const { entries: current } = this.session;
+      const first = current[0];
+      const last = current[current.length - 1];
+
+      if (
+        last &&
+        entry.startTime - last.startTime < 1000 &&
+        entry.startTime - first.startTime < 5000
+      ) {
+        this.session.value += entry.value;
+        current.push(entry);
+      } else {
+        this.session = { value: entry.value, entries: [entry] };
+      }
+
+      if (this.session.value > this.cls) {
+        this.cls = this.session.value;
+        const largest = this.session.entries.reduce((a, b) =>
+          b.value > a.value ? b : a,
+        );
+        const source = (largest.sources || []).find(item => item.node);
+        this.set('CLS', this.cls, source ? source.node : null);
+      }
+    });
+  }
+
+  // INP is the longest interaction, leaving out one in 50 as outliers
+  handleEvents(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+
+      const known = this.interactions.find(
+        item => item.interactionId === entry.interactionId,
+      );
+      if (known && known.duration >= entry.duration) return;
+
+      if (known) {
+        this.interactions.splice(this.interactions.indexOf(known), 1);
+      } else {
+        this.interactionCount++;
+      }
+      this.interactions.push(entry);
+    });
+
+    this.interactions.sort((a, b) => b.duration - a.duration);
+    this.interactions.splice(MAX_INTERACTIONS);
+
+    if (this.interactions.length) {
+      const candidate =
+        this.interactions[
+          Math.min(
+            this.interactions.length - 1,
+            Math.floor(this.interactionCount / 50),
+          )
+        ];
+      this.set('INP', candidate.duration, candidate.target);
+    }
+  }
+
+  measureTimeToFirstByte() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    if (!navigation) return;
+
+    this.navigation = navigation.type;
+    // Prerendered pages count from the moment they were shown
+    this.set(
+      'TTFB',
+      Math.max(navigation.responseStart - (navigation.activationStart || 0), 0),
+    );
+  }
+
+  /**
+   * Whether metrics are sent
+   * @returns {boolean} - True once the visitor has agreed to the analytics
+   *   category, unless the browser opts out
+   */
+  isEnabled() {
+    return !Analytics.isOptedOut() && Consent.has('analytics');
+  }
+
+  /**
+   * Send the metrics that changed since the last report
+   * @returns {boolean} - True if the browser accepted them
+   */
+  flush() {
+    if (!this.endpoint || !this.isEnabled()) return false;
+
+    const metrics = Object.values(this.metrics).filter(
+      metric => this.reported[metric.name] !== metric.value,
+    );
+    if (!metrics.length) return false;
+
+    metrics.forEach(metric => {
+      this.reported[metric.name] = metric.value;
+    });
+    return Data.beacon(this.endpoint, {
+      id: this.id,
+      page: window.location.pathname,
+      navigation: this.navigation,
+      metrics,
+    });
+  }
+
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+  }
+}
+
+export default WebVitals;
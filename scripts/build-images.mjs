@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Responsive image build for L'Île aux Oiseaux website
+ * Generates AVIF, WebP and JPEG variants of the photos under assets/img at
+ * several widths, plus a tiny blurred placeholder for each photo, and writes
+ * a manifest with the matching srcset values. The square icons of
+ * manifest.webmanifest are cut from the og-image.
+ *
+ * Usage: node scripts/build-images.mjs [--force] [folder...]
+ *   folder   only process these folders of assets/img, e.g. activities
+ *   --force  regenerate variants that are already up to date
+ *
+ * Requires sharp, which the site itself does not depend on:
+ *   npm install --no-save sharp
+ *
+ * Output: assets/img/optimized/<folder>/<name>-<width>.<format>,
+ * assets/img/optimized/icons/icon-<size>.png and
+ * assets/img/optimized/manifest.json, all committed since the static host
+ * serves the repository as is. After adding or changing a photo, run this
+ * build, then scripts/build-pages.mjs, which writes the srcsets of every
+ * <picture> from the manifest.
+ */
+
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { basename, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const SOURCE_DIR = join(ROOT, 'assets', 'img');
+const OUTPUT_DIR = join(SOURCE_DIR, 'optimized');
+const MANIFEST = join(OUTPUT_DIR, 'manifest.json');
+
+const SOURCE_TYPES = ['.jpg', '.jpeg', '.png'];
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const PLACEHOLDER_WIDTH = 16;
+
+// Web app icons, from the photo shared on social networks
+const ICON_SOURCE = join(SOURCE_DIR, 'hero', 'og-image.jpg');
+const ICON_DIR = join(OUTPUT_DIR, 'icons');
+const ICON_SIZES = [192, 512];
+
+// A standard width at least this share of the original makes it redundant
+const CLOSE_ENOUGH = 0.75;
+
+// Encoder settings, most efficient format first (the order of <source>s)
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 },
+  jpeg: { quality: 78, mozjpeg: true },
+};
+
+/**
+ * Load sharp, or explain how to install it
+ * @returns {Promise<Function>} - sharp
+ */
+const loadSharp = async() => {
+  try {
+    return (await import('sharp')).default;
+  } catch {
+    console.error('sharp is required: npm install --no-save sharp');
+    process.exit(1);
+  }
+};
+
+/**
+ * List source photos, skipping the output folder
+ * @param {string} dir - Folder
+ * @returns {Promise<string[]>} - Absolute paths
+ */
+const listImages = async dir => {
+  const files = [];
+
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (path !== OUTPUT_DIR) files.push(...(await listImages(path)));
+    } else if (SOURCE_TYPES.includes(extname(entry.name).toLowerCase())) {
+      files.push(path);
+    }
+  }
+  return files.sort();
+};
+
+/**
+ * Whether an output file exists and is newer than its source
+ * @param {string} output - Output path
+ * @param {Date} sourceTime - Source modification time
+ * @returns {Promise<boolean>} - Up to date
+ */
+const isFresh = async(output, sourceTime) => {
+  try {
+    return (await stat(output)).mtime >= sourceTime;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Widths to generate: the standard ones narrower than the photo, plus the
+ * photo's own width when no standard width comes close (small photos are
+ * never upscaled, large ones are not re-encoded at full size)
+ * @param {number} width - Original width
+ * @returns {number[]} - Widths
+ */
+const widthsFor = width => {
+  const widths = WIDTHS.filter(candidate => candidate < width);
+  if (!widths.length || widths[widths.length - 1] < width * CLOSE_ENOUGH) {
+    widths.push(width);
+  }
+  return widths;
+};
+
+/**
+ * Build the variants and manifest entry of one photo
+ * @param {Function} sharp - sharp
+ * @param {string} file - Source path
+ * @param {boolean} force - Regenerate up-to-date variants
+ * @returns {Promise<Object>} - { key, entry, written }
+ */
+const buildImage = async(sharp, file, force) => {
+  const key = relative(SOURCE_DIR, file).split(sep).join('/');
+  const name = basename(file, extname(file));
+  const folder = join(OUTPUT_DIR, relative(SOURCE_DIR, file), '..');
+  const source = await readFile(file);
+  const { mtime } = await stat(file);
+  const metadata = await sharp(source).metadata();
+  // EXIF orientations 5 to 8 swap width and height once rotated
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  await mkdir(folder, { recursive: true });
+
+  const sources = {};
+  let written = 0;
+
+  for (const [format, options] of Object.entries(FORMATS)) {
+    const candidates = [];
+
+    for (const size of widthsFor(width)) {
+      const output = join(
+        folder,
+        `${name}-${size}.${format === 'jpeg' ? 'jpg' : format}`,
+      );
+
+      if (force || !(await isFresh(output, mtime))) {
+        await sharp(source)
+          .rotate()
+          .resize({ width: size, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toFile(output);
+        written++;
+      }
+
+      candidates.push(
+        `${relative(ROOT, output).split(sep).join('/')} ${size}w`,
+      );
+    }
+
+    sources[format] = candidates.join(', ');
+  }
+
+  const placeholder = await sharp(source)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    key,
+    written,
+    entry: {
+      width,
+      height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      sources,
+    },
+  };
+};
+
+/**
+ * Build the square icons of the web app manifest
+ * @param {Function} sharp - sharp
+ * @param {boolean} force - Regenerate up-to-date icons
+ * @returns {Promise<number>} - Icons written
+ */
+const buildIcons = async(sharp, force) => {
+  const source = await readFile(ICON_SOURCE);
+  const { mtime } = await stat(ICON_SOURCE);
+  let written = 0;
+
+  await mkdir(ICON_DIR, { recursive: true });
+
+  for (const size of ICON_SIZES) {
+    const output = join(ICON_DIR, `icon-${size}.png`);
+    if (!force && (await isFresh(output, mtime))) continue;
+
+    // The most detailed square of the photo
+    await sharp(source)
+      .rotate()
+      .resize({
+        width: size,
+        height: size,
+        fit: 'cover',
+        position: sharp.strategy.attention,
+      })
+      .png({ palette: true, quality: 80, compressionLevel: 9 })
+      .toFile(output);
+    written++;
+  }
+
+  return written;
+};
+
+const main = async() => {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const folders = args.filter(arg => !arg.startsWith('--'));
+  const sharp = await loadSharp();
+
+  const files = (await listImages(SOURCE_DIR)).filter(
+    file =>
+      !folders.length ||
+      folders.includes(relative(SOURCE_DIR, file).split(sep)[0]),
+  );
+
+  // Keep entries of folders not processed this time
+  let manifest = {};
+  try {
+    manifest = JSON.parse(await readFile(MANIFEST, 'utf8'));
+  } catch {
+    // First build
+  }
+
+  let written = 0;
+  for (const file of files) {
+    const result = await buildImage(sharp, file, force);
+    manifest[result.key] = result.entry;
+    written += result.written;
+    console.log(`${result.key}: ${result.written} file(s) written`);
+  }
+
+  if (!folders.length || folders.includes('hero')) {
+    const icons = await buildIcons(sharp, force);
+    console.log(`icons: ${icons} file(s) written`);
+  }
+
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  await writeFile(
+    MANIFEST,
+    `${JSON.stringify(
+      Object.fromEntries(Object.entries(manifest).sort()),
+      null,
+      2,
+    )}\n`,
+  );
+
+  console.log(
+    `${files.length} photo(s), ${written} variant(s) written to ${relative(
+      ROOT,
+      OUTPUT_DIR,
+    )}`,
+  );
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
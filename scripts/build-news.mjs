@@ -0,0 +1,508 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * News build for L'Île aux Oiseaux website
+ * Turns the Markdown posts of content/actualites into the actualites.html
+ * listing, one page per post under actualites/, the actualites.xml RSS feed,
+ * and refreshes the news entries of sitemap.xml.
+ *
+ * Usage: node scripts/build-news.mjs
+ *   SITE_URL=https://example.com node scripts/build-news.mjs
+ * Absolute links use the domain of CNAME when SITE_URL is not set.
+ *
+ * Posts are named YYYY-MM-DD-<slug>.md and start with a front matter:
+ *   title, date (YYYY-MM-DD), summary, tags ([a, b]), cover, coverAlt,
+ *   draft (true to leave the post out)
+ * Pages are laid out with content/templates/news.html, with the header and
+ * footer of content/partials (see build-pages.mjs). Generated files are
+ * committed; edit the posts or the template, not the output.
+ */
+
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { basename, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  escapeHtml,
+  parseFrontMatter,
+  renderMarkdown,
+} from './lib/markdown.mjs';
+import { applyPartials, loadSite } from './lib/partials.mjs';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const POSTS_DIR = join(ROOT, 'content', 'actualites');
+const TEMPLATE = join(ROOT, 'content', 'templates', 'news.html');
+const OUTPUT_DIR = join(ROOT, 'actualites');
+const INDEX = join(ROOT, 'actualites.html');
+const FEED = join(ROOT, 'actualites.xml');
+const SITEMAP = join(ROOT, 'sitemap.xml');
+
+// The domain of the GitHub Pages host unless SITE_URL says otherwise
+const SITE_URL = (
+  process.env.SITE_URL ||
+  `https://${(await readFile(join(ROOT, 'CNAME'), 'utf8')).trim()}`
+).replace(/\/$/, '');
+const SITE_NAME = 'L\'Île aux Oiseaux';
+const DESCRIPTION =
+  'Les actualités de L\'Île aux Oiseaux : vie de l\'école, sorties, périscolaire, cantine et fermetures.';
+const GENERATED =
+  'Généré par scripts/build-news.mjs à partir de content/actualites : ne pas modifier.';
+
+// Posts per page on the listing (see NewsFeed)
+const PAGE_SIZE = 4;
+const REQUIRED_FIELDS = ['title', 'date', 'summary'];
+
+/**
+ * URL-safe identifier: "Vie de l'école" becomes "vie-de-l-ecole"
+ * @param {string} text - Text
+ * @returns {string} - Slug
+ */
+const slugify = text =>
+  text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Parse a YYYY-MM-DD date as midnight UTC
+ * @param {string} value - Date
+ * @returns {Date} - Date
+ */
+const parseDate = value => new Date(`${value}T00:00:00Z`);
+
+/**
+ * Date as read on the French pages, e.g. "14 septembre 2026"
+ * @param {string} value - YYYY-MM-DD
+ * @returns {string} - Formatted date
+ */
+const formatDate = value =>
+  new Intl.DateTimeFormat('fr-FR', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  }).format(parseDate(value));
+
+/**
+ * Indent every non-empty line of a block
+ * @param {string} text - Text
+ * @param {number} spaces - Indentation
+ * @returns {string} - Indented text
+ */
+const indent = (text, spaces) =>
+  text
+    .split('\n')
+    .map(line => (line ? `${' '.repeat(spaces)}${line}` : line))
+    .join('\n');
+
+/**
+ * Read, check and sort the published posts, newest first
+ * @returns {Promise<Object[]>} - Posts
+ */
+const loadPosts = async() => {
+  const posts = [];
+
+  for (const file of (await readdir(POSTS_DIR)).sort()) {
+    if (!file.endsWith('.md')) continue;
+
+    const source = await readFile(join(POSTS_DIR, file), 'utf8');
+    const { data, body } = parseFrontMatter(source);
+    const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+
+    if (missing.length) {
+      throw new Error(`${file}: missing ${missing.join(', ')}`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date)) {
+      throw new Error(`${file}: date must be YYYY-MM-DD, got "${data.date}"`);
+    }
+    if (data.draft === true) continue;
+
+    const tags = Array.isArray(data.tags) ? data.tags : [data.tags];
+    posts.push({
+      ...data,
+      slug: basename(file, '.md'),
+      tags: tags
+        .filter(Boolean)
+        .map(label => ({ label, slug: slugify(label) })),
+      body,
+    });
+  }
+
+  return posts.sort(
+    (a, b) => b.date.localeCompare(a.date) || b.slug.localeCompare(a.slug),
+  );
+};
+
+/**
+ * Fill the page template and its partials
+ * @param {Object} layout - { template, site }
+ * @param {Object} values - Placeholder values
+ * @returns {string} - HTML
+ */
+const renderPage = ({ template, site }, values) =>
+  applyPartials(
+    template.replace(/\{\{(\w+)\}\}/g, (_, name) => values[name] ?? ''),
+    site,
+    { page: site.data.pages['actualites.html'], root: values.root },
+  ).html;
+
+/**
+ * Breadcrumb trail; the last step is the current page
+ * @param {Object[]} steps - { label, href }
+ * @returns {string} - HTML
+ */
+const renderBreadcrumb = steps =>
+  steps
+    .map((step, index) =>
+      index === steps.length - 1
+        ? `<div class="breadcrumb__item">
+  <span class="breadcrumb__current">${escapeHtml(step.label)}</span>
+</div>`
+        : `<div class="breadcrumb__item">
+  <a href="${step.href}" class="breadcrumb__link">${escapeHtml(step.label)}</a>
+</div>
+<span class="breadcrumb__separator" aria-hidden="true">/</span>`,
+    )
+    .join('\n');
+
+/**
+ * Tag links; they open the listing filtered on the tag
+ * @param {Object[]} tags - Tags
+ * @param {string} root - Path to the site root
+ * @returns {string} - HTML
+ */
+const renderTags = (tags, root) =>
+  tags.length
+    ? `<ul class="news-tags" aria-label="Thèmes">
+${tags
+    .map(
+      tag => `  <li>
+    <a
+      href="${root}actualites.html?tag=${tag.slug}"
+      class="news-tag"
+      data-news-tag="${tag.slug}"
+      >${escapeHtml(tag.label)}</a
+    >
+  </li>`,
+    )
+    .join('\n')}
+</ul>`
+    : '';
+
+/**
+ * Post card of the listing
+ * @param {Object} post - Post
+ * @returns {string} - HTML
+ */
+const renderCard = post => {
+  const href = `actualites/${post.slug}.html`;
+  const cover = post.cover
+    ? `<a
+  href="${href}"
+  class="news-card__media"
+  tabindex="-1"
+  aria-hidden="true"
+>
+  <img
+    src="${escapeHtml(post.cover)}"
+    alt=""
+    class="news-card__image"
+    loading="lazy"
+  />
+</a>
+`
+    : '';
+
+  return `<article
+  class="news-card"
+  data-news-card
+  data-tags="${post.tags.map(tag => tag.slug).join(' ')}"
+  data-date="${post.date}"
+>
+${indent(cover, 2)}  <div class="news-card__body">
+    <time class="news-card__date" datetime="${post.date}"
+      >${formatDate(post.date)}</time
+    >
+    <h2 class="news-card__title">
+      <a href="${href}" class="news-card__link">${escapeHtml(post.title)}</a>
+    </h2>
+    <p class="news-card__summary">${escapeHtml(post.summary)}</p>
+${indent(renderTags(post.tags, ''), 4)}
+  </div>
+</article>`;
+};
+
+/**
+ * The actualites.html listing
+ * @param {Object} layout - { template, site }
+ * @param {Object[]} posts - Posts, newest first
+ * @returns {string} - HTML
+ */
+const renderIndex = (layout, posts) => {
+  const content = `<!-- Hero Section -->
+<section class="section">
+  <div class="container">
+    <div class="section__header">
+      <h1 class="section__title">Actualités</h1>
+      <p class="section__description">
+        Événements, sorties, fermetures et vie de l'école : toutes les
+        nouvelles de la crèche et du périscolaire.
+      </p>
+      <a href="actualites.xml" class="news-rss" type="application/rss+xml"
+        >S'abonner au flux RSS</a
+      >
+    </div>
+  </div>
+</section>
+
+<!-- News -->
+<section class="section section--alt" id="actualites">
+  <div class="container">
+    <div class="news-feed" data-news-feed data-component="news-feed" data-page-size="${PAGE_SIZE}">
+      <div class="news-feed__list">
+${posts.map(post => indent(renderCard(post), 8)).join('\n\n')}
+      </div>
+    </div>
+  </div>
+</section>`;
+
+  return renderPage(layout, {
+    generated: GENERATED,
+    root: '',
+    title: `Actualités - ${SITE_NAME} | Crèche et Périscolaire`,
+    description: DESCRIPTION,
+    canonical: `${SITE_URL}/actualites.html`,
+    head: indent(renderHead(''), 4),
+    breadcrumb: indent(
+      renderBreadcrumb([
+        { label: 'Accueil', href: 'index.html' },
+        { label: 'Actualités' },
+      ]),
+      8,
+    ),
+    content: indent(content, 6),
+  });
+};
+
+/**
+ * Extra <head> tags shared by the news pages
+ * @param {string} root - Path to the site root
+ * @returns {string} - HTML
+ */
+const renderHead = root => `<link
+  rel="alternate"
+  type="application/rss+xml"
+  title="Actualités - ${SITE_NAME}"
+  href="${root}actualites.xml"
+/>`;
+
+/**
+ * Link to a neighbouring post
+ * @param {Object} post - Post
+ * @param {string} rel - "prev" or "next"
+ * @param {string} label - Visible label
+ * @returns {string} - HTML
+ */
+const renderSibling = (post, rel, label) => `<a
+  href="${post.slug}.html"
+  class="news-post__sibling news-post__sibling--${rel}"
+  rel="${rel}"
+>
+  <span class="news-post__sibling-label">${label}</span>
+  <span class="news-post__sibling-title">${escapeHtml(post.title)}</span>
+</a>`;
+
+/**
+ * Page of one post
+ * @param {Object} layout - { template, site }
+ * @param {Object} post - Post
+ * @param {Object} newer - Next post in time, if any
+ * @param {Object} older - Previous post in time, if any
+ * @returns {string} - HTML
+ */
+const renderPost = (layout, post, newer, older) => {
+  const root = '../';
+  const siblings = [
+    older && renderSibling(older, 'prev', '← Actualité précédente'),
+    newer && renderSibling(newer, 'next', 'Actualité suivante →'),
+  ].filter(Boolean);
+
+  const cover = post.cover
+    ? `
+  <img
+    src="${root}${escapeHtml(post.cover)}"
+    alt="${escapeHtml(post.coverAlt || '')}"
+    class="news-post__cover"
+  />`
+    : '';
+
+  const content = `<article class="section news-post">
+  <div class="container">
+    <header class="news-post__header">
+      <time class="news-post__date" datetime="${post.date}"
+        >${formatDate(post.date)}</time
+      >
+      <h1 class="news-post__title">${escapeHtml(post.title)}</h1>
+${indent(renderTags(post.tags, root), 6)}
+    </header>
+${indent(cover, 2)}
+    <div class="news-post__content">
+${indent(renderMarkdown(post.body, { root }), 6)}
+    </div>
+${
+  siblings.length
+    ? `
+    <nav class="news-post__siblings" aria-label="Autres actualités">
+${indent(siblings.join('\n'), 6)}
+    </nav>
+`
+    : ''
+}
+    <a href="${root}actualites.html" class="btn btn--secondary"
+      >Toutes les actualités</a
+    >
+  </div>
+</article>`;
+
+  return renderPage(layout, {
+    generated: GENERATED,
+    root,
+    title: `${escapeHtml(post.title)} - ${SITE_NAME}`,
+    description: escapeHtml(post.summary),
+    canonical: `${SITE_URL}/actualites/${post.slug}.html`,
+    head: indent(renderHead(root), 4),
+    breadcrumb: indent(
+      renderBreadcrumb([
+        { label: 'Accueil', href: `${root}index.html` },
+        { label: 'Actualités', href: `${root}actualites.html` },
+        { label: post.title },
+      ]),
+      8,
+    ),
+    content: indent(content, 6),
+  });
+};
+
+/**
+ * RSS 2.0 feed with the full content of each post
+ * @param {Object[]} posts - Posts, newest first
+ * @returns {string} - XML
+ */
+const renderFeed = posts => {
+  const items = posts.map(post => {
+    const link = `${SITE_URL}/actualites/${post.slug}.html`;
+    const content = renderMarkdown(post.body, { root: `${SITE_URL}/` });
+
+    return `    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${link}</link>
+      <guid isPermaLink="true">${link}</guid>
+      <pubDate>${parseDate(post.date).toUTCString()}</pubDate>
+${post.tags
+    .map(tag => `      <category>${escapeHtml(tag.label)}</category>\n`)
+    .join('')}      <description>${escapeHtml(post.summary)}</description>
+      <content:encoded><![CDATA[${content}]]></content:encoded>
+    </item>`;
+  });
+
+  // Dated from the newest post, so rebuilding without changes is a no-op
+  const updated = posts.length
+    ? parseDate(posts[0].date).toUTCString()
+    : new Date(0).toUTCString();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss
+  version="2.0"
+  xmlns:atom="http://www.w3.org/2005/Atom"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+>
+  <channel>
+    <title>Actualités - ${escapeHtml(SITE_NAME)}</title>
+    <link>${SITE_URL}/actualites.html</link>
+    <description>${escapeHtml(DESCRIPTION)}</description>
+    <language>fr</language>
+    <lastBuildDate>${updated}</lastBuildDate>
+    <atom:link
+      href="${SITE_URL}/actualites.xml"
+      rel="self"
+      type="application/rss+xml"
+    />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Replace the post entries of the sitemap and date the listing from the
+ * newest post; other entries are left as they are
+ * @param {string} sitemap - sitemap.xml
+ * @param {Object[]} posts - Posts, newest first
+ * @returns {string} - sitemap.xml
+ */
+const updateSitemap = (sitemap, posts) => {
+  const entries = (sitemap.match(/ {2}<url>[\s\S]*?<\/url>\n/g) || [])
+    .filter(entry => !entry.includes('/actualites/'))
+    .map(entry =>
+      posts.length && entry.includes('/actualites.html</loc>')
+        ? entry.replace(
+          /<lastmod>[^<]*<\/lastmod>/,
+          `<lastmod>${posts[0].date}</lastmod>`,
+        )
+        : entry,
+    );
+
+  posts.forEach(post => {
+    entries.push(`  <url>
+    <loc>${SITE_URL}/actualites/${post.slug}.html</loc>
+    <lastmod>${post.updated || post.date}</lastmod>
+    <changefreq>yearly</changefreq>
+    <priority>0.5</priority>
+  </url>
+`);
+  });
+
+  const start = sitemap.indexOf('  <url>');
+  const end = sitemap.lastIndexOf('</urlset>');
+  return `${sitemap.slice(0, start)}${entries.join('')}${sitemap.slice(end)}`;
+};
+
+const main = async() => {
+  const layout = {
+    template: await readFile(TEMPLATE, 'utf8'),
+    site: await loadSite(ROOT),
+  };
+  const posts = await loadPosts();
+
+  // Start from an empty folder so removed posts disappear
+  await rm(OUTPUT_DIR, { recursive: true, force: true });
+  await mkdir(OUTPUT_DIR, { recursive: true });
+
+  for (const [index, post] of posts.entries()) {
+    await writeFile(
+      join(OUTPUT_DIR, `${post.slug}.html`),
+      renderPost(layout, post, posts[index - 1], posts[index + 1]),
+    );
+  }
+
+  await writeFile(INDEX, renderIndex(layout, posts));
+  await writeFile(FEED, renderFeed(posts));
+  await writeFile(
+    SITEMAP,
+    updateSitemap(await readFile(SITEMAP, 'utf8'), posts),
+  );
+
+  console.log(
+    `${posts.length} post(s) written to ${relative(ROOT, OUTPUT_DIR)}, ` +
+      `with ${relative(ROOT, INDEX)}, ${relative(ROOT, FEED)} and ` +
+      `${relative(ROOT, SITEMAP)}`,
+  );
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
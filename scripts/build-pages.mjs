@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Page build for L'Île aux Oiseaux website
+ * Writes the shared parts of content/partials into every page listed in
+ * content/site.json: the display preferences script of the <head>, the
+ * header and the footer, between their <!-- partial:name --> markers, with
+ * the page's nav item marked active, the prices of assets/data/tarifs.json
+ * into the elements with a data-tarif-price attribute, and the srcsets of
+ * the photo variants (see scripts/build-images.mjs) into each <picture>.
+ *
+ * Usage: node scripts/build-pages.mjs
+ *   node scripts/build-pages.mjs --check
+ *
+ * --check writes nothing and fails when a page is out of date. Both modes
+ * fail when a page is not listed in site.json, lacks its markers, has a
+ * canonical URL that does not match its file, links to a missing file or
+ * shows a price or a photo missing from the builds.
+ * The news posts of actualites/ are built by scripts/build-news.mjs and
+ * only checked here.
+ */
+
+import { access, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { applyImages, loadManifest } from './lib/images.mjs';
+import { applyPartials, loadSite } from './lib/partials.mjs';
+import { applyPrices, loadTarifs } from './lib/tarifs.mjs';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const CHECK = process.argv.includes('--check');
+const PARTIALS = ['preferences', 'header', 'footer'];
+
+// Generated pages in sub-folders, and the page whose header and footer they
+// share; they are only checked, rebuilding them is up to their own build
+const FOLDERS = { actualites: 'actualites.html' };
+
+/**
+ * Whether a file exists
+ * @param {string} path - Path
+ * @returns {Promise<boolean>} - True if it exists
+ */
+const exists = path =>
+  access(path).then(
+    () => true,
+    () => false,
+  );
+
+/**
+ * Problems of a built page that the build cannot fix
+ * @param {string} file - Page file name
+ * @param {string} html - Built page
+ * @returns {Promise<string[]>} - Problems
+ */
+const validate = async(file, html) => {
+  const problems = [];
+
+  const canonical = html.match(/<link\s+rel="canonical"\s+href="([^"]*)"/);
+  const expected = file === 'index.html' ? '/' : `/${file}`;
+  if (!canonical) {
+    problems.push('no canonical URL');
+  } else if (!new URL(canonical[1]).pathname.endsWith(expected)) {
+    problems.push(`canonical URL ${canonical[1]} does not match the file`);
+  }
+
+  // Local links and assets, without their query string and fragment, and
+  // the candidates of srcsets
+  const candidates = Array.from(
+    html.matchAll(/\s(?:data-)?srcset="([^"]*)"/g),
+    match => match[1].split(','),
+  )
+    .flat()
+    .map(candidate => candidate.trim().split(/\s/)[0])
+    .filter(Boolean);
+  const targets = new Set(
+    Array.from(html.matchAll(/\s(?:href|src)="([^"#?]+)/g), match => match[1])
+      .concat(candidates)
+      .filter(url => !/^([a-z]+:|\/)/i.test(url))
+      .map(url => decodeURI(url)),
+  );
+  for (const target of targets) {
+    if (!(await exists(join(ROOT, dirname(file), target)))) {
+      problems.push(`broken link to ${target}`);
+    }
+  }
+
+  return problems;
+};
+
+const main = async() => {
+  const site = await loadSite(ROOT);
+  const tarifs = await loadTarifs(ROOT);
+  const images = await loadManifest(ROOT);
+  const files = (await readdir(ROOT)).filter(file => file.endsWith('.html'));
+  const generated = [];
+  for (const [folder, page] of Object.entries(FOLDERS)) {
+    (await readdir(join(ROOT, folder)))
+      .filter(file => file.endsWith('.html'))
+      .forEach(file => generated.push({ file: `${folder}/${file}`, page }));
+  }
+  const problems = [];
+  let checked = 0;
+  let updated = 0;
+
+  Object.keys(site.data.pages)
+    .filter(file => !files.includes(file))
+    .forEach(file => problems.push(`${file}: listed in site.json, not found`));
+
+  for (const file of files.sort()) {
+    const html = await readFile(join(ROOT, file), 'utf8');
+    const page = site.data.pages[file];
+
+    if (!html.trim()) {
+      console.warn(`${file}: empty, skipped`);
+      continue;
+    }
+    if (!page) {
+      problems.push(`${file}: not listed in content/site.json`);
+      continue;
+    }
+
+    checked++;
+    const output = applyPartials(html, site, { page });
+    PARTIALS.filter(name => !output.names.includes(name)).forEach(name =>
+      problems.push(`${file}: no <!-- partial:${name} --> marker`),
+    );
+    const prices = applyPrices(output.html, tarifs);
+    prices.missing.forEach(path =>
+      problems.push(`${file}: no price ${path} in assets/data/tarifs.json`),
+    );
+    const pictures = applyImages(prices.html, images);
+    pictures.missing.forEach(src =>
+      problems.push(`${file}: no variants of ${src}, run build-images.mjs`),
+    );
+    (await validate(file, pictures.html)).forEach(problem =>
+      problems.push(`${file}: ${problem}`),
+    );
+
+    if (pictures.html === html) continue;
+    if (CHECK) {
+      problems.push(`${file}: out of date, run node scripts/build-pages.mjs`);
+    } else {
+      await writeFile(join(ROOT, file), pictures.html);
+      updated++;
+    }
+  }
+
+  for (const { file, page } of generated) {
+    const html = await readFile(join(ROOT, file), 'utf8');
+    const output = applyPartials(html, site, {
+      page: site.data.pages[page],
+      root: '../',
+    });
+
+    checked++;
+    (await validate(file, output.html)).forEach(problem =>
+      problems.push(`${file}: ${problem}`),
+    );
+    if (output.html !== html) {
+      problems.push(`${file}: out of date, run its build script`);
+    }
+  }
+
+  if (problems.length) {
+    problems.forEach(problem => console.error(problem));
+    process.exit(1);
+  }
+
+  console.log(
+    CHECK ? `${checked} page(s) up to date` : `${updated} page(s) updated`,
+  );
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
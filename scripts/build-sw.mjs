@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Service worker build for L'Île aux Oiseaux website
+ * Writes the precache list of sw.js between its // precache:start and
+ * // precache:end markers: the pages (news posts included), the stylesheets
+ * they link to, the scripts imported from assets/js/main.js, the manifest,
+ * its icons and the favicon, then the data files of assets/data the
+ * components load.
+ * The version is a hash of their content, so any change installs a new
+ * worker and offers visitors the update.
+ *
+ * Usage: node scripts/build-sw.mjs
+ *   node scripts/build-sw.mjs --check
+ *
+ * --check writes nothing and fails when sw.js is out of date.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, posix, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const WORKER = join(ROOT, 'sw.js');
+const CHECK = process.argv.includes('--check');
+const ENTRY = 'assets/js/main.js';
+const EXTRA = [
+  'manifest.webmanifest',
+  'favicon.ico',
+  // Icons of the manifest (see scripts/build-images.mjs)
+  'assets/img/optimized/icons/icon-192.png',
+  'assets/img/optimized/icons/icon-512.png',
+];
+const DATA = 'assets/data';
+const MARKERS = /\/\/ precache:start\n[\s\S]*?\/\/ precache:end/;
+
+/**
+ * Non-empty pages of a folder
+ * @param {string} folder - Folder, relative to the root
+ * @returns {Promise<string[]>} - Paths relative to the root
+ */
+const listPages = async folder => {
+  const pages = [];
+  for (const file of (await readdir(join(ROOT, folder))).sort()) {
+    const path = posix.join(folder, file);
+    if (
+      file.endsWith('.html') &&
+      (await readFile(join(ROOT, path), 'utf8')).trim()
+    ) {
+      pages.push(path);
+    }
+  }
+  return pages;
+};
+
+/**
+ * Data files the components load (FAQ, menus, planning, tarifs, visits)
+ * @returns {Promise<string[]>} - Paths relative to the root
+ */
+const listData = async() =>
+  (await readdir(join(ROOT, DATA)))
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => posix.join(DATA, file));
+
+/**
+ * Stylesheets linked from pages
+ * @param {string[]} pages - Paths relative to the root
+ * @returns {Promise<string[]>} - Paths relative to the root
+ */
+const listStylesheets = async pages => {
+  const sheets = new Set();
+  for (const page of pages) {
+    const html = await readFile(join(ROOT, page), 'utf8');
+    for (const [, href] of html.matchAll(
+      /<link[^>]*rel="stylesheet"[^>]*href="([^"]+)"/g,
+    )) {
+      if (!/^([a-z]+:|\/\/)/i.test(href)) {
+        sheets.add(posix.normalize(posix.join(posix.dirname(page), href)));
+      }
+    }
+  }
+  return [...sheets].sort();
+};
+
+/**
+ * A module and everything it imports, statically or with import()
+ * @param {string} entry - Path relative to the root
+ * @returns {Promise<string[]>} - Paths relative to the root
+ */
+const listModules = async entry => {
+  const modules = new Set();
+  const visit = async path => {
+    if (modules.has(path)) return;
+    modules.add(path);
+
+    const source = await readFile(join(ROOT, path), 'utf8');
+    const imports = source.matchAll(
+      /(?:\bfrom\s*|\bimport\s*\(?\s*)'(\.{1,2}\/[^']+)'/g,
+    );
+    for (const [, specifier] of imports) {
+      await visit(posix.join(posix.dirname(path), specifier));
+    }
+  };
+
+  await visit(entry);
+  return [...modules].sort();
+};
+
+const main = async() => {
+  const pages = [...(await listPages('.')), ...(await listPages('actualites'))];
+  const files = [
+    ...pages,
+    ...(await listStylesheets(pages)),
+    ...(await listModules(ENTRY)),
+    ...EXTRA,
+  ];
+  const data = await listData();
+
+  const hash = createHash('sha256');
+  for (const file of [...files, ...data]) {
+    hash.update(file);
+    hash.update(await readFile(join(ROOT, file)));
+  }
+
+  // The root URL is the home page too
+  const urls = ['./', ...files];
+  const block = `// precache:start
+const VERSION = '${hash.digest('hex').slice(0, 12)}';
+const PRECACHE = [
+${urls.map(url => `  '${url}',`).join('\n')}
+];
+const PRECACHE_DATA = [
+${data.map(url => `  '${url}',`).join('\n')}
+];
+// precache:end`;
+
+  const worker = await readFile(WORKER, 'utf8');
+  if (!MARKERS.test(worker)) {
+    console.error('sw.js: no precache markers');
+    process.exit(1);
+  }
+
+  const output = worker.replace(MARKERS, block);
+  if (output === worker) {
+    console.log(`sw.js up to date (${urls.length + data.length} files)`);
+  } else if (CHECK) {
+    console.error('sw.js: out of date, run node scripts/build-sw.mjs');
+    process.exit(1);
+  } else {
+    await writeFile(WORKER, output);
+    console.log(`sw.js updated (${urls.length + data.length} files)`);
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Local development server for L'Île aux Oiseaux website
+ * Serves the static site and stands in for the backend endpoints so forms
+ * can be tested offline.
+ *
+ * Usage: node scripts/dev-server.mjs [port]
+ *
+ * The pages have no endpoint on the static host and send their forms by
+ * mail; give a form data-endpoint (e.g. "/api/contact") to send it here.
+ * Such a form keeps what it cannot send offline in the outbox; add an
+ * element with data-component="outbox-status" to its page to list it.
+ *
+ * GET /api/visites answers the visit availability of
+ * assets/data/visites.json with the slots booked through POST /api/visites,
+ * which refuses a slot already taken with 409.
+ *
+ * POST /api/analytics collects the audience events of assets/js/analytics.js
+ * in logs/analytics.ndjson; GET /api/analytics answers their counts and
+ * /analytics shows them as a dashboard. The pages send them once <html> has
+ * data-analytics-endpoint="/api/analytics".
+ *
+ * POST /api/vitals collects the Web Vitals of assets/js/vitals.js in
+ * logs/vitals.ndjson; GET /api/vitals answers their 75th percentiles. The
+ * pages send them once <html> has data-vitals-endpoint="/api/vitals".
+ *
+ * POST /api/errors collects the error reports of assets/js/errors.js in
+ * logs/errors.ndjson; GET /api/errors answers them grouped by fingerprint.
+ * The pages send them once <html> has data-errors-endpoint="/api/errors".
+ *
+ * The POST endpoints accept two query parameters to reproduce failures:
+ *   ?delay=15000  answer after the given number of milliseconds
+ *   ?status=503   answer with the given HTTP status
+ */
+
+import { createServer } from 'node:http';
+import { appendFile, mkdir, readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { aggregate, renderDashboard, sanitize } from './lib/analytics.mjs';
+import {
+  sanitize as sanitizeVitals,
+  summarize as summarizeVitals,
+} from './lib/vitals.mjs';
+import {
+  sanitize as sanitizeErrors,
+  summarize as summarizeErrors,
+} from './lib/errors.mjs';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const LOG_DIR = join(ROOT, 'logs');
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8000', 10);
+const MAX_BODY_SIZE = 100 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+};
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<any>} - Parsed body
+ */
+const readJson = req =>
+  new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(Object.assign(error, { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+
+/**
+ * Append a record to an NDJSON file under logs/
+ * @param {string} name - File name
+ * @param {Object} record - Record to store
+ */
+const appendRecord = async(name, record) => {
+  await mkdir(LOG_DIR, { recursive: true });
+  await appendFile(join(LOG_DIR, name), `${JSON.stringify(record)}\n`);
+};
+
+const wait = ms => new Promise(done => setTimeout(done, ms));
+
+/**
+ * Stand-in for a form endpoint: checks the required fields and appends the
+ * submission to logs/<name>.ndjson
+ * @param {string} name - Form name, used for the log file and console
+ * @param {string[]} required - Fields that must be filled
+ * @param {Function} check - Further check of the data, resolving to
+ *   { status, error } to refuse it (optional)
+ * @returns {Function} - Route handler
+ */
+const formHandler =
+  (name, required, check = async() => null) =>
+    async(req, res, url) => {
+      const delay = parseInt(url.searchParams.get('delay'), 10);
+      const status = parseInt(url.searchParams.get('status'), 10);
+
+      if (delay > 0) await wait(delay);
+      if (status >= 400) {
+        sendJson(res, status, { ok: false, error: 'Simulated failure' });
+        return;
+      }
+
+      const data = await readJson(req);
+      const missing = required.filter(field => !data[field]);
+
+      if (missing.length) {
+        sendJson(res, 422, { ok: false, errors: missing });
+        return;
+      }
+
+      const refusal = await check(data);
+      if (refusal) {
+        sendJson(res, refusal.status, { ok: false, error: refusal.error });
+        return;
+      }
+
+      const id = Date.now().toString(36);
+      await appendRecord(`${name}.ndjson`, {
+        id,
+        receivedAt: new Date().toISOString(),
+        data,
+      });
+      console.log(`${name} request ${id} from ${data['parent-name']}`);
+      sendJson(res, 201, { ok: true, id });
+    };
+
+/**
+ * Visit availability with the slots booked on this server
+ * @returns {Promise<Object>} - Availability, as in assets/data/visites.json
+ */
+const readAvailability = async() => {
+  const availability = JSON.parse(
+    await readFile(join(ROOT, 'assets', 'data', 'visites.json'), 'utf8'),
+  );
+  const log = await readFile(join(LOG_DIR, 'visites.ndjson'), 'utf8').catch(
+    () => '',
+  );
+
+  log
+    .split('\n')
+    .filter(Boolean)
+    .forEach(line => availability.booked.push(JSON.parse(line).data.slot));
+  return availability;
+};
+
+/**
+ * Refuse slots that are not offered (422) or already booked (409)
+ * @param {Object} data - Booking
+ * @returns {Promise<Object|null>} - { status, error } or null
+ */
+const checkSlot = async data => {
+  const availability = await readAvailability();
+  const [date, time] = String(data.slot).split('T');
+  const weekday = new Intl.DateTimeFormat('en-US', {
+    weekday: 'long',
+    timeZone: 'UTC',
+  })
+    .format(new Date(`${date}T00:00:00Z`))
+    .toLowerCase();
+  const offered =
+    (availability.days[weekday] || []).includes(time) &&
+    !availability.holidays.some(holiday => holiday.date === date) &&
+    date >= new Date().toISOString().slice(0, 10);
+
+  if (!offered) return { status: 422, error: 'Slot not offered' };
+  if (availability.booked.includes(data.slot)) {
+    return { status: 409, error: 'Slot already booked' };
+  }
+  return null;
+};
+
+/**
+ * GET /api/visites - visit availability
+ */
+const handleAvailability = async(req, res) => {
+  sendJson(res, 200, await readAvailability());
+};
+
+/**
+ * POST /api/analytics - batch of audience events, sent with sendBeacon
+ */
+const handleAnalytics = async(req, res) => {
+  const { events } = await readJson(req);
+  const valid = sanitize(events);
+
+  for (const event of valid) {
+    await appendRecord('analytics.ndjson', event);
+  }
+  res.writeHead(204).end();
+};
+
+/**
+ * Counts of the collected audience events
+ * @returns {Promise<Object>} - From aggregate()
+ */
+const readAnalytics = async() => {
+  const log = await readFile(join(LOG_DIR, 'analytics.ndjson'), 'utf8').catch(
+    () => '',
+  );
+
+  return aggregate(
+    log
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line)),
+  );
+};
+
+/**
+ * GET /analytics - dashboard of the audience counts
+ */
+const handleDashboard = async(req, res) => {
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES['.html'],
+    'Cache-Control': 'no-cache',
+  });
+  res.end(renderDashboard(await readAnalytics()));
+};
+
+/**
+ * POST /api/vitals - Web Vitals of a page view, sent with sendBeacon
+ */
+const handleVitals = async(req, res) => {
+  for (const record of sanitizeVitals(await readJson(req))) {
+    await appendRecord('vitals.ndjson', record);
+  }
+  res.writeHead(204).end();
+};
+
+/**
+ * GET /api/vitals - summary of the collected Web Vitals
+ */
+const handleVitalsSummary = async(req, res) => {
+  const log = await readFile(join(LOG_DIR, 'vitals.ndjson'), 'utf8').catch(
+    () => '',
+  );
+
+  sendJson(
+    res,
+    200,
+    summarizeVitals(
+      log
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line)),
+    ),
+  );
+};
+
+/**
+ * POST /api/errors - client error reports, sent with sendBeacon
+ */
+const handleErrors = async(req, res) => {
+  const records = sanitizeErrors(await readJson(req));
+
+  for (const record of records) {
+    await appendRecord('errors.ndjson', record);
+    console.log(
+      `error ${record.fingerprint} on ${record.page}: ${record.message}`,
+    );
+  }
+  res.writeHead(204).end();
+};
+
+/**
+ * GET /api/errors - collected errors, grouped by fingerprint
+ */
+const handleErrorsSummary = async(req, res) => {
+  const log = await readFile(join(LOG_DIR, 'errors.ndjson'), 'utf8').catch(
+    () => '',
+  );
+
+  sendJson(
+    res,
+    200,
+    summarizeErrors(
+      log
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line)),
+    ),
+  );
+};
+
+const routes = {
+  'POST /api/contact': formHandler('contact', [
+    'parent-name',
+    'phone',
+    'email',
+    'message',
+  ]),
+  'POST /api/inscription': formHandler('inscription', [
+    'parent-name',
+    'phone',
+    'email',
+    'child-1-firstname',
+    'start-date',
+    'program',
+  ]),
+  'GET /api/visites': handleAvailability,
+  'POST /api/visites': formHandler(
+    'visites',
+    ['slot', 'parent-name', 'phone', 'email'],
+    checkSlot,
+  ),
+  'POST /api/analytics': handleAnalytics,
+  'GET /api/analytics': async(req, res) =>
+    sendJson(res, 200, await readAnalytics()),
+  'GET /analytics': handleDashboard,
+  'POST /api/vitals': handleVitals,
+  'GET /api/vitals': handleVitalsSummary,
+  'POST /api/errors': handleErrors,
+  'GET /api/errors': handleErrorsSummary,
+};
+
+/**
+ * Serve a file from the site root
+ */
+const serveStatic = async(req, res, url) => {
+  const pathname = decodeURIComponent(url.pathname);
+  const filePath = normalize(join(ROOT, pathname));
+  const isWithin = dir => filePath === dir || filePath.startsWith(dir + sep);
+
+  // The logs hold what visitors sent, never serve them
+  if (!isWithin(ROOT) || isWithin(LOG_DIR)) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const info = await stat(filePath);
+    const target = info.isDirectory() ? join(filePath, 'index.html') : filePath;
+    const body = await readFile(target);
+    res.writeHead(200, {
+      'Content-Type':
+        MIME_TYPES[extname(target).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  }
+};
+
+const server = createServer(async(req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const handler = routes[`${req.method} ${url.pathname}`];
+
+  try {
+    if (handler) {
+      await handler(req, res, url);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      await serveStatic(req, res, url);
+    } else {
+      sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error(`${req.method} ${url.pathname} failed:`, error.message);
+    if (!res.headersSent) {
+      sendJson(res, error.status || 500, { ok: false, error: error.message });
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`L'Île aux Oiseaux dev server: http://localhost:${PORT}`);
+});
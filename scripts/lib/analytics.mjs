@@ -0,0 +1,140 @@
+/* eslint-env node */
+
+/**
+ * Audience counts of the site
+ * Checks the events sent by assets/js/analytics.js, adds them up and renders
+ * the counts as a small HTML dashboard.
+ */
+
+import { escapeHtml } from './markdown.mjs';
+
+const TYPES = ['pageview', 'contact', 'form'];
+const CHANNELS = ['whatsapp', 'phone', 'email'];
+const MAX_LENGTH = 80;
+
+const isText = value =>
+  typeof value === 'string' && value.length > 0 && value.length <= MAX_LENGTH;
+
+/**
+ * Keep the well-formed events, with only the fields the site sends, so
+ * nothing else can end up in the logs
+ * @param {Object[]} events - Events as received
+ * @returns {Object[]} - { type, page, date, channel?, form?, step? }
+ */
+export const sanitize = events =>
+  (Array.isArray(events) ? events : [])
+    .filter(
+      event =>
+        event &&
+        TYPES.includes(event.type) &&
+        isText(event.page) &&
+        /^\d{4}-\d{2}-\d{2}$/.test(event.date),
+    )
+    .map(({ type, page, date, channel, form, step }) => {
+      if (type === 'contact') {
+        return CHANNELS.includes(channel)
+          ? { type, page, date, channel }
+          : null;
+      }
+      if (type === 'form') {
+        return isText(form) && isText(step)
+          ? { type, page, date, form, step }
+          : null;
+      }
+      return { type, page, date };
+    })
+    .filter(Boolean);
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Add events up
+ * @param {Object[]} events - Sanitized events
+ * @returns {Object} - { total, pages, days, contacts, forms }; forms maps each
+ *   form to the count of each step, in the order steps were first seen
+ */
+export const aggregate = events => {
+  const counts = { total: 0, pages: {}, days: {}, contacts: {}, forms: {} };
+
+  events.forEach(event => {
+    counts.total += 1;
+    if (event.type === 'pageview') {
+      increment(counts.pages, event.page);
+      increment(counts.days, event.date);
+    } else if (event.type === 'contact') {
+      increment(counts.contacts, event.channel);
+    } else {
+      counts.forms[event.form] = counts.forms[event.form] || {};
+      increment(counts.forms[event.form], event.step);
+    }
+  });
+
+  return counts;
+};
+
+const table = (caption, heading, counts, sort = true) => {
+  const rows = Object.entries(counts);
+  if (sort) rows.sort((a, b) => b[1] - a[1]);
+
+  const body = rows.length
+    ? rows
+      .map(
+        ([key, count]) =>
+          `<tr><th scope="row">${escapeHtml(key)}</th><td>${count}</td></tr>`,
+      )
+      .join('\n')
+    : '<tr><td colspan="2">Aucune donnée</td></tr>';
+
+  return `<table>
+<caption>${escapeHtml(caption)}</caption>
+<thead><tr><th scope="col">${escapeHtml(
+    heading,
+  )}</th><th scope="col">Nombre</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>`;
+};
+
+/**
+ * Dashboard of the counts
+ * @param {Object} counts - From aggregate()
+ * @returns {string} - HTML page
+ */
+export const renderDashboard = counts => {
+  const days = Object.fromEntries(
+    Object.entries(counts.days).sort(([a], [b]) => b.localeCompare(a)),
+  );
+  const forms = Object.entries(counts.forms).map(([form, steps]) =>
+    // Steps keep their funnel order
+    table(`Formulaire ${form}`, 'Étape', steps, false),
+  );
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>Mesure d'audience - L'Île aux Oiseaux</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+table { width: 100%; margin-bottom: 2rem; border-collapse: collapse; }
+caption { text-align: left; font-weight: 600; margin-bottom: 0.5rem; }
+th, td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; text-align: left; }
+td { text-align: right; }
+</style>
+</head>
+<body>
+<h1>Mesure d'audience</h1>
+<p>${counts.total} événements enregistrés.</p>
+${table('Pages vues par page', 'Page', counts.pages)}
+${table('Pages vues par jour', 'Jour', days, false)}
+${table('Contacts par canal', 'Canal', counts.contacts)}
+${forms.join('\n')}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,122 @@
+/* eslint-env node */
+
+/**
+ * Client errors of the site
+ * Checks the reports sent by assets/js/errors.js and groups them by
+ * fingerprint, the most frequent first.
+ */
+
+const TYPES = ['error', 'unhandledrejection', 'component', 'init'];
+const BREADCRUMBS = ['click', 'component', 'form'];
+const MAX_REPORTS = 10;
+const MAX_LENGTH = 300;
+
+const isText = (value, max = MAX_LENGTH) =>
+  typeof value === 'string' && value.length <= max;
+
+const isTime = value => Number.isFinite(value) && value >= 0;
+
+/**
+ * Keep the well-formed breadcrumbs, with only the fields the site sends
+ * @param {Object[]} breadcrumbs - Breadcrumbs as received
+ * @returns {Object[]} - { type, time, target? | name? | form?, step? }
+ */
+const sanitizeBreadcrumbs = breadcrumbs =>
+  (Array.isArray(breadcrumbs) ? breadcrumbs : [])
+    .slice(-20)
+    .filter(
+      crumb => crumb && BREADCRUMBS.includes(crumb.type) && isTime(crumb.time),
+    )
+    .map(({ type, time, target, name, form, step }) => {
+      if (type === 'click') {
+        return { type, time, target: isText(target) ? target : '' };
+      }
+      if (type === 'component') {
+        return { type, time, name: isText(name, 40) ? name : '' };
+      }
+      return {
+        type,
+        time,
+        form: isText(form, 80) ? form : '',
+        step: isText(step, 80) ? step : '',
+      };
+    });
+
+/**
+ * Keep the well-formed reports of a batch, one record each
+ * @param {Object} batch - { userAgent, reports } as received
+ * @returns {Object[]} - Records, stamped with the reception time
+ */
+export const sanitize = batch => {
+  if (!batch || !Array.isArray(batch.reports)) return [];
+
+  const userAgent = isText(batch.userAgent) ? batch.userAgent : '';
+  const receivedAt = new Date().toISOString();
+
+  return batch.reports
+    .slice(0, MAX_REPORTS)
+    .filter(
+      report =>
+        report &&
+        /^[0-9a-f]{8}$/.test(report.fingerprint) &&
+        TYPES.includes(report.type) &&
+        isText(report.name, 100) &&
+        isText(report.message) &&
+        isText(report.stack, 4000) &&
+        isText(report.page, 200) &&
+        isTime(report.time) &&
+        Number.isInteger(report.count) &&
+        report.count > 0,
+    )
+    .map(report => ({
+      receivedAt,
+      fingerprint: report.fingerprint,
+      type: report.type,
+      component: isText(report.component, 40) ? report.component : '',
+      name: report.name,
+      message: report.message,
+      stack: report.stack,
+      page: report.page,
+      time: report.time,
+      count: report.count,
+      userAgent,
+      breadcrumbs: sanitizeBreadcrumbs(report.breadcrumbs),
+    }));
+};
+
+/**
+ * Group the records by fingerprint
+ * @param {Object[]} records - Sanitized records
+ * @returns {Object[]} - { fingerprint, name, message, type, component,
+ *   count, pages, firstSeen, lastSeen, stack, breadcrumbs }, the most
+ *   frequent first; stack and breadcrumbs are those of the last occurrence
+ */
+export const summarize = records => {
+  const groups = new Map();
+
+  records.forEach(record => {
+    let group = groups.get(record.fingerprint);
+    if (!group) {
+      group = {
+        fingerprint: record.fingerprint,
+        name: record.name,
+        message: record.message,
+        type: record.type,
+        component: record.component,
+        count: 0,
+        pages: [],
+        firstSeen: record.receivedAt,
+        lastSeen: record.receivedAt,
+      };
+      groups.set(record.fingerprint, group);
+    }
+
+    group.count += record.count;
+    if (!group.pages.includes(record.page)) group.pages.push(record.page);
+    group.lastSeen = record.receivedAt;
+    group.stack = record.stack;
+    group.breadcrumbs = record.breadcrumbs;
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+};
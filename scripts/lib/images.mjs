@@ -0,0 +1,93 @@
+/* eslint-env node */
+
+/**
+ * Responsive images of the pages, from assets/img/optimized/manifest.json
+ * Every <picture> whose <img> shows a photo of assets/img gets the srcset of
+ * each <source> type and of the <img> from the variants scripts/build-images.mjs
+ * wrote, and a lazy one (data-src, see LazyImages) its blurred placeholder.
+ * Only the attributes already in the markup are filled, so each page keeps
+ * its own sizes, loading and layout.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const PICTURES = /<picture\b[^>]*>[\s\S]*?<\/picture>/g;
+const SOURCES = /<source\b[^>]*>/g;
+const TYPES = { 'image/avif': 'avif', 'image/webp': 'webp' };
+
+/**
+ * Load the manifest of the image build
+ * @param {string} root - Site root
+ * @returns {Promise<Object>} - Entry by photo path under assets/img
+ */
+export const loadManifest = async root =>
+  JSON.parse(
+    await readFile(
+      join(root, 'assets', 'img', 'optimized', 'manifest.json'),
+      'utf8',
+    ),
+  );
+
+/**
+ * Value of an attribute of a tag
+ * @param {string} tag - Tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Value
+ */
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+};
+
+/**
+ * Set an attribute a tag already has
+ * @param {string} tag - Tag
+ * @param {string} name - Attribute name
+ * @param {string} value - Value
+ * @returns {string} - Tag
+ */
+const setAttribute = (tag, name, value) =>
+  tag.replace(new RegExp(`(\\s${name}=")[^"]*(")`), `$1${value}$2`);
+
+/**
+ * Write the srcsets and placeholders of a page
+ * @param {string} html - Page
+ * @param {Object} manifest - From loadManifest()
+ * @returns {Object} - { html, missing } missing lists the photos the build
+ *   has no variants of, left as they were
+ */
+export const applyImages = (html, manifest) => {
+  const missing = [];
+
+  const output = html.replace(PICTURES, picture => {
+    const img = (picture.match(/<img\b[^>]*>/) || [])[0];
+    const lazy = Boolean(img) && attribute(img, 'data-src') !== null;
+    const src = img && attribute(img, lazy ? 'data-src' : 'src');
+    const key = src && src.startsWith('assets/img/') && src.slice(11);
+    if (!key) return picture;
+
+    const entry = manifest[key];
+    if (!entry) {
+      missing.push(src);
+      return picture;
+    }
+
+    const srcset = lazy ? 'data-srcset' : 'srcset';
+    let image = setAttribute(img, srcset, entry.sources.jpeg);
+    if (lazy) {
+      image = setAttribute(image, 'src', entry.placeholder);
+    }
+
+    return picture
+      .replace(SOURCES, source => {
+        const format = TYPES[attribute(source, 'type')];
+        return format
+          ? setAttribute(source, srcset, entry.sources[format])
+          : source;
+      })
+      .replace(img, () => image);
+  });
+
+  return { html: output, missing };
+};
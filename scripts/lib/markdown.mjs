@@ -0,0 +1,182 @@
+/* eslint-env node */
+
+/**
+ * Minimal Markdown for the site's content files
+ * Front matter plus the subset posts need: headings, paragraphs, emphasis,
+ * links, images, lists, blockquotes, inline code and horizontal rules.
+ * Raw HTML in the source is escaped.
+ */
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = text =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Parse a front matter value: [a, b] lists, quoted strings, booleans
+ * @param {string} raw - Raw value
+ * @returns {string|boolean|string[]} - Value
+ */
+const parseValue = raw => {
+  const value = raw.trim();
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value
+      .slice(1, -1)
+      .split(',')
+      .map(parseValue)
+      .filter(item => item !== '');
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+  return value;
+};
+
+/**
+ * Split a file into its front matter and Markdown body
+ * @param {string} source - File content
+ * @returns {Object} - { data, body }
+ */
+export const parseFrontMatter = source => {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) data[field[1]] = parseValue(field[2]);
+  });
+
+  return { data, body: source.slice(match[0].length) };
+};
+
+// Schemes links and images may use: any other, javascript: first, is dropped
+const SCHEME = /^[a-z][a-z\d+.-]*:/i;
+const SAFE_SCHEME = /^(https?|mailto|tel):/i;
+
+/**
+ * Prefix relative URLs so they work from pages in sub-folders
+ * @param {string} url - URL
+ * @param {string} root - Path to the site root, e.g. "../"
+ * @returns {string} - URL, "#" for a scheme not allowed
+ */
+const resolveUrl = (url, root) => {
+  if (SCHEME.test(url)) return SAFE_SCHEME.test(url) ? url : '#';
+  return /^[/#]/.test(url) ? url : `${root}${url}`;
+};
+
+/**
+ * Render inline Markdown
+ * @param {string} text - Text
+ * @param {string} root - Path to the site root
+ * @returns {string} - HTML
+ */
+const renderInline = (text, root) => {
+  // Code spans and URLs are set aside so emphasis leaves them alone
+  const kept = [];
+  const keep = html => {
+    kept.push(html);
+    return `\uE000${kept.length - 1}\uE000`;
+  };
+
+  const html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(
+      /!\[([^\]]*)\]\(([^)\s]+)\)/g,
+      (_, alt, src) =>
+        `<img src="${keep(resolveUrl(src, root))}" alt="${alt}" loading="lazy" />`,
+    )
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) =>
+      /^https?:/i.test(href)
+        ? `<a href="${keep(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`
+        : `<a href="${keep(resolveUrl(href, root))}">${label}</a>`,
+    )
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_]+)_(?![\w])/g, '$1<em>$2</em>');
+
+  return html.replace(/\uE000(\d+)\uE000/g, (_, i) => kept[i]);
+};
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Render Markdown to HTML
+ * @param {string} source - Markdown
+ * @param {Object} options - { root: path to the site root for relative URLs }
+ * @returns {string} - HTML
+ */
+export const renderMarkdown = (source, { root = '' } = {}) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${renderInline(paragraph.join(' '), root)}</p>`);
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    const item = line.match(LIST_ITEM);
+
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2], root)}</h${level}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      blocks.push('<hr />');
+    } else if (line.startsWith('>')) {
+      flush();
+      const quote = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quote.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      i--;
+      blocks.push(
+        `<blockquote>${renderMarkdown(quote.join('\n'), { root })}</blockquote>`,
+      );
+    } else if (item && !paragraph.length) {
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+
+      while (i < lines.length && lines[i].trim()) {
+        const next = lines[i].match(LIST_ITEM);
+        if (next) {
+          items.push(next[2]);
+        } else {
+          // Continuation of the previous item
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        }
+        i++;
+      }
+      i--;
+
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(
+        `<${tag}>${items
+          .map(text => `<li>${renderInline(text, root)}</li>`)
+          .join('')}</${tag}>`,
+      );
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+
+  return blocks.join('\n');
+};
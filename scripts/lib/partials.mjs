@@ -0,0 +1,228 @@
+/* eslint-env node */
+
+/**
+ * Shared parts of the site's pages: header, footer, and the display
+ * preferences script of the <head>
+ * The partials of content/partials are filled from content/site.json and
+ * written between <!-- partial:name --> and <!-- /partial:name --> markers,
+ * so the rest of each page stays hand-written.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { escapeHtml } from './markdown.mjs';
+
+const PARTIALS = ['preferences', 'header', 'footer'];
+const MARKERS =
+  /^([ \t]*)<!-- partial:([\w-]+) -->[\s\S]*?<!-- \/partial:\2 -->/gm;
+
+// Width the rendered HTML is wrapped to, as prettier would
+const PRINT_WIDTH = 80;
+
+/**
+ * Indent every non-empty line of a block but the first
+ * @param {string} text - Text
+ * @param {string} space - Indentation
+ * @returns {string} - Indented text
+ */
+const indentRest = (text, space) =>
+  text
+    .split('\n')
+    .map((line, index) => (index && line ? `${space}${line}` : line))
+    .join('\n');
+
+/**
+ * Prefix relative URLs so they work from pages in sub-folders
+ * @param {string} url - URL
+ * @param {string} root - Path to the site root, e.g. "../"
+ * @returns {string} - URL
+ */
+const resolveUrl = (url, root) =>
+  /^([a-z]+:|\/|#)/i.test(url) ? url : `${root}${url}`;
+
+/**
+ * Break a text into lines of at most `width` characters
+ * @param {string} text - Text
+ * @param {number} width - Line width
+ * @returns {string} - Wrapped text
+ */
+const wrap = (text, width) =>
+  text
+    .split(/\s+/)
+    .reduce(
+      (lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last && last.length + word.length + 1 > width) {
+          lines.push(word);
+        } else {
+          lines[lines.length - 1] = last ? `${last} ${word}` : word;
+        }
+        return lines;
+      },
+      [''],
+    )
+    .join('\n');
+
+/**
+ * Fill a partial; a placeholder alone on its line gets that line's
+ * indentation on every line of its value
+ * @param {string} template - Partial
+ * @param {Object} values - Placeholder values
+ * @returns {string} - HTML
+ */
+const fill = (template, values) =>
+  template.replace(
+    /^([ \t]*)\{\{(\w+)\}\}$|\{\{(\w+)\}\}/gm,
+    (_, space, block, inline) => {
+      const name = block || inline;
+      if (!(name in values)) {
+        throw new Error(`Unknown placeholder {{${name}}}`);
+      }
+      return block
+        ? `${space}${indentRest(values[name], space)}`
+        : values[name];
+    },
+  );
+
+/**
+ * Main navigation; the item of the current page is marked active
+ * @param {Object[]} nav - { id, label, href }
+ * @param {string} active - Id of the current page's item
+ * @param {string} root - Path to the site root
+ * @returns {string} - HTML
+ */
+const renderNav = (nav, active, root) =>
+  nav
+    .map(item => {
+      const attrs = [
+        `href="${resolveUrl(item.href, root)}"`,
+        item.id === active
+          ? 'class="nav__link nav__link--active"'
+          : 'class="nav__link"',
+        item.id === active && 'aria-current="page"',
+        `data-i18n="page.nav.${item.id}"`,
+      ].filter(Boolean);
+
+      return `<li class="nav__item">
+  <a
+${attrs.map(attr => `    ${attr}`).join('\n')}
+    >${escapeHtml(item.label)}</a
+  >
+</li>`;
+    })
+    .join('\n');
+
+/**
+ * Footer column of links
+ * @param {Object} section - { title, links: [{ label, href }] }
+ * @param {string} root - Path to the site root
+ * @param {number} depth - Indentation the column is written at
+ * @returns {string} - HTML
+ */
+const renderSection = (section, root, depth) => {
+  const links = section.links.map(link => {
+    const href = resolveUrl(link.href, root);
+    const label = escapeHtml(link.label);
+    const line = `<a href="${href}" class="footer__link">${label}</a>`;
+
+    // Long links are split the way prettier splits them
+    return depth + 6 + line.length <= PRINT_WIDTH
+      ? `    <li>
+      ${line}
+    </li>`
+      : `    <li>
+      <a href="${href}" class="footer__link"
+        >${label}</a
+      >
+    </li>`;
+  });
+
+  return `<div class="footer__section">
+  <h3 class="footer__title">${escapeHtml(section.title)}</h3>
+  <ul class="footer__links">
+${links.join('\n')}
+  </ul>
+</div>`;
+};
+
+/**
+ * Read the site data and the partials
+ * @param {string} root - Repository root
+ * @returns {Promise<Object>} - { data, partials }
+ */
+export const loadSite = async root => {
+  const data = JSON.parse(
+    await readFile(join(root, 'content', 'site.json'), 'utf8'),
+  );
+  const partials = {};
+
+  for (const name of PARTIALS) {
+    partials[name] = await readFile(
+      join(root, 'content', 'partials', `${name}.html`),
+      'utf8',
+    );
+  }
+
+  return { data, partials };
+};
+
+/**
+ * Render one partial for a page
+ * @param {Object} site - From loadSite()
+ * @param {string} name - Partial name
+ * @param {Object} options - { page: entry of site.json, root, depth }
+ * @returns {string} - HTML
+ */
+export const renderPartial = (site, name, { page, root = '', depth = 0 }) => {
+  if (!site.partials[name]) {
+    throw new Error(`Unknown partial "${name}"`);
+  }
+
+  const { nav, sections } = site.data;
+  if (page.nav && !nav.some(item => item.id === page.nav)) {
+    throw new Error(`Unknown nav item "${page.nav}"`);
+  }
+
+  const footer = page.footer || { about: '', sections: [] };
+  const columns = footer.sections.map(section => {
+    const column = typeof section === 'string' ? sections[section] : section;
+    if (!column) throw new Error(`Unknown footer section "${section}"`);
+    return renderSection(column, root, depth + 6);
+  });
+
+  return fill(site.partials[name], {
+    root,
+    nav: renderNav(nav, page.nav, root),
+    about: wrap(escapeHtml(footer.about), PRINT_WIDTH - depth - 10),
+    sections: columns.join('\n\n'),
+  });
+};
+
+/**
+ * Write the partials between their markers
+ * @param {string} html - Page
+ * @param {Object} site - From loadSite()
+ * @param {Object} options - { page: entry of site.json, root }
+ * @returns {Object} - { html, names: partials found }
+ */
+export const applyPartials = (html, site, { page, root = '' }) => {
+  const eol = html.includes('\r\n') ? '\r\n' : '\n';
+  const names = [];
+
+  const output = html
+    .replace(/\r\n/g, '\n')
+    .replace(MARKERS, (_, space, name) => {
+      names.push(name);
+      const content = renderPartial(site, name, {
+        page,
+        root,
+        depth: space.replace(/\t/g, '  ').length,
+      });
+
+      return `${space}<!-- partial:${name} -->
+${space}${indentRest(content.trimEnd(), space)}
+${space}<!-- /partial:${name} -->`;
+    });
+
+  return { html: output.replace(/\n/g, eol), names };
+};
@@ -0,0 +1,85 @@
+/* eslint-env node */
+
+/**
+ * Prices of the pages, from assets/data/tarifs.json
+ * Every element with a data-tarif-price="group.id[.option]" attribute gets
+ * the price of that entry of the grid as its text, in French, so the pages
+ * never show a price the grid has dropped. Once loaded, the tarif calculator
+ * writes them again in the visitor's language.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const PRICES =
+  /(<([a-z][\w-]*)\b[^>]*\sdata-tarif-price="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/gi;
+
+// Same format as I18n.formatCurrency() in French
+const currency = new Intl.NumberFormat('fr-BJ', {
+  style: 'currency',
+  currency: 'XOF',
+  maximumFractionDigits: 0,
+});
+
+/**
+ * Load the price grid
+ * @param {string} root - Site root
+ * @returns {Promise<Object>} - Price grid
+ */
+export const loadTarifs = async root =>
+  JSON.parse(
+    await readFile(join(root, 'assets', 'data', 'tarifs.json'), 'utf8'),
+  );
+
+/**
+ * Find an entry from a dotted path, as Tarifs.find() in assets/js/tarifs.js
+ * @param {Object} grid - Price grid
+ * @param {string} path - Entry path, e.g. "days.monday.1-activity"
+ * @returns {Object|null} - Entry
+ */
+const find = (grid, path) => {
+  const [group, id, optionId] = path.split('.');
+  const entry = (grid[group] || []).find(item => item.id === id);
+
+  if (!entry || !optionId) return entry || null;
+  return (entry.options || []).find(option => option.id === optionId) || null;
+};
+
+/**
+ * Format a price as Tarifs.formatPrice() does in French
+ * @param {number|Object|null} price - Price, { min, max } or null
+ * @returns {string} - e.g. "4 000 F CFA", "2 500 F CFA à 3 000 F CFA"
+ */
+export const formatPrice = price => {
+  if (price === null || price === undefined) return 'Sur devis';
+  if (typeof price === 'number') return currency.format(price);
+  if (price.min === price.max) return currency.format(price.min);
+  return `${currency.format(price.min)} à ${currency.format(price.max)}`;
+};
+
+/**
+ * Write the prices of a page
+ * @param {string} html - Page
+ * @param {Object} grid - Price grid
+ * @returns {Object} - { html, missing } missing lists the paths not in the
+ *   grid, left as they were
+ */
+export const applyPrices = (html, grid) => {
+  const missing = [];
+  const output = html.replace(
+    PRICES,
+    (match, open, tag, path, text, close) => {
+      const entry = find(grid, path);
+      if (!entry) {
+        missing.push(path);
+        return match;
+      }
+
+      // Keep the text's surrounding whitespace, and so the indentation
+      const [, before, after] = text.match(/^(\s*)[\s\S]*?(\s*)$/);
+      return `${open}${before}${formatPrice(entry.price)}${after}${close}`;
+    },
+  );
+
+  return { html: output, missing };
+};
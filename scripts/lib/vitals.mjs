@@ -0,0 +1,104 @@
+/* eslint-env node */
+
+/**
+ * Web Vitals of the site
+ * Checks the reports sent by assets/js/vitals.js and sums them up as the
+ * 75th percentile of each metric, the share of each rating and the elements
+ * most often responsible for poor values.
+ */
+
+const METRICS = ['CLS', 'FCP', 'INP', 'LCP', 'TTFB'];
+const RATINGS = ['good', 'needs-improvement', 'poor'];
+const MAX_LENGTH = 200;
+
+const isText = (value, max = MAX_LENGTH) =>
+  typeof value === 'string' && value.length <= max;
+
+/**
+ * Keep the well-formed metrics of a report, one record each
+ * @param {Object} report - { id, page, navigation, metrics } as received
+ * @returns {Object[]} - { id, page, navigation, name, value, rating, target }
+ */
+export const sanitize = report => {
+  if (!report || !isText(report.id, 40) || !isText(report.page)) return [];
+
+  return (Array.isArray(report.metrics) ? report.metrics : [])
+    .filter(
+      metric =>
+        metric &&
+        METRICS.includes(metric.name) &&
+        Number.isFinite(metric.value) &&
+        metric.value >= 0 &&
+        RATINGS.includes(metric.rating) &&
+        isText(metric.target || ''),
+    )
+    .map(({ name, value, rating, target }) => ({
+      id: report.id,
+      page: report.page,
+      navigation: isText(report.navigation, 20) ? report.navigation : '',
+      name,
+      value,
+      rating,
+      target: target || '',
+    }));
+};
+
+/**
+ * 75th percentile, the value Web Vitals are judged on
+ * @param {number[]} values - Values
+ * @returns {number} - Percentile
+ */
+const p75 = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.ceil(sorted.length * 0.75) - 1];
+};
+
+/**
+ * Sum up the records
+ * @param {Object[]} records - Sanitized records
+ * @returns {Object} - By metric: { count, p75, ratings, targets }, where
+ *   targets counts the elements behind values that are not good; and by
+ *   page: the p75 of each metric
+ */
+export const summarize = records => {
+  // A page view reports a metric again when it changes: keep the last value
+  const latest = new Map();
+  records.forEach(record => latest.set(`${record.id} ${record.name}`, record));
+
+  const summary = { metrics: {}, pages: {} };
+  const values = {};
+
+  latest.forEach(record => {
+    if (!summary.metrics[record.name]) {
+      summary.metrics[record.name] = {
+        count: 0,
+        p75: 0,
+        ratings: Object.fromEntries(RATINGS.map(rating => [rating, 0])),
+        targets: {},
+      };
+      values[record.name] = { all: [], pages: {} };
+    }
+
+    const metric = summary.metrics[record.name];
+    metric.count += 1;
+    metric.ratings[record.rating] += 1;
+    if (record.rating !== 'good' && record.target) {
+      metric.targets[record.target] = (metric.targets[record.target] || 0) + 1;
+    }
+
+    const { all, pages } = values[record.name];
+    all.push(record.value);
+    pages[record.page] = pages[record.page] || [];
+    pages[record.page].push(record.value);
+  });
+
+  Object.entries(values).forEach(([name, { all, pages }]) => {
+    summary.metrics[name].p75 = p75(all);
+    Object.entries(pages).forEach(([page, list]) => {
+      summary.pages[page] = summary.pages[page] || {};
+      summary.pages[page][name] = p75(list);
+    });
+  });
+
+  return summary;
+};
@@ -0,0 +1,216 @@
+/* eslint-env serviceworker */
+
+/**
+ * Service worker of L'Île aux Oiseaux website
+ * Keeps the pages, styles and scripts available without network: they are
+ * cached when the worker installs and served from the cache. Photos are
+ * served from the cache and refreshed in the background, data files from
+ * the network when possible (they are cached at install too), and pages
+ * missing from the cache fall back to hors-ligne.html, which lists the phone
+ * and WhatsApp contacts.
+ *
+ * The precache list below is written by scripts/build-sw.mjs: run it after
+ * changing a page, a stylesheet, a script or a data file, so visitors get
+ * the update.
+ */
+
+// precache:start
+const VERSION = '2a291b189c77';
+const PRECACHE = [
+  './',
+  'actualites.html',
+  'admissions.html',
+  'cantine.html',
+  'contact.html',
+  'equipe.html',
+  'faq.html',
+  'galerie.html',
+  'hors-ligne.html',
+  'index.html',
+  'pedagogie.html',
+  'periscolaire.html',
+  'politique-confidentialite.html',
+  'tarifs.html',
+  'actualites/2026-09-14-bonne-rentree.html',
+  'actualites/2026-10-05-anglais-le-jeudi.html',
+  'actualites/2026-10-12-sortie-jardin-des-plantes.html',
+  'actualites/2026-10-16-menus-cantine-en-ligne.html',
+  'actualites/2026-10-19-journee-pedagogique.html',
+  'assets/css/periscolaire.css',
+  'assets/css/styles.css',
+  'assets/css/variables.css',
+  'assets/js/ages.js',
+  'assets/js/analytics.js',
+  'assets/js/calendar.js',
+  'assets/js/components.js',
+  'assets/js/components/accessibility-panel.js',
+  'assets/js/components/age-router.js',
+  'assets/js/components/consent-embed.js',
+  'assets/js/components/consent-manager.js',
+  'assets/js/components/enrollment-wizard.js',
+  'assets/js/components/faq-accordion.js',
+  'assets/js/components/form-validator.js',
+  'assets/js/components/gallery-filter.js',
+  'assets/js/components/language-switcher.js',
+  'assets/js/components/lazy-images.js',
+  'assets/js/components/lightbox.js',
+  'assets/js/components/menu-board.js',
+  'assets/js/components/mobile-nav.js',
+  'assets/js/components/news-feed.js',
+  'assets/js/components/outbox-status.js',
+  'assets/js/components/scroll-spy.js',
+  'assets/js/components/smooth-scroll.js',
+  'assets/js/components/tarif-calculator.js',
+  'assets/js/components/theme-switcher.js',
+  'assets/js/components/visit-scheduler.js',
+  'assets/js/components/weekly-schedule.js',
+  'assets/js/consent.js',
+  'assets/js/errors.js',
+  'assets/js/faq.js',
+  'assets/js/i18n.js',
+  'assets/js/locales/en.js',
+  'assets/js/locales/fr.js',
+  'assets/js/main.js',
+  'assets/js/menus.js',
+  'assets/js/outbox.js',
+  'assets/js/phone.js',
+  'assets/js/planning.js',
+  'assets/js/preferences.js',
+  'assets/js/submission.js',
+  'assets/js/tarifs.js',
+  'assets/js/theme.js',
+  'assets/js/utils.js',
+  'assets/js/validation.js',
+  'assets/js/visits.js',
+  'assets/js/vitals.js',
+  'manifest.webmanifest',
+  'favicon.ico',
+  'assets/img/optimized/icons/icon-192.png',
+  'assets/img/optimized/icons/icon-512.png',
+];
+const PRECACHE_DATA = [
+  'assets/data/faq.json',
+  'assets/data/menus.json',
+  'assets/data/planning.json',
+  'assets/data/tarifs.json',
+  'assets/data/visites.json',
+];
+// precache:end
+
+const PREFIX = 'ile-aux-oiseaux-';
+const PAGES_CACHE = `${PREFIX}precache-${VERSION}`;
+const IMAGES_CACHE = `${PREFIX}images`;
+const DATA_CACHE = `${PREFIX}data`;
+const OFFLINE_PAGE = 'hors-ligne.html';
+
+// Photos kept at most, the oldest are dropped first
+const MAX_IMAGES = 60;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(PAGES_CACHE).then(cache => cache.addAll(PRECACHE)),
+      caches.open(DATA_CACHE).then(cache => cache.addAll(PRECACHE_DATA)),
+    ]),
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [PAGES_CACHE, IMAGES_CACHE, DATA_CACHE];
+
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys
+            .filter(key => key.startsWith(PREFIX) && !current.includes(key))
+            .map(key => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// The page asks for the waiting version when the visitor accepts the update
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+const trim = async(cacheName, max) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, -max).map(key => cache.delete(key)));
+};
+
+const staleWhileRevalidate = async(event, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then(async response => {
+    if (response.ok) {
+      await cache.put(event.request, response.clone());
+      await trim(cacheName, MAX_IMAGES);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+const networkFirst = async(request, cacheName) => {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const precached = async request => {
+  const cache = await caches.open(PAGES_CACHE);
+  // Links may carry a query string (e.g. ?tag= on the news)
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    if (request.mode === 'navigate') {
+      return cache.match(OFFLINE_PAGE);
+    }
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Forms, endpoints and other sites always go to the network
+  if (
+    request.method !== 'GET' ||
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith('/api/')
+  ) {
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event, IMAGES_CACHE));
+  } else if (url.pathname.startsWith('/assets/data/')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else {
+    event.respondWith(precached(request));
+  }
+});